@@ -0,0 +1,57 @@
+// ============================================
+// Boot - chooses where three.js is loaded from
+// Import maps have no fallback of their own, so this classic script
+// checks the CDN first, writes the import map (CDN or local vendor/ copy)
+// and only then loads main.js
+// ============================================
+
+(function () {
+    const THREE_SOURCES = [
+        'https://cdn.jsdelivr.net/npm/three@0.160.0/',
+        'vendor/three/'  // node tools/fetch-offline-assets.mjs 下载
+    ];
+    const PROBE_TIMEOUT = 3000;  // 场地网络可能卡住而不是直接失败
+    
+    // 检查某个来源能否取到 three.module.js
+    function probe(base) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
+        
+        return fetch(`${base}build/three.module.js`, { method: 'HEAD', signal: controller.signal })
+            .then(response => response.ok)
+            .catch(() => false)
+            .finally(() => clearTimeout(timer));
+    }
+    
+    async function boot() {
+        // 都不可用时仍使用本地路径（错误信息指向 vendor/，便于排查）
+        let base = THREE_SOURCES[THREE_SOURCES.length - 1];
+        for (const source of THREE_SOURCES) {
+            if (await probe(source)) {
+                base = source;
+                break;
+            }
+        }
+        
+        if (base !== THREE_SOURCES[0]) {
+            console.log(`📦 CDN unreachable, using local three.js from ${base}`);
+        }
+        
+        const importMap = document.createElement('script');
+        importMap.type = 'importmap';
+        importMap.textContent = JSON.stringify({
+            imports: {
+                'three': `${base}build/three.module.js`,
+                'three/addons/': `${base}examples/jsm/`
+            }
+        });
+        document.head.appendChild(importMap);
+        
+        const main = document.createElement('script');
+        main.type = 'module';
+        main.src = 'main.js';
+        document.body.appendChild(main);
+    }
+    
+    boot();
+})();
@@ -0,0 +1,397 @@
+// ============================================
+// Bright Star Catalog - 亮星表
+// Naked-eye stars down to about magnitude 4.5 (J2000)
+// ============================================
+
+// id: 拜耳命名（希腊字母 + 星座缩写），与 constellations-v2.js 中 stars[].id 对应
+// name: 专名（没有常用专名时为空）
+// ra: 赤经（小时） / dec: 赤纬（度）
+// mag: 视星等（越小越亮） / bv: B-V 色指数（越大越红）
+export const BRIGHT_STARS = [
+    // === Andromeda 仙女座 ===
+    { id: 'alpha And', name: 'Alpheratz', ra: 0.1398, dec: 29.0904, mag: 2.06, bv: -0.11 },
+    { id: 'beta And', name: 'Mirach', ra: 1.1622, dec: 35.6206, mag: 2.05, bv: 1.58 },
+    { id: 'gamma1 And', name: 'Almach', ra: 2.0650, dec: 42.3297, mag: 2.10, bv: 1.37 },
+    { id: 'delta And', name: '', ra: 0.6555, dec: 30.8610, mag: 3.27, bv: 1.28 },
+    
+    // === Aquila 天鹰座 ===
+    { id: 'alpha Aql', name: 'Altair', ra: 19.8464, dec: 8.8683, mag: 0.77, bv: 0.22 },
+    { id: 'gamma Aql', name: 'Tarazed', ra: 19.7710, dec: 10.6133, mag: 2.72, bv: 1.52 },
+    { id: 'zeta Aql', name: 'Okab', ra: 19.0902, dec: 13.8636, mag: 2.99, bv: 0.01 },
+    { id: 'theta Aql', name: '', ra: 20.1885, dec: -0.8215, mag: 3.24, bv: -0.07 },
+    { id: 'delta Aql', name: '', ra: 19.4249, dec: 3.1148, mag: 3.36, bv: 0.32 },
+    { id: 'lambda Aql', name: '', ra: 19.1041, dec: -4.8826, mag: 3.43, bv: -0.09 },
+    { id: 'beta Aql', name: 'Alshain', ra: 19.9219, dec: 6.4068, mag: 3.71, bv: 0.86 },
+    
+    // === Aquarius 水瓶座 ===
+    { id: 'beta Aqr', name: 'Sadalsuud', ra: 21.5260, dec: -5.5712, mag: 2.91, bv: 0.83 },
+    { id: 'alpha Aqr', name: 'Sadalmelik', ra: 22.0964, dec: -0.3198, mag: 2.96, bv: 0.98 },
+    { id: 'delta Aqr', name: 'Skat', ra: 22.9108, dec: -15.8208, mag: 3.27, bv: 0.05 },
+    { id: 'zeta Aqr', name: '', ra: 22.4806, dec: -0.0200, mag: 3.65, bv: 0.38 },
+    { id: '88 Aqr', name: '', ra: 23.1574, dec: -21.1724, mag: 3.66, bv: 1.24 },
+    { id: 'lambda Aqr', name: '', ra: 22.8765, dec: -7.5797, mag: 3.74, bv: 1.64 },
+    { id: 'epsilon Aqr', name: 'Albali', ra: 20.7946, dec: -9.4958, mag: 3.77, bv: 0.00 },
+    { id: 'gamma Aqr', name: 'Sadachbia', ra: 22.3607, dec: -1.3873, mag: 3.84, bv: -0.05 },
+    { id: '98 Aqr', name: '', ra: 23.3826, dec: -20.1006, mag: 3.97, bv: 1.10 },
+    { id: 'eta Aqr', name: '', ra: 22.5891, dec: -0.1175, mag: 4.02, bv: -0.09 },
+    
+    // === Aries 白羊座 ===
+    { id: 'alpha Ari', name: 'Hamal', ra: 2.1196, dec: 23.4624, mag: 2.00, bv: 1.15 },
+    { id: 'beta Ari', name: 'Sheratan', ra: 1.9107, dec: 20.8080, mag: 2.64, bv: 0.13 },
+    { id: '41 Ari', name: 'Bharani', ra: 2.8331, dec: 27.2605, mag: 3.61, bv: -0.10 },
+    { id: 'gamma Ari', name: 'Mesarthim', ra: 1.8925, dec: 19.2939, mag: 3.88, bv: -0.04 },
+    
+    // === Auriga 御夫座 ===
+    { id: 'alpha Aur', name: 'Capella', ra: 5.2782, dec: 45.9980, mag: 0.08, bv: 0.80 },
+    { id: 'beta Aur', name: 'Menkalinan', ra: 5.9921, dec: 44.9474, mag: 1.90, bv: 0.08 },
+    { id: 'theta Aur', name: 'Mahasim', ra: 5.9954, dec: 37.2126, mag: 2.62, bv: -0.08 },
+    { id: 'iota Aur', name: 'Hassaleh', ra: 4.9499, dec: 33.1661, mag: 2.69, bv: 1.53 },
+    { id: 'epsilon Aur', name: 'Almaaz', ra: 5.0328, dec: 43.8233, mag: 2.99, bv: 0.54 },
+    { id: 'eta Aur', name: 'Haedus', ra: 5.1086, dec: 41.2345, mag: 3.17, bv: -0.18 },
+    { id: 'zeta Aur', name: 'Saclateni', ra: 5.0411, dec: 41.0758, mag: 3.75, bv: 1.22 },
+    
+    // === Bootes 牧夫座 ===
+    { id: 'alpha Boo', name: 'Arcturus', ra: 14.2610, dec: 19.1825, mag: -0.05, bv: 1.23 },
+    { id: 'epsilon Boo', name: 'Izar', ra: 14.7498, dec: 27.0742, mag: 2.37, bv: 0.97 },
+    { id: 'eta Boo', name: 'Muphrid', ra: 13.9114, dec: 18.3977, mag: 2.68, bv: 0.58 },
+    { id: 'gamma Boo', name: 'Seginus', ra: 14.5347, dec: 38.3083, mag: 3.03, bv: 0.19 },
+    { id: 'delta Boo', name: '', ra: 15.2583, dec: 33.3148, mag: 3.47, bv: 0.95 },
+    { id: 'beta Boo', name: 'Nekkar', ra: 15.0324, dec: 40.3906, mag: 3.49, bv: 0.97 },
+    { id: 'rho Boo', name: '', ra: 14.5304, dec: 30.3714, mag: 3.57, bv: 1.30 },
+    
+    // === Cancer 巨蟹座 ===
+    { id: 'beta Cnc', name: 'Tarf', ra: 8.2753, dec: 9.1855, mag: 3.52, bv: 1.48 },
+    { id: 'delta Cnc', name: 'Asellus Australis', ra: 8.7448, dec: 18.1543, mag: 3.94, bv: 1.08 },
+    { id: 'iota Cnc', name: '', ra: 8.7781, dec: 28.7600, mag: 4.02, bv: 1.00 },
+    { id: 'alpha Cnc', name: 'Acubens', ra: 8.9748, dec: 11.8577, mag: 4.25, bv: 0.14 },
+    { id: 'gamma Cnc', name: 'Asellus Borealis', ra: 8.7215, dec: 21.4685, mag: 4.66, bv: 0.02 },
+    
+    // === Canes Venatici 猎犬座 ===
+    { id: 'alpha2 CVn', name: 'Cor Caroli', ra: 12.9338, dec: 38.3184, mag: 2.90, bv: -0.12 },
+    
+    // === Canis Major 大犬座 ===
+    { id: 'alpha CMa', name: 'Sirius', ra: 6.7525, dec: -16.7161, mag: -1.46, bv: 0.00 },
+    { id: 'epsilon CMa', name: 'Adhara', ra: 6.9771, dec: -28.9721, mag: 1.50, bv: -0.21 },
+    { id: 'delta CMa', name: 'Wezen', ra: 7.1399, dec: -26.3932, mag: 1.84, bv: 0.68 },
+    { id: 'beta CMa', name: 'Mirzam', ra: 6.3783, dec: -17.9559, mag: 1.98, bv: -0.23 },
+    { id: 'eta CMa', name: 'Aludra', ra: 7.4016, dec: -29.3031, mag: 2.45, bv: -0.08 },
+    { id: 'zeta CMa', name: 'Furud', ra: 6.3386, dec: -30.0634, mag: 3.02, bv: -0.19 },
+    { id: 'omicron2 CMa', name: '', ra: 7.0504, dec: -23.8333, mag: 3.02, bv: -0.08 },
+    { id: 'sigma CMa', name: '', ra: 7.0281, dec: -27.9348, mag: 3.47, bv: 1.73 },
+    
+    // === Canis Minor 小犬座 ===
+    { id: 'alpha CMi', name: 'Procyon', ra: 7.6550, dec: 5.2250, mag: 0.34, bv: 0.42 },
+    { id: 'beta CMi', name: 'Gomeisa', ra: 7.4525, dec: 8.2893, mag: 2.89, bv: -0.09 },
+    
+    // === Capricornus 摩羯座 ===
+    { id: 'delta Cap', name: 'Deneb Algedi', ra: 21.7840, dec: -16.1273, mag: 2.85, bv: 0.29 },
+    { id: 'beta Cap', name: 'Dabih', ra: 20.3502, dec: -14.7814, mag: 3.05, bv: 0.79 },
+    { id: 'alpha2 Cap', name: 'Algedi', ra: 20.3009, dec: -12.5449, mag: 3.57, bv: 0.94 },
+    { id: 'gamma Cap', name: 'Nashira', ra: 21.6682, dec: -16.6623, mag: 3.68, bv: 0.32 },
+    { id: 'zeta Cap', name: '', ra: 21.4445, dec: -22.4113, mag: 3.74, bv: 1.00 },
+    { id: 'theta Cap', name: '', ra: 21.0992, dec: -17.2329, mag: 4.07, bv: -0.01 },
+    { id: 'omega Cap', name: '', ra: 20.8638, dec: -26.9191, mag: 4.12, bv: 1.64 },
+    
+    // === Carina 船底座 ===
+    { id: 'alpha Car', name: 'Canopus', ra: 6.3992, dec: -52.6957, mag: -0.74, bv: 0.15 },
+    { id: 'beta Car', name: 'Miaplacidus', ra: 9.2200, dec: -69.7172, mag: 1.67, bv: 0.07 },
+    { id: 'epsilon Car', name: 'Avior', ra: 8.3752, dec: -59.5095, mag: 1.86, bv: 1.28 },
+    { id: 'iota Car', name: 'Aspidiske', ra: 9.2848, dec: -59.2752, mag: 2.21, bv: 0.18 },
+    
+    // === Cassiopeia 仙后座 ===
+    { id: 'gamma Cas', name: 'Navi', ra: 0.9451, dec: 60.7167, mag: 2.15, bv: -0.15 },
+    { id: 'alpha Cas', name: 'Schedar', ra: 0.6751, dec: 56.5373, mag: 2.24, bv: 1.17 },
+    { id: 'beta Cas', name: 'Caph', ra: 0.1530, dec: 59.1498, mag: 2.28, bv: 0.34 },
+    { id: 'delta Cas', name: 'Ruchbah', ra: 1.4303, dec: 60.2353, mag: 2.66, bv: 0.13 },
+    { id: 'epsilon Cas', name: 'Segin', ra: 1.9066, dec: 63.6701, mag: 3.35, bv: -0.15 },
+    
+    // === Centaurus 半人马座 ===
+    { id: 'alpha Cen', name: 'Rigil Kentaurus', ra: 14.6600, dec: -60.8340, mag: -0.27, bv: 0.71 },
+    { id: 'beta Cen', name: 'Hadar', ra: 14.0637, dec: -60.3730, mag: 0.61, bv: -0.23 },
+    { id: 'theta Cen', name: 'Menkent', ra: 14.1114, dec: -36.3700, mag: 2.06, bv: 1.01 },
+    { id: 'gamma Cen', name: 'Muhlifain', ra: 12.6919, dec: -48.9599, mag: 2.17, bv: -0.01 },
+    { id: 'epsilon Cen', name: '', ra: 13.6648, dec: -53.4664, mag: 2.30, bv: -0.22 },
+    { id: 'eta Cen', name: '', ra: 14.5918, dec: -42.1578, mag: 2.35, bv: -0.19 },
+    { id: 'zeta Cen', name: '', ra: 13.9257, dec: -47.2884, mag: 2.55, bv: -0.22 },
+    
+    // === Cepheus 仙王座 ===
+    { id: 'alpha Cep', name: 'Alderamin', ra: 21.3097, dec: 62.5856, mag: 2.45, bv: 0.22 },
+    { id: 'gamma Cep', name: 'Errai', ra: 23.6558, dec: 77.6323, mag: 3.21, bv: 1.03 },
+    { id: 'beta Cep', name: 'Alfirk', ra: 21.4777, dec: 70.5607, mag: 3.23, bv: -0.22 },
+    
+    // === Cetus 鲸鱼座 ===
+    { id: 'beta Cet', name: 'Diphda', ra: 0.7265, dec: -17.9866, mag: 2.04, bv: 1.02 },
+    { id: 'alpha Cet', name: 'Menkar', ra: 3.0380, dec: 4.0897, mag: 2.54, bv: 1.64 },
+    { id: 'omicron Cet', name: 'Mira', ra: 2.3224, dec: -2.9776, mag: 3.04, bv: 1.42 },
+    { id: 'eta Cet', name: '', ra: 1.1431, dec: -10.1823, mag: 3.45, bv: 1.16 },
+    { id: 'gamma Cet', name: 'Kaffaljidhma', ra: 2.7217, dec: 3.2358, mag: 3.47, bv: 0.09 },
+    { id: 'tau Cet', name: '', ra: 1.7344, dec: -15.9375, mag: 3.50, bv: 0.72 },
+    
+    // === Columba 天鸽座 ===
+    { id: 'alpha Col', name: 'Phact', ra: 5.6606, dec: -34.0741, mag: 2.65, bv: -0.12 },
+    
+    // === Corona Borealis 北冕座 ===
+    { id: 'alpha CrB', name: 'Alphecca', ra: 15.5781, dec: 26.7147, mag: 2.23, bv: -0.02 },
+    
+    // === Corvus 乌鸦座 ===
+    { id: 'gamma Crv', name: 'Gienah', ra: 12.2634, dec: -17.5419, mag: 2.59, bv: -0.11 },
+    { id: 'beta Crv', name: 'Kraz', ra: 12.5731, dec: -23.3968, mag: 2.65, bv: 0.89 },
+    { id: 'delta Crv', name: 'Algorab', ra: 12.4977, dec: -16.5154, mag: 2.95, bv: -0.01 },
+    { id: 'epsilon Crv', name: 'Minkar', ra: 12.1686, dec: -22.6198, mag: 3.00, bv: 1.33 },
+    
+    // === Crux 南十字座 ===
+    { id: 'alpha Cru', name: 'Acrux', ra: 12.4433, dec: -63.0991, mag: 0.77, bv: -0.24 },
+    { id: 'beta Cru', name: 'Mimosa', ra: 12.7954, dec: -59.6888, mag: 1.25, bv: -0.24 },
+    { id: 'gamma Cru', name: 'Gacrux', ra: 12.5194, dec: -57.1132, mag: 1.59, bv: 1.60 },
+    { id: 'delta Cru', name: 'Imai', ra: 12.2524, dec: -58.7489, mag: 2.79, bv: -0.23 },
+    
+    // === Cygnus 天鹅座 ===
+    { id: 'alpha Cyg', name: 'Deneb', ra: 20.6905, dec: 45.2803, mag: 1.25, bv: 0.09 },
+    { id: 'gamma Cyg', name: 'Sadr', ra: 20.3705, dec: 40.2567, mag: 2.23, bv: 0.67 },
+    { id: 'epsilon Cyg', name: 'Aljanah', ra: 20.7702, dec: 33.9703, mag: 2.48, bv: 1.03 },
+    { id: 'delta Cyg', name: 'Fawaris', ra: 19.7496, dec: 45.1308, mag: 2.87, bv: -0.03 },
+    { id: 'beta Cyg', name: 'Albireo', ra: 19.5120, dec: 27.9597, mag: 3.08, bv: 1.13 },
+    { id: 'zeta Cyg', name: '', ra: 21.2156, dec: 30.2269, mag: 3.21, bv: 0.99 },
+    { id: 'eta Cyg', name: '', ra: 19.9384, dec: 35.0834, mag: 3.89, bv: 1.02 },
+    
+    // === Draco 天龙座 ===
+    { id: 'gamma Dra', name: 'Eltanin', ra: 17.9434, dec: 51.4889, mag: 2.23, bv: 1.52 },
+    { id: 'eta Dra', name: 'Athebyne', ra: 16.3999, dec: 61.5142, mag: 2.73, bv: 0.91 },
+    { id: 'beta Dra', name: 'Rastaban', ra: 17.5072, dec: 52.3014, mag: 2.79, bv: 0.98 },
+    { id: 'delta Dra', name: 'Altais', ra: 19.2093, dec: 67.6615, mag: 3.07, bv: 1.00 },
+    { id: 'zeta Dra', name: 'Aldhibah', ra: 17.1464, dec: 65.7147, mag: 3.17, bv: -0.12 },
+    { id: 'alpha Dra', name: 'Thuban', ra: 14.0731, dec: 64.3759, mag: 3.65, bv: -0.05 },
+    
+    // === Eridanus 波江座 ===
+    { id: 'alpha Eri', name: 'Achernar', ra: 1.6286, dec: -57.2368, mag: 0.46, bv: -0.16 },
+    { id: 'beta Eri', name: 'Cursa', ra: 5.1308, dec: -5.0864, mag: 2.79, bv: 0.13 },
+    { id: 'theta Eri', name: 'Acamar', ra: 2.9710, dec: -40.3047, mag: 2.88, bv: 0.14 },
+    { id: 'gamma Eri', name: 'Zaurak', ra: 3.9672, dec: -13.5085, mag: 2.95, bv: 1.59 },
+    
+    // === Gemini 双子座 ===
+    { id: 'beta Gem', name: 'Pollux', ra: 7.7553, dec: 28.0262, mag: 1.14, bv: 1.00 },
+    { id: 'alpha Gem', name: 'Castor', ra: 7.5767, dec: 31.8883, mag: 1.58, bv: 0.03 },
+    { id: 'gamma Gem', name: 'Alhena', ra: 6.6285, dec: 16.3993, mag: 1.93, bv: 0.00 },
+    { id: 'mu Gem', name: 'Tejat', ra: 6.3827, dec: 22.5136, mag: 2.88, bv: 1.64 },
+    { id: 'epsilon Gem', name: 'Mebsuta', ra: 6.7322, dec: 25.1311, mag: 2.98, bv: 1.40 },
+    { id: 'eta Gem', name: 'Propus', ra: 6.2479, dec: 22.5068, mag: 3.28, bv: 1.60 },
+    { id: 'xi Gem', name: 'Alzirr', ra: 6.7548, dec: 12.8956, mag: 3.36, bv: 0.43 },
+    { id: 'delta Gem', name: 'Wasat', ra: 7.3354, dec: 21.9823, mag: 3.53, bv: 0.34 },
+    { id: 'kappa Gem', name: '', ra: 7.7402, dec: 24.3980, mag: 3.57, bv: 0.93 },
+    { id: 'lambda Gem', name: '', ra: 7.3011, dec: 16.5404, mag: 3.58, bv: 0.11 },
+    { id: 'zeta Gem', name: 'Mekbuda', ra: 7.0685, dec: 20.5703, mag: 3.79, bv: 0.79 },
+    
+    // === Grus 天鹤座 ===
+    { id: 'alpha Gru', name: 'Alnair', ra: 22.1372, dec: -46.9610, mag: 1.74, bv: -0.13 },
+    { id: 'beta Gru', name: 'Tiaki', ra: 22.7111, dec: -46.8846, mag: 2.07, bv: 1.60 },
+    
+    // === Hercules 武仙座 ===
+    { id: 'beta Her', name: 'Kornephoros', ra: 16.5037, dec: 21.4896, mag: 2.77, bv: 0.94 },
+    { id: 'zeta Her', name: '', ra: 16.6881, dec: 31.6027, mag: 2.81, bv: 0.65 },
+    { id: 'delta Her', name: 'Sarin', ra: 17.2505, dec: 24.8392, mag: 3.14, bv: 0.08 },
+    { id: 'pi Her', name: '', ra: 17.2508, dec: 36.8092, mag: 3.16, bv: 1.44 },
+    { id: 'alpha1 Her', name: 'Rasalgethi', ra: 17.2441, dec: 14.3903, mag: 3.35, bv: 1.44 },
+    { id: 'mu Her', name: '', ra: 17.7746, dec: 27.7207, mag: 3.42, bv: 0.75 },
+    { id: 'eta Her', name: '', ra: 16.7149, dec: 38.9223, mag: 3.48, bv: 0.92 },
+    { id: 'epsilon Her', name: '', ra: 17.0047, dec: 30.9264, mag: 3.92, bv: -0.01 },
+    
+    // === Hydra 长蛇座 ===
+    { id: 'alpha Hya', name: 'Alphard', ra: 9.4598, dec: -8.6586, mag: 1.98, bv: 1.44 },
+    { id: 'gamma Hya', name: '', ra: 13.3154, dec: -23.1716, mag: 3.00, bv: 0.92 },
+    
+    // === Leo 狮子座 ===
+    { id: 'alpha Leo', name: 'Regulus', ra: 10.1395, dec: 11.9672, mag: 1.35, bv: -0.11 },
+    { id: 'gamma1 Leo', name: 'Algieba', ra: 10.3329, dec: 19.8415, mag: 2.08, bv: 1.13 },
+    { id: 'beta Leo', name: 'Denebola', ra: 11.8177, dec: 14.5721, mag: 2.14, bv: 0.09 },
+    { id: 'delta Leo', name: 'Zosma', ra: 11.2351, dec: 20.5237, mag: 2.56, bv: 0.12 },
+    { id: 'epsilon Leo', name: '', ra: 9.7642, dec: 23.7743, mag: 2.98, bv: 0.81 },
+    { id: 'theta Leo', name: 'Chertan', ra: 11.2373, dec: 15.4296, mag: 3.34, bv: -0.01 },
+    { id: 'zeta Leo', name: 'Adhafera', ra: 10.2782, dec: 23.4173, mag: 3.44, bv: 0.31 },
+    { id: 'eta Leo', name: '', ra: 10.1222, dec: 16.7627, mag: 3.48, bv: -0.03 },
+    { id: 'mu Leo', name: 'Rasalas', ra: 9.8794, dec: 26.0070, mag: 3.88, bv: 1.22 },
+    
+    // === Lepus 天兔座 ===
+    { id: 'alpha Lep', name: 'Arneb', ra: 5.5455, dec: -17.8223, mag: 2.58, bv: 0.21 },
+    { id: 'beta Lep', name: 'Nihal', ra: 5.4708, dec: -20.7594, mag: 2.84, bv: 0.82 },
+    
+    // === Libra 天秤座 ===
+    { id: 'beta Lib', name: 'Zubeneschamali', ra: 15.2834, dec: -9.3829, mag: 2.61, bv: -0.07 },
+    { id: 'alpha2 Lib', name: 'Zubenelgenubi', ra: 14.8480, dec: -16.0418, mag: 2.75, bv: 0.15 },
+    { id: 'sigma Lib', name: 'Brachium', ra: 15.0679, dec: -25.2820, mag: 3.29, bv: 1.70 },
+    { id: 'upsilon Lib', name: '', ra: 15.6171, dec: -28.1351, mag: 3.58, bv: 1.38 },
+    { id: 'tau Lib', name: '', ra: 15.6442, dec: -29.7778, mag: 3.66, bv: -0.17 },
+    { id: 'gamma Lib', name: 'Zubenelhakrabi', ra: 15.5921, dec: -14.7895, mag: 3.91, bv: 1.01 },
+    
+    // === Lupus 豺狼座 ===
+    { id: 'alpha Lup', name: 'Kakkab', ra: 14.6988, dec: -47.3882, mag: 2.30, bv: -0.20 },
+    
+    // === Lyra 天琴座 ===
+    { id: 'alpha Lyr', name: 'Vega', ra: 18.6156, dec: 38.7837, mag: 0.03, bv: 0.00 },
+    { id: 'gamma Lyr', name: 'Sulafat', ra: 18.9824, dec: 32.6896, mag: 3.24, bv: -0.05 },
+    { id: 'beta Lyr', name: 'Sheliak', ra: 18.8347, dec: 33.3627, mag: 3.52, bv: 0.00 },
+    { id: 'delta2 Lyr', name: '', ra: 18.9084, dec: 36.8986, mag: 4.30, bv: 1.68 },
+    { id: 'zeta1 Lyr', name: '', ra: 18.7462, dec: 37.6051, mag: 4.36, bv: 0.19 },
+    
+    // === Ophiuchus 蛇夫座 ===
+    { id: 'alpha Oph', name: 'Rasalhague', ra: 17.5822, dec: 12.5600, mag: 2.08, bv: 0.15 },
+    { id: 'eta Oph', name: 'Sabik', ra: 17.1730, dec: -15.7249, mag: 2.43, bv: 0.06 },
+    { id: 'zeta Oph', name: '', ra: 16.6193, dec: -10.5671, mag: 2.56, bv: 0.02 },
+    { id: 'delta Oph', name: 'Yed Prior', ra: 16.2391, dec: -3.6943, mag: 2.75, bv: 1.58 },
+    { id: 'beta Oph', name: 'Cebalrai', ra: 17.7245, dec: 4.5673, mag: 2.77, bv: 1.16 },
+    { id: 'kappa Oph', name: '', ra: 16.9614, dec: 9.3750, mag: 3.20, bv: 1.15 },
+    { id: 'epsilon Oph', name: 'Yed Posterior', ra: 16.3053, dec: -4.6925, mag: 3.24, bv: 0.97 },
+    
+    // === Orion 猎户座 ===
+    { id: 'beta Ori', name: 'Rigel', ra: 5.2423, dec: -8.2016, mag: 0.13, bv: -0.03 },
+    { id: 'alpha Ori', name: 'Betelgeuse', ra: 5.9195, dec: 7.4071, mag: 0.50, bv: 1.85 },
+    { id: 'gamma Ori', name: 'Bellatrix', ra: 5.4189, dec: 6.3497, mag: 1.64, bv: -0.22 },
+    { id: 'epsilon Ori', name: 'Alnilam', ra: 5.6036, dec: -1.2019, mag: 1.69, bv: -0.18 },
+    { id: 'zeta Ori', name: 'Alnitak', ra: 5.6793, dec: -1.9426, mag: 1.77, bv: -0.21 },
+    { id: 'kappa Ori', name: 'Saiph', ra: 5.7959, dec: -9.6696, mag: 2.09, bv: -0.17 },
+    { id: 'delta Ori', name: 'Mintaka', ra: 5.5334, dec: -0.2991, mag: 2.23, bv: -0.22 },
+    { id: 'iota Ori', name: 'Hatysa', ra: 5.5904, dec: -5.9099, mag: 2.77, bv: -0.24 },
+    { id: 'pi3 Ori', name: 'Tabit', ra: 4.8305, dec: 6.9613, mag: 3.19, bv: 0.45 },
+    { id: 'lambda Ori', name: 'Meissa', ra: 5.5856, dec: 9.9342, mag: 3.33, bv: -0.16 },
+    
+    // === Pavo 孔雀座 ===
+    { id: 'alpha Pav', name: 'Peacock', ra: 20.4275, dec: -56.7351, mag: 1.94, bv: -0.20 },
+    
+    // === Pegasus 飞马座 ===
+    { id: 'epsilon Peg', name: 'Enif', ra: 21.7364, dec: 9.8750, mag: 2.39, bv: 1.53 },
+    { id: 'beta Peg', name: 'Scheat', ra: 23.0629, dec: 28.0828, mag: 2.42, bv: 1.67 },
+    { id: 'alpha Peg', name: 'Markab', ra: 23.0793, dec: 15.2053, mag: 2.49, bv: -0.04 },
+    { id: 'gamma Peg', name: 'Algenib', ra: 0.2206, dec: 15.1836, mag: 2.83, bv: -0.23 },
+    { id: 'eta Peg', name: 'Matar', ra: 22.7167, dec: 30.2212, mag: 2.94, bv: 0.86 },
+    { id: 'zeta Peg', name: 'Homam', ra: 22.6910, dec: 10.8314, mag: 3.40, bv: -0.09 },
+    { id: 'mu Peg', name: 'Sadalbari', ra: 22.8333, dec: 24.6016, mag: 3.48, bv: 0.93 },
+    
+    // === Perseus 英仙座 ===
+    { id: 'alpha Per', name: 'Mirfak', ra: 3.4054, dec: 49.8612, mag: 1.79, bv: 0.48 },
+    { id: 'beta Per', name: 'Algol', ra: 3.1361, dec: 40.9556, mag: 2.12, bv: -0.05 },
+    { id: 'zeta Per', name: '', ra: 3.9022, dec: 31.8836, mag: 2.85, bv: 0.12 },
+    { id: 'epsilon Per', name: '', ra: 3.9642, dec: 40.0102, mag: 2.89, bv: -0.18 },
+    { id: 'gamma Per', name: '', ra: 3.0799, dec: 53.5064, mag: 2.93, bv: 0.70 },
+    { id: 'delta Per', name: '', ra: 3.7154, dec: 47.7876, mag: 3.01, bv: -0.13 },
+    
+    // === Phoenix 凤凰座 ===
+    { id: 'alpha Phe', name: 'Ankaa', ra: 0.4381, dec: -42.3061, mag: 2.39, bv: 1.09 },
+    
+    // === Pisces 双鱼座 ===
+    { id: 'eta Psc', name: 'Alpherg', ra: 1.5248, dec: 15.3458, mag: 3.62, bv: 0.97 },
+    { id: 'gamma Psc', name: '', ra: 23.2860, dec: 3.2823, mag: 3.69, bv: 0.92 },
+    { id: 'alpha Psc', name: 'Alrescha', ra: 2.0340, dec: 2.7638, mag: 3.82, bv: 0.03 },
+    { id: 'omega Psc', name: '', ra: 23.9885, dec: 6.8633, mag: 4.01, bv: 0.42 },
+    { id: 'iota Psc', name: '', ra: 23.6657, dec: 5.6263, mag: 4.13, bv: 0.51 },
+    { id: 'omicron Psc', name: 'Torcular', ra: 1.7565, dec: 9.1577, mag: 4.26, bv: 0.96 },
+    { id: 'epsilon Psc', name: '', ra: 1.0491, dec: 7.8901, mag: 4.27, bv: 0.96 },
+    { id: 'theta Psc', name: '', ra: 23.4662, dec: 6.3790, mag: 4.28, bv: 1.07 },
+    { id: 'delta Psc', name: '', ra: 0.8114, dec: 7.5851, mag: 4.43, bv: 1.50 },
+    { id: 'nu Psc', name: '', ra: 1.6905, dec: 5.4876, mag: 4.44, bv: 1.36 },
+    { id: 'beta Psc', name: 'Fumalsamakah', ra: 23.0659, dec: 3.8200, mag: 4.48, bv: -0.12 },
+    { id: 'tau Psc', name: '', ra: 1.1940, dec: 30.0896, mag: 4.51, bv: 1.09 },
+    
+    // === Piscis Austrinus 南鱼座 ===
+    { id: 'alpha PsA', name: 'Fomalhaut', ra: 22.9608, dec: -29.6222, mag: 1.16, bv: 0.09 },
+    
+    // === Puppis 船尾座 ===
+    { id: 'zeta Pup', name: 'Naos', ra: 8.0597, dec: -40.0031, mag: 2.21, bv: -0.27 },
+    { id: 'pi Pup', name: '', ra: 7.2859, dec: -37.0975, mag: 2.70, bv: 1.62 },
+    { id: 'rho Pup', name: 'Tureis', ra: 8.1257, dec: -24.3043, mag: 2.81, bv: 0.43 },
+    
+    // === Sagittarius 射手座 ===
+    { id: 'epsilon Sgr', name: 'Kaus Australis', ra: 18.4029, dec: -34.3846, mag: 1.85, bv: -0.03 },
+    { id: 'sigma Sgr', name: 'Nunki', ra: 18.9211, dec: -26.2967, mag: 2.05, bv: -0.13 },
+    { id: 'zeta Sgr', name: 'Ascella', ra: 19.0435, dec: -29.8801, mag: 2.60, bv: 0.08 },
+    { id: 'delta Sgr', name: 'Kaus Media', ra: 18.3499, dec: -29.8281, mag: 2.70, bv: 1.38 },
+    { id: 'lambda Sgr', name: 'Kaus Borealis', ra: 18.4662, dec: -25.4217, mag: 2.81, bv: 1.04 },
+    { id: 'pi Sgr', name: 'Albaldah', ra: 19.1627, dec: -21.0236, mag: 2.89, bv: 0.35 },
+    { id: 'gamma2 Sgr', name: 'Alnasl', ra: 18.0968, dec: -30.4241, mag: 2.99, bv: 1.00 },
+    { id: 'eta Sgr', name: '', ra: 18.2938, dec: -36.7617, mag: 3.11, bv: 1.56 },
+    { id: 'phi Sgr', name: '', ra: 18.7609, dec: -26.9908, mag: 3.17, bv: -0.11 },
+    { id: 'tau Sgr', name: '', ra: 19.1157, dec: -27.6704, mag: 3.32, bv: 1.19 },
+    
+    // === Scorpius 天蝎座 ===
+    { id: 'alpha Sco', name: 'Antares', ra: 16.4901, dec: -26.4320, mag: 1.09, bv: 1.83 },
+    { id: 'lambda Sco', name: 'Shaula', ra: 17.5601, dec: -37.1038, mag: 1.62, bv: -0.22 },
+    { id: 'theta Sco', name: 'Sargas', ra: 17.6220, dec: -42.9978, mag: 1.86, bv: 0.40 },
+    { id: 'delta Sco', name: 'Dschubba', ra: 16.0056, dec: -22.6217, mag: 2.29, bv: -0.12 },
+    { id: 'epsilon Sco', name: 'Larawag', ra: 16.8361, dec: -34.2932, mag: 2.29, bv: 1.15 },
+    { id: 'kappa Sco', name: 'Girtab', ra: 17.7081, dec: -39.0300, mag: 2.39, bv: -0.17 },
+    { id: 'beta1 Sco', name: 'Acrab', ra: 16.0906, dec: -19.8054, mag: 2.62, bv: -0.07 },
+    { id: 'upsilon Sco', name: 'Lesath', ra: 17.5127, dec: -37.2958, mag: 2.70, bv: -0.22 },
+    { id: 'tau Sco', name: 'Paikauhale', ra: 16.5981, dec: -28.2160, mag: 2.82, bv: -0.25 },
+    { id: 'pi Sco', name: 'Fang', ra: 15.9809, dec: -26.1141, mag: 2.89, bv: -0.19 },
+    { id: 'sigma Sco', name: 'Alniyat', ra: 16.3531, dec: -25.5928, mag: 2.90, bv: 0.13 },
+    { id: 'iota1 Sco', name: '', ra: 17.7931, dec: -40.1270, mag: 2.99, bv: 0.51 },
+    { id: 'mu1 Sco', name: 'Xamidimura', ra: 16.8645, dec: -38.0474, mag: 3.08, bv: -0.20 },
+    { id: 'G Sco', name: 'Fuyue', ra: 17.8310, dec: -37.0433, mag: 3.19, bv: 1.17 },
+    { id: 'eta Sco', name: '', ra: 17.2026, dec: -43.2392, mag: 3.33, bv: 0.41 },
+    { id: 'zeta2 Sco', name: '', ra: 16.9097, dec: -42.3620, mag: 3.62, bv: 1.37 },
+    
+    // === Serpens 巨蛇座 ===
+    { id: 'alpha Ser', name: 'Unukalhai', ra: 15.7378, dec: 6.4256, mag: 2.63, bv: 1.17 },
+    
+    // === Taurus 金牛座 ===
+    { id: 'alpha Tau', name: 'Aldebaran', ra: 4.5987, dec: 16.5093, mag: 0.87, bv: 1.54 },
+    { id: 'beta Tau', name: 'Elnath', ra: 5.4382, dec: 28.6075, mag: 1.65, bv: -0.13 },
+    { id: 'eta Tau', name: 'Alcyone', ra: 3.7914, dec: 24.1051, mag: 2.87, bv: -0.09 },
+    { id: 'zeta Tau', name: 'Tianguan', ra: 5.6274, dec: 21.1426, mag: 3.00, bv: -0.19 },
+    { id: 'theta2 Tau', name: 'Chamukuy', ra: 4.4776, dec: 15.8709, mag: 3.40, bv: 0.18 },
+    { id: 'lambda Tau', name: '', ra: 4.0110, dec: 12.4903, mag: 3.47, bv: -0.12 },
+    { id: 'epsilon Tau', name: 'Ain', ra: 4.4769, dec: 19.1804, mag: 3.53, bv: 1.01 },
+    { id: 'omicron Tau', name: '', ra: 3.4136, dec: 9.0289, mag: 3.60, bv: 0.89 },
+    { id: 'gamma Tau', name: 'Prima Hyadum', ra: 4.3297, dec: 15.6276, mag: 3.65, bv: 0.99 },
+    { id: 'xi Tau', name: '', ra: 3.4522, dec: 9.7327, mag: 3.73, bv: -0.09 },
+    { id: 'delta1 Tau', name: 'Secunda Hyadum', ra: 4.3823, dec: 17.5425, mag: 3.76, bv: 0.98 },
+    
+    // === Triangulum 三角座 ===
+    { id: 'beta Tri', name: '', ra: 2.1591, dec: 34.9873, mag: 3.00, bv: 0.14 },
+    
+    // === Triangulum Australe 南三角座 ===
+    { id: 'alpha TrA', name: 'Atria', ra: 16.8111, dec: -69.0277, mag: 1.91, bv: 1.44 },
+    
+    // === Ursa Major 大熊座 ===
+    { id: 'epsilon UMa', name: 'Alioth', ra: 12.9004, dec: 55.9598, mag: 1.77, bv: -0.02 },
+    { id: 'alpha UMa', name: 'Dubhe', ra: 11.0621, dec: 61.7510, mag: 1.79, bv: 1.07 },
+    { id: 'eta UMa', name: 'Alkaid', ra: 13.7923, dec: 49.3133, mag: 1.86, bv: -0.19 },
+    { id: 'zeta UMa', name: 'Mizar', ra: 13.3988, dec: 54.9254, mag: 2.27, bv: 0.02 },
+    { id: 'beta UMa', name: 'Merak', ra: 11.0307, dec: 56.3824, mag: 2.37, bv: -0.02 },
+    { id: 'gamma UMa', name: 'Phecda', ra: 11.8972, dec: 53.6948, mag: 2.44, bv: 0.00 },
+    { id: 'psi UMa', name: '', ra: 11.1610, dec: 44.4985, mag: 3.01, bv: 1.14 },
+    { id: 'mu UMa', name: 'Tania Australis', ra: 10.3722, dec: 41.4995, mag: 3.06, bv: 1.59 },
+    { id: 'iota UMa', name: 'Talitha', ra: 8.9868, dec: 48.0418, mag: 3.14, bv: 0.19 },
+    { id: 'theta UMa', name: '', ra: 9.5477, dec: 51.6773, mag: 3.17, bv: 0.46 },
+    { id: 'delta UMa', name: 'Megrez', ra: 12.2571, dec: 57.0326, mag: 3.31, bv: 0.08 },
+    { id: 'omicron UMa', name: 'Muscida', ra: 8.5044, dec: 60.7182, mag: 3.36, bv: 0.85 },
+    { id: 'lambda UMa', name: 'Tania Borealis', ra: 10.2849, dec: 42.9144, mag: 3.45, bv: 0.03 },
+    { id: 'nu UMa', name: 'Alula Borealis', ra: 11.3080, dec: 33.0943, mag: 3.48, bv: 1.40 },
+    { id: 'chi UMa', name: 'Taiyangshou', ra: 11.7674, dec: 47.7794, mag: 3.71, bv: 1.18 },
+    
+    // === Ursa Minor 小熊座 ===
+    { id: 'alpha UMi', name: 'Polaris', ra: 2.5303, dec: 89.2641, mag: 1.98, bv: 0.60 },
+    { id: 'beta UMi', name: 'Kochab', ra: 14.8451, dec: 74.1555, mag: 2.08, bv: 1.47 },
+    { id: 'gamma UMi', name: 'Pherkad', ra: 15.3455, dec: 71.8340, mag: 3.05, bv: 0.05 },
+    
+    // === Vela 船帆座 ===
+    { id: 'gamma2 Vel', name: 'Regor', ra: 8.1589, dec: -47.3366, mag: 1.83, bv: -0.22 },
+    { id: 'delta Vel', name: 'Alsephina', ra: 8.7450, dec: -54.7088, mag: 1.96, bv: 0.04 },
+    { id: 'lambda Vel', name: 'Suhail', ra: 9.1333, dec: -43.4326, mag: 2.21, bv: 1.66 },
+    { id: 'kappa Vel', name: 'Markeb', ra: 9.3686, dec: -55.0107, mag: 2.50, bv: -0.18 },
+    
+    // === Virgo 处女座 ===
+    { id: 'alpha Vir', name: 'Spica', ra: 13.4199, dec: -11.1613, mag: 0.98, bv: -0.23 },
+    { id: 'gamma Vir', name: 'Porrima', ra: 12.6943, dec: -1.4494, mag: 2.74, bv: 0.36 },
+    { id: 'epsilon Vir', name: 'Vindemiatrix', ra: 13.0363, dec: 10.9591, mag: 2.83, bv: 0.94 },
+    { id: 'zeta Vir', name: 'Heze', ra: 13.5783, dec: -0.5958, mag: 3.37, bv: 0.11 },
+    { id: 'delta Vir', name: 'Minelauva', ra: 12.9267, dec: 3.3975, mag: 3.38, bv: 1.58 },
+    { id: 'beta Vir', name: 'Zavijava', ra: 11.8448, dec: 1.7647, mag: 3.61, bv: 0.55 },
+    { id: 'mu Vir', name: 'Rijl al Awwa', ra: 14.7177, dec: -5.6582, mag: 3.88, bv: 0.38 },
+    { id: 'eta Vir', name: 'Zaniah', ra: 12.3318, dec: -0.6668, mag: 3.89, bv: 0.02 },
+];
+
+const starsById = new Map(BRIGHT_STARS.map(star => [star.id, star]));
+
+// 按拜耳命名查找，找不到时返回 null
+export function findBrightStar(id) {
+    return starsById.get(id) || null;
+}
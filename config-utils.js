@@ -0,0 +1,126 @@
+// ============================================
+// Config Utils
+// Read and override effect CONFIG values by dotted path
+// ('bloom.strength', 'tree.colors.0'), shared by the URL overrides
+// and the settings panel
+// ============================================
+
+// 'bloom.strength' -> { parent: CONFIG.bloom, key: 'strength' }，路径不存在时为 null
+function resolvePath(config, path) {
+    const keys = path.split('.');
+    const key = keys.pop();
+    let parent = config;
+    
+    for (const part of keys) {
+        if (!parent || typeof parent !== 'object' || !Object.prototype.hasOwnProperty.call(parent, part)) {
+            return null;
+        }
+        parent = parent[part];
+    }
+    
+    if (!parent || typeof parent !== 'object' || !Object.prototype.hasOwnProperty.call(parent, key)) {
+        return null;
+    }
+    return { parent, key };
+}
+
+export function getConfigValue(config, path) {
+    const target = resolvePath(config, path);
+    return target ? target.parent[target.key] : undefined;
+}
+
+// 按当前值的类型解析文字（URL 里的值都是字符串），无法解析时为 null
+export function parseConfigValue(current, text) {
+    const value = String(text);
+    
+    if (typeof current === 'number') {
+        const number = Number(value);
+        return value.trim() !== '' && Number.isFinite(number) ? number : null;
+    }
+    if (typeof current === 'boolean') {
+        if (value === 'true' || value === '1') return true;
+        if (value === 'false' || value === '0') return false;
+        return null;
+    }
+    if (typeof current === 'string') {
+        return value;
+    }
+    // THREE.Color：'#ffd700' 或 'ffd700'
+    if (current && current.isColor) {
+        return /^#?[0-9a-f]{6}$/i.test(value) ? current.clone().set(`#${value.replace('#', '')}`) : null;
+    }
+    return null;  // 对象、数组等不支持覆盖
+}
+
+// CONFIG 值 -> 可写入 URL / JSON 的值（颜色为 '#rrggbb'）
+export function serializeConfigValue(value) {
+    return value && value.isColor ? `#${value.getHexString()}` : value;
+}
+
+// 覆盖一个已有的数字 / 布尔 / 字符串 / 颜色值，成功时返回 true
+export function setConfigValue(config, path, value) {
+    const target = resolvePath(config, path);
+    if (!target) return false;
+    
+    const parsed = parseConfigValue(target.parent[target.key], value);
+    if (parsed === null) return false;
+    
+    target.parent[target.key] = parsed;
+    return true;
+}
+
+// CONFIG_SCHEMA（见 settings-panel.js）中的所有字段，附带所在分组的 rebuild
+export function schemaFields(schema) {
+    return schema.reduce((fields, section) => {
+        return fields.concat(section.fields.map(field => ({ ...field, rebuild: section.rebuild || null })));
+    }, []);
+}
+
+// 检查来自 URL 或导入文件的 { path: value }：只保留 schema 中的路径，数值限制在 min / max 之间
+// （粒子数量等不设上限会让页面在建场景时卡死）
+export function sanitizeConfigValues(schema, values) {
+    const fields = schemaFields(schema);
+    const sanitized = {};
+    
+    Object.keys(values).forEach(path => {
+        const field = fields.find(candidate => candidate.path === path);
+        if (!field) {
+            console.warn(`⚠️ Config value ${path} ignored (not adjustable)`);
+            return;
+        }
+        
+        // 颜色由 setConfigValue 按格式检查
+        if (field.type === 'color') {
+            sanitized[path] = values[path];
+            return;
+        }
+        
+        const number = Number(values[path]);
+        if (String(values[path]).trim() === '' || !Number.isFinite(number)) {
+            console.warn(`⚠️ Config value ${path}=${values[path]} ignored`);
+            return;
+        }
+        
+        sanitized[path] = Math.min(Math.max(number, field.min), field.max);
+        if (sanitized[path] !== number) {
+            console.warn(`⚠️ Config value ${path}=${number} limited to ${sanitized[path]}`);
+        }
+    });
+    
+    return sanitized;
+}
+
+// 批量覆盖 { path: value }，返回实际生效的部分（无效的路径和值跳过并警告）
+export function applyConfigOverrides(config, overrides) {
+    const applied = {};
+    
+    Object.keys(overrides).forEach(path => {
+        if (setConfigValue(config, path, overrides[path])) {
+            applied[path] = serializeConfigValue(getConfigValue(config, path));
+        } else {
+            console.warn(`⚠️ Config override ${path}=${overrides[path]} ignored`);
+        }
+    });
+    
+    return applied;
+}
@@ -5,13 +5,21 @@
 
 // === 12 黄道星座 + 著名星座 (共17个) ===
 // 新增 artLines: 用于绘制星座拟物图形的线条路径
+// dateRange: 黄道星座对应的生日区间（含首尾，可跨年，如摩羯座 12/22 - 1/19）
+// season: 其他星座的最佳观测季节
+// ra / dec: 星座中心的赤经（小时）和赤纬（度）
+// stars[].id: bright-stars.js 中对应的真实恒星，星点位置、亮度取自星表
+//   stars / artLines 的 x、y 是星座平面图坐标，拟物图按星点的平面图坐标
+//   与真实位置做相似变换拟合后贴到天球上
 export const CONSTELLATIONS = {
     // ===== 黄道十二星座 =====
     aries: {
-        name: 'Aries', nameCN: '白羊座', symbol: '♈', color: 0xFF6347, date: '3/21-4/19',
+        name: 'Aries', nameCN: '白羊座', symbol: '♈', color: 0xFF6347,
+        dateRange: { start: { month: 3, day: 21 }, end: { month: 4, day: 19 } },
+        ra: 2.6, dec: 20,
         stars: [
-            { x: 0, y: 0, z: 0, size: 1.4 }, { x: 0.5, y: 0.3, z: 0.1, size: 1.2 },
-            { x: 1.0, y: 0.2, z: 0, size: 1.3 }, { x: 1.3, y: -0.1, z: 0.1, size: 1.0 },
+            { id: '41 Ari', x: 0, y: 0, z: 0, size: 1.4 }, { id: 'alpha Ari', x: 0.5, y: 0.3, z: 0.1, size: 1.2 },
+            { id: 'beta Ari', x: 1.0, y: 0.2, z: 0, size: 1.3 }, { id: 'gamma Ari', x: 1.3, y: -0.1, z: 0.1, size: 1.0 },
         ],
         lines: [[0, 1], [1, 2], [2, 3]],
         // 白羊座拟物图 - 完整公羊侧面图
@@ -59,11 +67,13 @@ export const CONSTELLATIONS = {
         ]
     },
     taurus: {
-        name: 'Taurus', nameCN: '金牛座', symbol: '♉', color: 0xCD853F, date: '4/20-5/20',
+        name: 'Taurus', nameCN: '金牛座', symbol: '♉', color: 0xCD853F,
+        dateRange: { start: { month: 4, day: 20 }, end: { month: 5, day: 20 } },
+        ra: 4.7, dec: 15,
         stars: [
-            { x: 0, y: 0, z: 0, size: 1.6 }, { x: -0.3, y: 0.4, z: 0.1, size: 1.1 },
-            { x: -0.6, y: 0.7, z: 0, size: 1.0 }, { x: 0.4, y: 0.3, z: 0.1, size: 1.2 },
-            { x: 0.7, y: 0.6, z: 0, size: 1.1 },
+            { id: 'alpha Tau', x: 0, y: 0, z: 0, size: 1.6 }, { id: 'zeta Tau', x: -0.3, y: 0.4, z: 0.1, size: 1.1 },
+            { id: 'beta Tau', x: -0.6, y: 0.7, z: 0, size: 1.0 }, { id: 'epsilon Tau', x: 0.4, y: 0.3, z: 0.1, size: 1.2 },
+            { id: 'eta Tau', x: 0.7, y: 0.6, z: 0, size: 1.1 },
         ],
         lines: [[0, 1], [1, 2], [0, 3], [3, 4]],
         // 金牛座拟物图 - 完整公牛站立图
@@ -120,11 +130,13 @@ export const CONSTELLATIONS = {
         ]
     },
     gemini: {
-        name: 'Gemini', nameCN: '双子座', symbol: '♊', color: 0x00CED1, date: '5/21-6/21',
+        name: 'Gemini', nameCN: '双子座', symbol: '♊', color: 0x00CED1,
+        dateRange: { start: { month: 5, day: 21 }, end: { month: 6, day: 21 } },
+        ra: 7.0, dec: 22,
         stars: [
-            { x: 0, y: 0.8, z: 0, size: 1.5 }, { x: 0.3, y: 0.6, z: 0.1, size: 1.5 },
-            { x: -0.2, y: 0.3, z: 0, size: 1.0 }, { x: 0.5, y: 0.2, z: 0.1, size: 1.0 },
-            { x: -0.3, y: -0.2, z: 0, size: 0.9 }, { x: 0.4, y: -0.3, z: 0.1, size: 0.9 },
+            { id: 'beta Gem', x: 0, y: 0.8, z: 0, size: 1.5 }, { id: 'alpha Gem', x: 0.3, y: 0.6, z: 0.1, size: 1.5 },
+            { id: 'delta Gem', x: -0.2, y: 0.3, z: 0, size: 1.0 }, { id: 'epsilon Gem', x: 0.5, y: 0.2, z: 0.1, size: 1.0 },
+            { id: 'gamma Gem', x: -0.3, y: -0.2, z: 0, size: 0.9 }, { id: 'mu Gem', x: 0.4, y: -0.3, z: 0.1, size: 0.9 },
         ],
         lines: [[0, 2], [2, 4], [1, 3], [3, 5], [0, 1]],
         // 双子座拟物图 - 双子人形
@@ -152,10 +164,12 @@ export const CONSTELLATIONS = {
         ]
     },
     cancer: {
-        name: 'Cancer', nameCN: '巨蟹座', symbol: '♋', color: 0x708090, date: '6/22-7/22',
+        name: 'Cancer', nameCN: '巨蟹座', symbol: '♋', color: 0x708090,
+        dateRange: { start: { month: 6, day: 22 }, end: { month: 7, day: 22 } },
+        ra: 8.6, dec: 20,
         stars: [
-            { x: 0, y: 0, z: 0, size: 1.2 }, { x: 0.4, y: 0.3, z: 0.1, size: 1.0 },
-            { x: -0.3, y: 0.4, z: 0, size: 1.0 }, { x: 0.2, y: -0.3, z: 0.1, size: 0.9 },
+            { id: 'delta Cnc', x: 0, y: 0, z: 0, size: 1.2 }, { id: 'gamma Cnc', x: 0.4, y: 0.3, z: 0.1, size: 1.0 },
+            { id: 'alpha Cnc', x: -0.3, y: 0.4, z: 0, size: 1.0 }, { id: 'beta Cnc', x: 0.2, y: -0.3, z: 0.1, size: 0.9 },
         ],
         lines: [[0, 1], [0, 2], [0, 3]],
         // 巨蟹座拟物图 - 螃蟹
@@ -177,11 +191,13 @@ export const CONSTELLATIONS = {
         ]
     },
     leo: {
-        name: 'Leo', nameCN: '狮子座', symbol: '♌', color: 0xFFA500, date: '7/23-8/22',
+        name: 'Leo', nameCN: '狮子座', symbol: '♌', color: 0xFFA500,
+        dateRange: { start: { month: 7, day: 23 }, end: { month: 8, day: 22 } },
+        ra: 10.7, dec: 15,
         stars: [
-            { x: 0, y: 0, z: 0, size: 1.6 }, { x: 0.3, y: 0.4, z: 0.1, size: 1.2 },
-            { x: 0.7, y: 0.6, z: 0, size: 1.1 }, { x: 1.0, y: 0.4, z: 0.1, size: 1.0 },
-            { x: 1.2, y: 0, z: 0, size: 1.3 }, { x: 0.5, y: -0.2, z: 0.1, size: 1.0 },
+            { id: 'alpha Leo', x: 0, y: 0, z: 0, size: 1.6 }, { id: 'eta Leo', x: 0.3, y: 0.4, z: 0.1, size: 1.2 },
+            { id: 'gamma1 Leo', x: 0.7, y: 0.6, z: 0, size: 1.1 }, { id: 'delta Leo', x: 1.0, y: 0.4, z: 0.1, size: 1.0 },
+            { id: 'beta Leo', x: 1.2, y: 0, z: 0, size: 1.3 }, { id: 'theta Leo', x: 0.5, y: -0.2, z: 0.1, size: 1.0 },
         ],
         lines: [[0, 1], [1, 2], [2, 3], [3, 4], [0, 5], [5, 4]],
         // 狮子座拟物图 - 狮子侧面
@@ -201,11 +217,13 @@ export const CONSTELLATIONS = {
         ]
     },
     virgo: {
-        name: 'Virgo', nameCN: '处女座', symbol: '♍', color: 0x9370DB, date: '8/23-9/22',
+        name: 'Virgo', nameCN: '处女座', symbol: '♍', color: 0x9370DB,
+        dateRange: { start: { month: 8, day: 23 }, end: { month: 9, day: 22 } },
+        ra: 13.4, dec: -4,
         stars: [
-            { x: 0, y: 0, z: 0, size: 1.5 }, { x: 0.3, y: 0.5, z: 0.1, size: 1.1 },
-            { x: 0.6, y: 0.8, z: 0, size: 1.0 }, { x: -0.2, y: 0.4, z: 0.1, size: 1.0 },
-            { x: -0.5, y: 0.7, z: 0, size: 0.9 },
+            { id: 'alpha Vir', x: 0, y: 0, z: 0, size: 1.5 }, { id: 'gamma Vir', x: 0.3, y: 0.5, z: 0.1, size: 1.1 },
+            { id: 'beta Vir', x: 0.6, y: 0.8, z: 0, size: 1.0 }, { id: 'zeta Vir', x: -0.2, y: 0.4, z: 0.1, size: 1.0 },
+            { id: 'epsilon Vir', x: -0.5, y: 0.7, z: 0, size: 0.9 },
         ],
         lines: [[0, 1], [1, 2], [0, 3], [3, 4]],
         // 处女座拟物图 - 少女持麦穗
@@ -226,11 +244,13 @@ export const CONSTELLATIONS = {
         ]
     },
     libra: {
-        name: 'Libra', nameCN: '天秤座', symbol: '♎', color: 0x20B2AA, date: '9/23-10/23',
+        name: 'Libra', nameCN: '天秤座', symbol: '♎', color: 0x20B2AA,
+        dateRange: { start: { month: 9, day: 23 }, end: { month: 10, day: 23 } },
+        ra: 15.2, dec: -15,
         stars: [
-            { x: 0, y: 0, z: 0, size: 1.3 }, { x: 0.5, y: 0.3, z: 0.1, size: 1.2 },
-            { x: -0.5, y: 0.3, z: 0, size: 1.2 }, { x: 0.3, y: -0.4, z: 0.1, size: 1.0 },
-            { x: -0.3, y: -0.4, z: 0, size: 1.0 },
+            { id: 'beta Lib', x: 0, y: 0, z: 0, size: 1.3 }, { id: 'alpha2 Lib', x: 0.5, y: 0.3, z: 0.1, size: 1.2 },
+            { id: 'gamma Lib', x: -0.5, y: 0.3, z: 0, size: 1.2 }, { id: 'sigma Lib', x: 0.3, y: -0.4, z: 0.1, size: 1.0 },
+            { id: 'upsilon Lib', x: -0.3, y: -0.4, z: 0, size: 1.0 },
         ],
         lines: [[0, 1], [0, 2], [1, 3], [2, 4]],
         // 天秤座拟物图 - 天平
@@ -250,11 +270,13 @@ export const CONSTELLATIONS = {
         ]
     },
     scorpio: {
-        name: 'Scorpio', nameCN: '天蝎座', symbol: '♏', color: 0xDC143C, date: '10/24-11/22',
+        name: 'Scorpio', nameCN: '天蝎座', symbol: '♏', color: 0xDC143C,
+        dateRange: { start: { month: 10, day: 24 }, end: { month: 11, day: 22 } },
+        ra: 16.9, dec: -27,
         stars: [
-            { x: 0, y: 0, z: 0, size: 1.7 }, { x: 0.3, y: 0.3, z: 0.1, size: 1.1 },
-            { x: -0.3, y: -0.3, z: 0.1, size: 1.0 }, { x: -0.6, y: -0.5, z: 0, size: 1.0 },
-            { x: -0.9, y: -0.6, z: 0.1, size: 1.1 }, { x: -1.1, y: -0.4, z: 0, size: 1.0 },
+            { id: 'alpha Sco', x: 0, y: 0, z: 0, size: 1.7 }, { id: 'delta Sco', x: 0.3, y: 0.3, z: 0.1, size: 1.1 },
+            { id: 'tau Sco', x: -0.3, y: -0.3, z: 0.1, size: 1.0 }, { id: 'epsilon Sco', x: -0.6, y: -0.5, z: 0, size: 1.0 },
+            { id: 'theta Sco', x: -0.9, y: -0.6, z: 0.1, size: 1.1 }, { id: 'lambda Sco', x: -1.1, y: -0.4, z: 0, size: 1.0 },
         ],
         lines: [[0, 1], [0, 2], [2, 3], [3, 4], [4, 5]],
         // 天蝎座拟物图 - 蝎子
@@ -279,11 +301,13 @@ export const CONSTELLATIONS = {
         ]
     },
     sagittarius: {
-        name: 'Sagittarius', nameCN: '射手座', symbol: '♐', color: 0x9400D3, date: '11/23-12/21',
+        name: 'Sagittarius', nameCN: '射手座', symbol: '♐', color: 0x9400D3,
+        dateRange: { start: { month: 11, day: 23 }, end: { month: 12, day: 21 } },
+        ra: 19.1, dec: -25,
         stars: [
-            { x: 0, y: 0, z: 0, size: 1.3 }, { x: 0.4, y: 0.4, z: 0.1, size: 1.2 },
-            { x: 0.7, y: 0.2, z: 0, size: 1.1 }, { x: -0.3, y: 0.3, z: 0.1, size: 1.1 },
-            { x: -0.5, y: -0.2, z: 0, size: 1.0 },
+            { id: 'sigma Sgr', x: 0, y: 0, z: 0, size: 1.3 }, { id: 'lambda Sgr', x: 0.4, y: 0.4, z: 0.1, size: 1.2 },
+            { id: 'delta Sgr', x: 0.7, y: 0.2, z: 0, size: 1.1 }, { id: 'tau Sgr', x: -0.3, y: 0.3, z: 0.1, size: 1.1 },
+            { id: 'zeta Sgr', x: -0.5, y: -0.2, z: 0, size: 1.0 },
         ],
         lines: [[0, 1], [1, 2], [0, 3], [3, 4]],
         // 射手座拟物图 - 弓箭手
@@ -308,11 +332,13 @@ export const CONSTELLATIONS = {
         ]
     },
     capricorn: {
-        name: 'Capricorn', nameCN: '摩羯座', symbol: '♑', color: 0x2F4F4F, date: '12/22-1/19',
+        name: 'Capricorn', nameCN: '摩羯座', symbol: '♑', color: 0x2F4F4F,
+        dateRange: { start: { month: 12, day: 22 }, end: { month: 1, day: 19 } },
+        ra: 21.0, dec: -18,
         stars: [
-            { x: 0, y: 0, z: 0, size: 1.3 }, { x: 0.5, y: 0.2, z: 0.1, size: 1.1 },
-            { x: 0.8, y: 0, z: 0, size: 1.0 }, { x: 0.6, y: -0.3, z: 0.1, size: 1.0 },
-            { x: 0.2, y: -0.4, z: 0, size: 1.1 },
+            { id: 'delta Cap', x: 0, y: 0, z: 0, size: 1.3 }, { id: 'theta Cap', x: 0.5, y: 0.2, z: 0.1, size: 1.1 },
+            { id: 'beta Cap', x: 0.8, y: 0, z: 0, size: 1.0 }, { id: 'omega Cap', x: 0.6, y: -0.3, z: 0.1, size: 1.0 },
+            { id: 'zeta Cap', x: 0.2, y: -0.4, z: 0, size: 1.1 },
         ],
         lines: [[0, 1], [1, 2], [2, 3], [3, 4], [4, 0]],
         // 摩羯座拟物图 - 山羊鱼尾
@@ -333,11 +359,13 @@ export const CONSTELLATIONS = {
         ]
     },
     aquarius: {
-        name: 'Aquarius', nameCN: '水瓶座', symbol: '♒', color: 0x4169E1, date: '1/20-2/18',
+        name: 'Aquarius', nameCN: '水瓶座', symbol: '♒', color: 0x4169E1,
+        dateRange: { start: { month: 1, day: 20 }, end: { month: 2, day: 18 } },
+        ra: 22.3, dec: -11,
         stars: [
-            { x: 0, y: 0, z: 0, size: 1.3 }, { x: 0.4, y: 0.3, z: 0.1, size: 1.1 },
-            { x: 0.8, y: 0.2, z: 0, size: 1.0 }, { x: -0.3, y: -0.2, z: 0, size: 1.1 },
-            { x: -0.6, y: -0.5, z: 0.1, size: 1.0 },
+            { id: 'alpha Aqr', x: 0, y: 0, z: 0, size: 1.3 }, { id: 'beta Aqr', x: 0.4, y: 0.3, z: 0.1, size: 1.1 },
+            { id: 'epsilon Aqr', x: 0.8, y: 0.2, z: 0, size: 1.0 }, { id: 'lambda Aqr', x: -0.3, y: -0.2, z: 0, size: 1.1 },
+            { id: 'delta Aqr', x: -0.6, y: -0.5, z: 0.1, size: 1.0 },
         ],
         lines: [[0, 1], [1, 2], [0, 3], [3, 4]],
         // 水瓶座拟物图 - 倒水的水瓶
@@ -356,11 +384,13 @@ export const CONSTELLATIONS = {
         ]
     },
     pisces: {
-        name: 'Pisces', nameCN: '双鱼座', symbol: '♓', color: 0x48D1CC, date: '2/19-3/20',
+        name: 'Pisces', nameCN: '双鱼座', symbol: '♓', color: 0x48D1CC,
+        dateRange: { start: { month: 2, day: 19 }, end: { month: 3, day: 20 } },
+        ra: 1.0, dec: 15,
         stars: [
-            { x: 0, y: 0, z: 0, size: 1.2 }, { x: 0.4, y: 0.3, z: 0.1, size: 1.0 },
-            { x: 0.7, y: 0.5, z: 0, size: 1.1 }, { x: -0.3, y: -0.2, z: 0, size: 1.0 },
-            { x: -0.5, y: -0.5, z: 0.1, size: 1.1 },
+            { id: 'alpha Psc', x: 0, y: 0, z: 0, size: 1.2 }, { id: 'nu Psc', x: 0.4, y: 0.3, z: 0.1, size: 1.0 },
+            { id: 'epsilon Psc', x: 0.7, y: 0.5, z: 0, size: 1.1 }, { id: 'omicron Psc', x: -0.3, y: -0.2, z: 0, size: 1.0 },
+            { id: 'eta Psc', x: -0.5, y: -0.5, z: 0.1, size: 1.1 },
         ],
         lines: [[0, 1], [1, 2], [0, 3], [3, 4]],
         // 双鱼座拟物图 - 两条鱼
@@ -384,14 +414,15 @@ export const CONSTELLATIONS = {
     
     // ===== 著名星座 =====
     orion: {
-        name: 'Orion', nameCN: '猎户座', symbol: '🏹', color: 0x87CEEB, date: '冬季',
+        name: 'Orion', nameCN: '猎户座', symbol: '🏹', color: 0x87CEEB, season: '冬季',
+        ra: 5.6, dec: 5,
         stars: [
-            { x: 0, y: 0.8, z: 0, size: 1.7 }, { x: 0.6, y: 0.7, z: 0.1, size: 1.4 },
-            { x: 0.2, y: 0.3, z: 0, size: 1.1 }, { x: 0.3, y: 0.2, z: 0.1, size: 1.2 },
-            { x: 0.4, y: 0.1, z: 0, size: 1.1 }, { x: 0, y: -0.4, z: 0.1, size: 1.4 },
-            { x: 0.6, y: -0.3, z: 0, size: 1.6 },
+            { id: 'alpha Ori', x: 0, y: 0.8, z: 0, size: 1.7 }, { id: 'gamma Ori', x: 0.6, y: 0.7, z: 0.1, size: 1.4 },
+            { id: 'zeta Ori', x: 0.2, y: 0.3, z: 0, size: 1.1 }, { id: 'epsilon Ori', x: 0.3, y: 0.2, z: 0.1, size: 1.2 },
+            { id: 'delta Ori', x: 0.4, y: 0.1, z: 0, size: 1.1 }, { id: 'kappa Ori', x: 0, y: -0.4, z: 0.1, size: 1.4 },
+            { id: 'beta Ori', x: 0.6, y: -0.3, z: 0, size: 1.6 },
         ],
-        lines: [[0, 1], [0, 5], [1, 6], [2, 3], [3, 4], [5, 4], [6, 4]],
+        lines: [[0, 1], [0, 2], [1, 4], [2, 3], [3, 4], [2, 5], [4, 6]],
         // 猎户座拟物图 - 猎人
         artLines: [
             // 头部
@@ -412,14 +443,15 @@ export const CONSTELLATIONS = {
         ]
     },
     ursaMajor: {
-        name: 'Ursa Major', nameCN: '大熊座', symbol: '🐻', color: 0xFFD700, date: '全年',
+        name: 'Ursa Major', nameCN: '大熊座', symbol: '🐻', color: 0xFFD700, season: '全年',
+        ra: 11.3, dec: 50,
         stars: [
-            { x: 0, y: 0, z: 0, size: 1.4 }, { x: 0.4, y: 0.1, z: 0.1, size: 1.3 },
-            { x: 0.8, y: 0, z: 0, size: 1.2 }, { x: 1.1, y: 0.2, z: 0.1, size: 1.3 },
-            { x: 1.5, y: 0.3, z: 0, size: 1.4 }, { x: 1.9, y: 0.2, z: 0.1, size: 1.3 },
-            { x: 2.2, y: 0, z: 0, size: 1.2 },
+            { id: 'eta UMa', x: 0, y: 0, z: 0, size: 1.4 }, { id: 'zeta UMa', x: 0.4, y: 0.1, z: 0.1, size: 1.3 },
+            { id: 'epsilon UMa', x: 0.8, y: 0, z: 0, size: 1.2 }, { id: 'delta UMa', x: 1.1, y: 0.2, z: 0.1, size: 1.3 },
+            { id: 'gamma UMa', x: 1.5, y: 0.3, z: 0, size: 1.4 }, { id: 'beta UMa', x: 1.9, y: 0.2, z: 0.1, size: 1.3 },
+            { id: 'alpha UMa', x: 2.2, y: 0, z: 0, size: 1.2 },
         ],
-        lines: [[0, 1], [1, 2], [2, 3], [3, 4], [4, 5], [5, 6]],
+        lines: [[0, 1], [1, 2], [2, 3], [3, 4], [4, 5], [5, 6], [6, 3]],
         // 大熊座拟物图 - 北斗七星勺子 + 熊的轮廓
         artLines: [
             // 勺子部分（北斗七星本体就是勺子形状）
@@ -437,13 +469,14 @@ export const CONSTELLATIONS = {
         ]
     },
     cygnus: {
-        name: 'Cygnus', nameCN: '天鹅座', symbol: '🦢', color: 0x98FB98, date: '夏季',
+        name: 'Cygnus', nameCN: '天鹅座', symbol: '🦢', color: 0x98FB98, season: '夏季',
+        ra: 20.6, dec: 42,
         stars: [
-            { x: 0, y: 0.6, z: 0, size: 1.5 }, { x: 0, y: 0.3, z: 0.1, size: 1.2 },
-            { x: 0, y: 0, z: 0, size: 1.3 }, { x: -0.4, y: -0.2, z: 0.1, size: 1.1 },
-            { x: 0.4, y: -0.2, z: 0, size: 1.1 }, { x: 0, y: -0.5, z: 0.1, size: 1.4 },
+            { id: 'alpha Cyg', x: 0, y: 0.6, z: 0, size: 1.5 }, { id: 'gamma Cyg', x: 0, y: 0.3, z: 0.1, size: 1.2 },
+            { id: 'eta Cyg', x: 0, y: 0, z: 0, size: 1.3 }, { id: 'epsilon Cyg', x: -0.4, y: -0.2, z: 0.1, size: 1.1 },
+            { id: 'delta Cyg', x: 0.4, y: -0.2, z: 0, size: 1.1 }, { id: 'beta Cyg', x: 0, y: -0.5, z: 0.1, size: 1.4 },
         ],
-        lines: [[0, 1], [1, 2], [2, 3], [2, 4], [2, 5]],
+        lines: [[0, 1], [1, 2], [2, 5], [1, 3], [1, 4]],
         // 天鹅座拟物图 - 飞翔的天鹅
         artLines: [
             // 头和嘴
@@ -463,11 +496,12 @@ export const CONSTELLATIONS = {
         ]
     },
     cassiopeia: {
-        name: 'Cassiopeia', nameCN: '仙后座', symbol: '👑', color: 0xFFB6C1, date: '全年',
+        name: 'Cassiopeia', nameCN: '仙后座', symbol: '👑', color: 0xFFB6C1, season: '全年',
+        ra: 1.0, dec: 60,
         stars: [
-            { x: 0, y: 0, z: 0, size: 1.3 }, { x: 0.4, y: 0.3, z: 0.1, size: 1.4 },
-            { x: 0.8, y: 0.1, z: 0, size: 1.5 }, { x: 1.2, y: 0.4, z: 0.1, size: 1.3 },
-            { x: 1.6, y: 0.2, z: 0, size: 1.4 },
+            { id: 'epsilon Cas', x: 0, y: 0, z: 0, size: 1.3 }, { id: 'delta Cas', x: 0.4, y: 0.3, z: 0.1, size: 1.4 },
+            { id: 'gamma Cas', x: 0.8, y: 0.1, z: 0, size: 1.5 }, { id: 'alpha Cas', x: 1.2, y: 0.4, z: 0.1, size: 1.3 },
+            { id: 'beta Cas', x: 1.6, y: 0.2, z: 0, size: 1.4 },
         ],
         lines: [[0, 1], [1, 2], [2, 3], [3, 4]],
         // 仙后座拟物图 - 王座上的女王
@@ -488,11 +522,12 @@ export const CONSTELLATIONS = {
         ]
     },
     lyra: {
-        name: 'Lyra', nameCN: '天琴座', symbol: '🎵', color: 0x00BFFF, date: '夏季',
+        name: 'Lyra', nameCN: '天琴座', symbol: '🎵', color: 0x00BFFF, season: '夏季',
+        ra: 18.8, dec: 36,
         stars: [
-            { x: 0, y: 0, z: 0, size: 1.9 }, { x: 0.2, y: -0.3, z: 0.1, size: 1.0 },
-            { x: 0.4, y: -0.4, z: 0, size: 1.0 }, { x: 0.2, y: -0.6, z: 0.1, size: 0.9 },
-            { x: 0.4, y: -0.7, z: 0, size: 0.9 },
+            { id: 'alpha Lyr', x: 0, y: 0, z: 0, size: 1.9 }, { id: 'zeta1 Lyr', x: 0.2, y: -0.3, z: 0.1, size: 1.0 },
+            { id: 'delta2 Lyr', x: 0.4, y: -0.4, z: 0, size: 1.0 }, { id: 'beta Lyr', x: 0.2, y: -0.6, z: 0.1, size: 0.9 },
+            { id: 'gamma Lyr', x: 0.4, y: -0.7, z: 0, size: 0.9 },
         ],
         lines: [[0, 1], [0, 2], [1, 3], [2, 4], [3, 4]],
         // 天琴座拟物图 - 七弦琴
@@ -528,3 +563,35 @@ export const ZODIAC_CONSTELLATIONS = [
 export const FAMOUS_CONSTELLATIONS = [
     'orion', 'ursaMajor', 'cygnus', 'cassiopeia', 'lyra'
 ];
+
+// 黄道星座按起始日期的日历顺序（水瓶座 1/20 起）
+export const ZODIAC_CALENDAR_ORDER = [...ZODIAC_CONSTELLATIONS].sort((a, b) => {
+    const startA = CONSTELLATIONS[a].dateRange.start;
+    const startB = CONSTELLATIONS[b].dateRange.start;
+    return (startA.month * 100 + startA.day) - (startB.month * 100 + startB.day);
+});
+
+// 根据生日（月、日）查找黄道星座，返回星座 key
+export function findZodiacByDate(month, day) {
+    const value = month * 100 + day;
+    
+    return ZODIAC_CONSTELLATIONS.find(key => {
+        const { start, end } = CONSTELLATIONS[key].dateRange;
+        const startValue = start.month * 100 + start.day;
+        const endValue = end.month * 100 + end.day;
+        
+        // 跨年区间（摩羯座）
+        return startValue <= endValue
+            ? value >= startValue && value <= endValue
+            : value >= startValue || value <= endValue;
+    }) || null;
+}
+
+// '3/21 - 4/19' 或季节文字
+export function formatConstellationDates(constellation) {
+    if (constellation.dateRange) {
+        const { start, end } = constellation.dateRange;
+        return `${start.month}/${start.day} - ${end.month}/${end.day}`;
+    }
+    return constellation.season;
+}
@@ -0,0 +1,18 @@
+// ============================================
+// Download Utilities - save a Blob as a file through a temporary link
+// Used for recordings, screenshots / clips and exported settings
+// ============================================
+
+// 点击后马上 revokeObjectURL 会让 Firefox / Safari 取消下载（大的视频文件尤其明显）
+const REVOKE_DELAY = 10000;
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    
+    setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+}
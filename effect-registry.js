@@ -0,0 +1,72 @@
+// ============================================
+// Effect Registry
+// Effects register their metadata here; main.js builds the
+// switcher UI, title styling and hand-tracking wiring from it
+// ============================================
+
+const effects = new Map();  // id -> effect metadata（按注册顺序）
+const loadedModules = new Map();  // id -> 已加载的效果模块
+
+// 注册一个效果
+// {
+//     id: 'christmas',              // 唯一标识
+//     icon: '🎄',                   // 切换按钮图标
+//     label: 'Christmas Tree',      // 按钮提示文字
+//     title: 'MERRY CHRISTMAS',     // 顶部标题
+//     glowColor: '#ffd700',         // 标题光晕 / 按钮高亮颜色
+//     modulePath: './script.js',    // 实现生命周期接口的模块（相对于本文件）
+//     transition: 'crossfade'       // 可选：切换到该效果时的过渡（crossfade | wipe | radial）
+// }
+export function registerEffect(definition) {
+    const required = ['id', 'icon', 'label', 'title', 'glowColor', 'modulePath'];
+    const missing = required.filter(key => !definition[key]);
+    if (missing.length > 0) {
+        throw new Error(`Effect "${definition.id || '?'}" is missing: ${missing.join(', ')}`);
+    }
+    
+    if (effects.has(definition.id)) {
+        console.warn(`Effect "${definition.id}" is already registered, replacing it`);
+    }
+    
+    effects.set(definition.id, Object.freeze({ ...definition }));
+}
+
+export function getEffects() {
+    return Array.from(effects.values());
+}
+
+export function getEffect(id) {
+    return effects.get(id) || null;
+}
+
+// 动态加载效果模块（只加载一次）
+export async function loadEffectModule(id) {
+    if (loadedModules.has(id)) {
+        return loadedModules.get(id);
+    }
+    
+    const effect = getEffect(id);
+    if (!effect) {
+        throw new Error(`Unknown effect "${id}"`);
+    }
+    
+    const module = await import(effect.modulePath);
+    
+    const lifecycle = ['init', 'update', 'resize', 'getOutputTexture', 'pause', 'resume', 'dispose', 'onResults'];
+    const missing = lifecycle.filter(name => typeof module[name] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`${effect.modulePath} does not export: ${missing.join(', ')}`);
+    }
+    
+    loadedModules.set(id, module);
+    return module;
+}
+
+// '#ffd700' -> 'rgba(255, 215, 0, 0.8)'
+export function glowToRgba(hex, alpha) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    const r = (value >> 16) & 255;
+    const g = (value >> 8) & 255;
+    const b = value & 255;
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
@@ -0,0 +1,27 @@
+// ============================================
+// Built-in Effects
+// Add a registerEffect() call here to ship a new effect module;
+// the first registered effect is shown on startup
+// ============================================
+
+import { registerEffect } from './effect-registry.js';
+
+registerEffect({
+    id: 'christmas',
+    icon: '🎄',
+    label: 'Christmas Tree',
+    title: 'MERRY CHRISTMAS',
+    glowColor: '#ffd700',
+    modulePath: './script.js',
+    transition: 'wipe'
+});
+
+registerEffect({
+    id: 'starry',
+    icon: '⭐',
+    label: 'Starry Night',
+    title: 'STARRY NIGHT',
+    glowColor: '#87ceeb',
+    modulePath: './starry-night-v2.js',
+    transition: 'radial'
+});
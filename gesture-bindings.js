@@ -0,0 +1,203 @@
+// ============================================
+// Gesture Bindings
+// Connects gesture-engine events to named actions published by each
+// effect; the gesture -> action map is plain JSON, editable in a
+// toolbar panel and saved per browser
+// ============================================
+
+import { addToolbarButton, addToolbarPanel, removeToolbarButton } from './toolbar.js';
+
+const STORAGE_PREFIX = 'christmas-magic:gesture-bindings:';
+
+// 可绑定的手势（面板按此顺序列出）
+export const BINDABLE_GESTURES = [
+    { gesture: 'OPEN_PALM', label: '✋ Open palm' },
+    { gesture: 'POINT', label: '☝️ Point' },
+    { gesture: 'PINCH', label: '🤏 Pinch' },
+    { gesture: 'FIST', label: '✊ Fist' },
+    { gesture: 'V_SIGN', label: '✌️ V sign' },
+    { gesture: 'TWO_HANDS', label: '🙌 Two hands' },
+    { gesture: 'CLAP', label: '👏 Clap' },
+    { gesture: 'HEART', label: '🫶 Heart' },
+    { gesture: 'SWIPE_LEFT', label: '👈 Swipe left' },
+    { gesture: 'SWIPE_RIGHT', label: '👉 Swipe right' },
+    { gesture: 'SWIPE_UP', label: '👆 Swipe up' },
+    { gesture: 'SWIPE_DOWN', label: '👇 Swipe down' }
+];
+
+const GESTURE_NAMES = BINDABLE_GESTURES.map(({ gesture }) => gesture);
+
+// 滑动是一次性事件：只触发 start，没有 hold / end
+function isSwipe(gesture) {
+    return gesture.startsWith('SWIPE_');
+}
+
+// 只有 start 的动作可以绑定到滑动（需要 hold 的动作在滑动时什么都不做，
+// 有 end 的动作收不到结束，例如暂停的幻灯片不会继续）
+function isDiscrete(action) {
+    return Boolean(action.start) && !action.hold && !action.end;
+}
+
+function loadSavedBindings(storageKey) {
+    try {
+        const saved = localStorage.getItem(storageKey);
+        return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+        console.warn('⚠️ Saved gesture bindings ignored:', error.message);
+        return {};
+    }
+}
+
+// 把各效果的动作挂到手势引擎上
+// id: 效果 id（保存位置按效果区分）
+// actions: { name: { label, start(event), hold(event), end(event) } }，三个回调都可选；
+//          滑动手势只调用 start，所以只能绑定只有 start 的动作
+// defaults: 默认绑定 { GESTURE: 'actionName' }，未列出的手势不做任何事
+export function createGestureBindings({ id, engine, actions, defaults }) {
+    const storageKey = STORAGE_PREFIX + id;
+    let bindings = {};
+    
+    // 只接受已知手势和动作，旧版本保存的无效条目直接丢弃
+    function sanitize(map) {
+        const result = {};
+        Object.keys(map).forEach(gesture => {
+            const action = map[gesture];
+            if (!GESTURE_NAMES.includes(gesture)) return;
+            if (action === null || (actions[action] && (!isSwipe(gesture) || isDiscrete(actions[action])))) {
+                result[gesture] = action;
+            } else if (actions[action]) {
+                console.warn(`⚠️ Action "${action}" needs a held gesture and cannot be bound to ${gesture}, using default`);
+            } else {
+                console.warn(`⚠️ Unknown action "${action}" for ${gesture}, using default`);
+            }
+        });
+        return result;
+    }
+    
+    function save() {
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(bindings));
+        } catch (error) {
+            console.warn('⚠️ Gesture bindings could not be saved:', error.message);
+        }
+    }
+    
+    // 手势当前绑定的动作名（没有绑定时为 null）
+    function getActionName(gesture) {
+        return bindings[gesture] || null;
+    }
+    
+    function getAction(gesture) {
+        const name = getActionName(gesture);
+        return name ? actions[name] : null;
+    }
+    
+    function run(phase, event) {
+        const action = getAction(event.gesture);
+        if (action && action[phase]) {
+            action[phase](event);
+        }
+    }
+    
+    // 绑定或解除（action 为 null）一个手势，并保存
+    function setBinding(gesture, action) {
+        bindings = { ...bindings, ...sanitize({ [gesture]: action }) };
+        save();
+    }
+    
+    function resetBindings() {
+        bindings = sanitize(defaults);
+        try {
+            localStorage.removeItem(storageKey);
+        } catch (error) {
+            // 存储不可用时只在本次会话中生效
+        }
+    }
+    
+    // 完整绑定表（JSON 可序列化）
+    function getBindings() {
+        return { ...bindings };
+    }
+    
+    // 动作列表 [{ name, label, discrete }]（设置面板用，discrete 的动作才能绑定到滑动）
+    function getActions() {
+        return Object.keys(actions).map(name => ({ name, label: actions[name].label, discrete: isDiscrete(actions[name]) }));
+    }
+    
+    bindings = { ...sanitize(defaults), ...sanitize(loadSavedBindings(storageKey)) };
+    
+    const unsubscribers = [
+        engine.on('start', event => run('start', event)),
+        engine.on('hold', event => run('hold', event)),
+        engine.on('end', event => run('end', event)),
+        engine.on('swipe', event => run('start', event))
+    ];
+    
+    function dispose() {
+        unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+    
+    return { getAction, getActionName, getBindings, getActions, setBinding, resetBindings, dispose };
+}
+
+// 工具栏按钮 + 面板：每个手势一个下拉框选择动作，返回 { dispose }
+export function createBindingsPanel(bindings, id) {
+    const actions = bindings.getActions();
+    const actionOptions = list => list
+        .map(({ name, label }) => `<option value="${name}">${label}</option>`)
+        .join('');
+    const allOptions = actionOptions(actions);
+    const swipeOptions = actionOptions(actions.filter(({ discrete }) => discrete));
+    
+    const panel = addToolbarPanel(`${id}-bindings-panel`, `
+        ${BINDABLE_GESTURES.map(({ gesture, label }) => `
+            <div class="panel-row">
+                <span class="panel-label">${label}</span>
+                <select data-gesture="${gesture}">
+                    <option value="">— Nothing —</option>
+                    ${isSwipe(gesture) ? swipeOptions : allOptions}
+                </select>
+            </div>
+        `).join('')}
+        <div class="panel-row">
+            <button data-action="reset">Reset to defaults</button>
+        </div>
+        <div class="panel-note">Saved in this browser for this effect</div>
+    `);
+    
+    function refresh() {
+        panel.querySelectorAll('select[data-gesture]').forEach(select => {
+            select.value = bindings.getActionName(select.dataset.gesture) || '';
+        });
+    }
+    
+    panel.addEventListener('change', event => {
+        const { gesture } = event.target.dataset;
+        if (gesture) {
+            bindings.setBinding(gesture, event.target.value || null);
+            console.log(`🎛️ ${gesture} -> ${event.target.value || 'nothing'}`);
+        }
+    });
+    panel.querySelector('[data-action="reset"]').addEventListener('click', () => {
+        bindings.resetBindings();
+        refresh();
+    });
+    refresh();
+    
+    const button = addToolbarButton({
+        icon: '🎛️',
+        title: 'Gesture bindings',
+        onClick: () => {
+            const open = !panel.classList.contains('open');
+            panel.classList.toggle('open', open);
+            button.classList.toggle('active', open);
+        }
+    });
+    
+    function dispose() {
+        removeToolbarButton(button);
+        panel.remove();
+    }
+    
+    return { dispose };
+}
@@ -0,0 +1,450 @@
+// ============================================
+// Gesture Engine
+// Shared hand-gesture recognition for all effects: turns MediaPipe
+// landmarks (one or two hands) into stable gestures and emits
+// start / hold / end events, plus one-shot swipes from palm velocity
+// ============================================
+
+// 默认调参（效果可通过 createGestureEngine({ gestures }) 或 configure() 按手势覆盖）
+// minHold: 新手势需要连续保持多久（毫秒）才会开始
+// minConfidence: 低于该置信度的帧视为 NONE
+const DEFAULT_TUNING = {
+    OPEN_PALM: { minHold: 80, minConfidence: 0.4 },
+    FIST: { minHold: 120, minConfidence: 0.4 },
+    PINCH: { minHold: 60, minConfidence: 0.2, enter: 0.06, exit: 0.08 },  // 拇指-食指距离的进入 / 退出阈值
+    V_SIGN: { minHold: 150, minConfidence: 0.5 },
+    POINT: { minHold: 120, minConfidence: 0.5 },
+    // 双手手势（enter / exit 以手掌大小为单位）
+    TWO_HANDS: { minHold: 100, minConfidence: 0 },  // 双手同时入镜：张开/合拢缩放、转动侧倾
+    CLAP: { minHold: 0, minConfidence: 0, enter: 0.6, exit: 0.9 },  // 两个掌心的距离
+    HEART: { minHold: 300, minConfidence: 0.2, enter: 0.35, exit: 0.5 },  // 两拇指尖、两食指尖的距离
+    NONE: { minHold: 150 },  // 手势消失（或手短暂丢失）多久后才结束当前手势
+    // 挥动（单手，任意手型）：window 毫秒内掌心移动超过 minDistance（屏幕宽高的比例），
+    // 平均速度超过 minSpeed（每秒屏幕宽高），且主方向是另一方向的 dominance 倍
+    // 捏合、握拳时手的移动另有用途（缩放、旋转），不算挥动
+    SWIPE: { window: 250, minDistance: 0.2, minSpeed: 1.2, dominance: 2, cooldown: 600, poses: ['NONE', 'OPEN_PALM', 'POINT', 'V_SIGN'] }
+};
+
+// 食指、中指、无名指、小指的指尖 / PIP 关节
+const FINGERS = [
+    { tip: 8, pip: 6 },
+    { tip: 12, pip: 10 },
+    { tip: 16, pip: 14 },
+    { tip: 20, pip: 18 }
+];
+
+// 各手势要求的手指伸直状态（按 FINGERS 顺序）
+const FINGER_PATTERNS = {
+    FIST: [false, false, false, false],
+    OPEN_PALM: [true, true, true, true],
+    V_SIGN: [true, true, false, false],
+    POINT: [true, false, false, false]
+};
+
+// ============================================
+// Hand Measurements
+// ============================================
+
+// 镜像后的屏幕坐标（0..1）
+function toScreen(point) {
+    return { x: 1 - point.x, y: point.y };
+}
+
+export function getPalmCenter(landmarks) {
+    // Use wrist (0) and middle finger MCP (9) for palm center
+    const wrist = landmarks[0];
+    const middleMCP = landmarks[9];
+    
+    return {
+        x: (wrist.x + middleMCP.x) / 2,
+        y: (wrist.y + middleMCP.y) / 2
+    };
+}
+
+// 计算手掌大小（用于远近识别）
+export function getHandSize(landmarks) {
+    const wrist = landmarks[0];
+    const thumbTip = landmarks[4];
+    const middleTip = landmarks[12];
+    const pinkyTip = landmarks[20];
+    const middleMCP = landmarks[9];
+    
+    // 手腕到中指指尖、拇指到小指、手腕到中指根部
+    const palmDiagonal = Math.hypot(wrist.x - middleTip.x, wrist.y - middleTip.y);
+    const palmWidth = Math.hypot(thumbTip.x - pinkyTip.x, thumbTip.y - pinkyTip.y);
+    const palmHeight = Math.hypot(wrist.x - middleMCP.x, wrist.y - middleMCP.y);
+    
+    return (palmDiagonal + palmWidth + palmHeight) / 3;
+}
+
+// 开掌远近缩放：手掌比基线大（手靠近）-> 相机拉近
+// hand 为引擎的帧数据；有校准（hand-calibration.js 的 { near, far }）时，
+// 最近的手掌大小对应 minZ、最远对应 maxZ，不再依赖第一帧的手掌大小
+export function applyHandDistanceZoom(camera, cameraConfig, hand, sensitivity, calibration = null) {
+    let targetZ;
+    if (calibration) {
+        const nearness = (hand.handSize - calibration.far) / (calibration.near - calibration.far);
+        const t = Math.min(Math.max(nearness, 0), 1);
+        targetZ = cameraConfig.maxZ - t * (cameraConfig.maxZ - cameraConfig.minZ);
+    } else {
+        targetZ = cameraConfig.initialZ - (hand.sizeRatio - 1.0) * sensitivity;
+    }
+    
+    const newZ = camera.position.z + (targetZ - camera.position.z) * 0.1;
+    
+    camera.position.z = Math.max(cameraConfig.minZ, Math.min(cameraConfig.maxZ, newZ));
+}
+
+// ============================================
+// Engine
+// ============================================
+
+// 创建一个手势引擎实例（每个效果一个，调参互不影响）
+// 每帧调用 update(results.multiHandLandmarks)，没有检测到手时传 null
+// 事件：'start'（手势稳定后触发一次）、'hold'（手势持续期间每帧，包括开始那一帧）、'end'
+// 两只手都在画面中时识别双手手势（TWO_HANDS / CLAP / HEART），事件带 twoHands 数据
+// 'swipe'：快速挥手时触发一次，gesture 为 SWIPE_LEFT / RIGHT / UP / DOWN，swipe 为 { direction, speed, distance }
+// 每帧的 swiping 为 true 时手正在快速移动，效果应跳过开掌旋转等连续控制，避免挥手时同时转动场景
+export function createGestureEngine(options = {}) {
+    const { gestures = {}, ...rest } = options;
+    
+    const settings = {
+        positionSmoothing: 0.3,  // 掌心位置低通滤波
+        sizeSmoothing: 0.2,  // 手掌大小低通滤波
+        confidenceSmoothing: 0.3,
+        fingerEnter: 0.08,  // 指尖高出 PIP（相对手掌大小）超过该值才算伸直
+        fingerExit: -0.04,  // 低于该值才算弯曲
+        fingerRange: 0.3,  // 伸直程度达到该值时置信度为 1
+        ...rest
+    };
+    
+    const tuning = {};
+    Object.keys(DEFAULT_TUNING).forEach(name => {
+        tuning[name] = { ...DEFAULT_TUNING[name], ...gestures[name] };
+    });
+    
+    const listeners = { start: [], hold: [], end: [], swipe: [] };
+    
+    let fingerStates = [false, false, false, false];
+    let isPinched = false;
+    let isClapped = false;
+    let isHeart = false;
+    let twoHandState = null;  // { spread, twist } 平滑后的双手距离和角度
+    let position = null;
+    let smoothedHandSize = 0;
+    let handSizeBaseline = 0;
+    let current = { gesture: 'NONE', confidence: 0, startTime: 0 };
+    let pending = null;  // { gesture, since } 等待保持时间的新手势
+    let lastFrame = null;
+    let trail = [];  // 最近 SWIPE.window 毫秒内的掌心位置 { x, y, t }（未平滑）
+    let swipeBlockedUntil = 0;  // 挥动后的冷却
+    
+    function emit(type, frame) {
+        const event = { type, ...frame };
+        listeners[type].forEach(handler => handler(event));
+    }
+    
+    // 单帧分类，手指和捏合状态都带滞回，阈值附近不会来回跳
+    function classify(landmarks, handSize) {
+        const extensions = FINGERS.map(({ tip, pip }) => (landmarks[pip].y - landmarks[tip].y) / handSize);
+        
+        fingerStates = fingerStates.map((extended, i) => extended
+            ? extensions[i] > settings.fingerExit
+            : extensions[i] > settings.fingerEnter);
+        
+        const thumbTip = landmarks[4];
+        const indexTip = landmarks[8];
+        const pinchDistance = Math.hypot(indexTip.x - thumbTip.x, indexTip.y - thumbTip.y);
+        const pinch = tuning.PINCH;
+        isPinched = isPinched ? pinchDistance < pinch.exit : pinchDistance < pinch.enter;
+        
+        if (isPinched) {
+            return { gesture: 'PINCH', confidence: Math.min(Math.max(1 - pinchDistance / pinch.exit, 0), 1) };
+        }
+        
+        const match = Object.keys(FINGER_PATTERNS)
+            .find(name => FINGER_PATTERNS[name].every((extended, i) => extended === fingerStates[i]));
+        if (!match) {
+            return { gesture: 'NONE', confidence: 0 };
+        }
+        
+        // 置信度：各手指离“伸直 / 弯曲”分界有多远
+        const confidence = extensions.reduce((sum, extension) => {
+            return sum + Math.min(Math.abs(extension) / settings.fingerRange, 1);
+        }, 0) / extensions.length;
+        
+        return { gesture: match, confidence };
+    }
+    
+    // 双手的相对位置：以屏幕左侧的手为起点，twist 为两掌心连线的角度
+    // （y 轴向下，右手低于左手为正，即屏幕上顺时针）
+    function measureTwoHands(first, second) {
+        const [left, right] = toScreen(getPalmCenter(first)).x <= toScreen(getPalmCenter(second)).x
+            ? [first, second]
+            : [second, first];
+        
+        const leftPalm = toScreen(getPalmCenter(left));
+        const rightPalm = toScreen(getPalmCenter(right));
+        const handSize = (getHandSize(left) + getHandSize(right)) / 2;
+        
+        const spread = Math.hypot(rightPalm.x - leftPalm.x, rightPalm.y - leftPalm.y);
+        const twist = Math.atan2(rightPalm.y - leftPalm.y, rightPalm.x - leftPalm.x);
+        
+        // 双手左右交换时角度会跳变，重新开始
+        if (!twoHandState || Math.abs(twist - twoHandState.twist) > Math.PI / 2) {
+            twoHandState = { spread, twist };
+        }
+        
+        const last = { ...twoHandState };
+        twoHandState.spread += (spread - twoHandState.spread) * settings.positionSmoothing;
+        twoHandState.twist += (twist - twoHandState.twist) * settings.positionSmoothing;
+        
+        // 拇指尖、食指尖之间的距离（比心判定）
+        const tipDistance = id => Math.hypot(left[id].x - right[id].x, left[id].y - right[id].y);
+        
+        return {
+            center: { x: (leftPalm.x + rightPalm.x) / 2, y: (leftPalm.y + rightPalm.y) / 2 },
+            spread: twoHandState.spread,
+            spreadDelta: twoHandState.spread - last.spread,
+            twist: twoHandState.twist,
+            twistDelta: twoHandState.twist - last.twist,
+            palmDistance: spread / handSize,
+            heartDistance: Math.max(tipDistance(4), tipDistance(8)) / handSize,
+            // 比心时食指尖在拇指尖上方
+            fingersAboveThumbs: left[8].y < left[4].y && right[8].y < right[4].y,
+            landmarks: [left, right]
+        };
+    }
+    
+    function classifyTwoHands(pair) {
+        const { CLAP: clap, HEART: heart } = tuning;
+        
+        // 拍手时指尖也会碰在一起，先判定掌心是否合拢
+        isClapped = isClapped ? pair.palmDistance < clap.exit : pair.palmDistance < clap.enter;
+        if (isClapped) {
+            isHeart = false;
+            return { gesture: 'CLAP', confidence: Math.min(Math.max(1 - pair.palmDistance / clap.exit, 0), 1) };
+        }
+        
+        isHeart = isHeart
+            ? pair.heartDistance < heart.exit
+            : pair.heartDistance < heart.enter && pair.fingersAboveThumbs;
+        if (isHeart) {
+            return { gesture: 'HEART', confidence: Math.min(Math.max(1 - pair.heartDistance / heart.exit, 0), 1) };
+        }
+        
+        return { gesture: 'TWO_HANDS', confidence: 1 };
+    }
+    
+    // 多只手时，跟踪离上一帧位置最近的那只作为主手（光标、单手手势）
+    function pickPrimaryHand(hands) {
+        if (hands.length === 1 || !position) return hands[0];
+        
+        const distance = hand => {
+            const palm = toScreen(getPalmCenter(hand));
+            return Math.hypot(palm.x - position.x, palm.y - position.y);
+        };
+        return hands.reduce((best, hand) => distance(hand) < distance(best) ? hand : best);
+    }
+    
+    function resetTwoHands() {
+        isClapped = false;
+        isHeart = false;
+        twoHandState = null;
+    }
+    
+    // 用最近一段时间的掌心位移识别挥动，同时给出当前速度（frame.velocity / frame.swiping）
+    // 返回 { direction, speed, distance } 或 null
+    function detectSwipe(point, frame, now) {
+        const swipe = tuning.SWIPE;
+        
+        trail.push({ x: point.x, y: point.y, t: now });
+        while (now - trail[0].t > swipe.window) {
+            trail.shift();
+        }
+        
+        const first = trail[0];
+        const elapsed = (now - first.t) / 1000;
+        const dx = point.x - first.x;
+        const dy = point.y - first.y;
+        const speed = elapsed > 0 ? Math.hypot(dx, dy) / elapsed : 0;
+        
+        frame.velocity = elapsed > 0 ? { x: dx / elapsed, y: dy / elapsed } : { x: 0, y: 0 };
+        frame.swiping = speed >= swipe.minSpeed;
+        
+        if (now < swipeBlockedUntil) return null;
+        
+        const horizontal = Math.abs(dx) >= Math.abs(dy);
+        const major = horizontal ? Math.abs(dx) : Math.abs(dy);
+        const minor = horizontal ? Math.abs(dy) : Math.abs(dx);
+        if (major < swipe.minDistance || speed < swipe.minSpeed || major < minor * swipe.dominance) {
+            return null;
+        }
+        
+        // 同一次挥动只触发一次
+        trail = [];
+        swipeBlockedUntil = now + swipe.cooldown;
+        
+        return {
+            direction: horizontal ? (dx > 0 ? 'RIGHT' : 'LEFT') : (dy > 0 ? 'DOWN' : 'UP'),
+            speed,
+            distance: major
+        };
+    }
+    
+    // 推进状态机：候选手势需连续保持 minHold 才替换当前手势
+    function step(candidate, frame, now, emitHold) {
+        let gesture = candidate.gesture;
+        if (gesture !== 'NONE' && candidate.confidence < tuning[gesture].minConfidence) {
+            gesture = 'NONE';
+        }
+        
+        if (gesture === current.gesture) {
+            pending = null;
+        } else {
+            if (!pending || pending.gesture !== gesture) {
+                pending = { gesture, since: now };
+            }
+            
+            if (now - pending.since >= tuning[gesture].minHold) {
+                if (current.gesture !== 'NONE') {
+                    emit('end', { ...frame, gesture: current.gesture, confidence: current.confidence, duration: now - current.startTime });
+                }
+                
+                current = { gesture, confidence: candidate.confidence, startTime: now };
+                pending = null;
+                
+                if (gesture !== 'NONE') {
+                    emit('start', { ...frame, gesture, confidence: current.confidence, duration: 0 });
+                }
+            }
+        }
+        
+        const sample = gesture === current.gesture ? candidate.confidence : 0;
+        current.confidence += (sample - current.confidence) * settings.confidenceSmoothing;
+        
+        frame.gesture = current.gesture;
+        frame.confidence = current.confidence;
+        frame.duration = now - current.startTime;
+        
+        if (emitHold && current.gesture !== 'NONE') {
+            emit('hold', frame);
+        }
+        
+        return frame;
+    }
+    
+    function update(hands, now = performance.now()) {
+        if (!hands || hands.length === 0) {
+            // 手重新出现时位置会跳变，不能算作挥动
+            trail = [];
+            
+            // 手短暂丢失：按 NONE 的保持时间结束手势，期间不发 hold（保留惯性）
+            if (lastFrame) {
+                step({ gesture: 'NONE', confidence: 0 }, { ...lastFrame, delta: { x: 0, y: 0 }, swiping: false }, now, false);
+            }
+            if (current.gesture === 'NONE') {
+                position = null;
+                lastFrame = null;
+                fingerStates = [false, false, false, false];
+                isPinched = false;
+                resetTwoHands();
+            }
+            return null;
+        }
+        
+        const landmarks = pickPrimaryHand(hands);
+        const secondHand = hands.find(hand => hand !== landmarks);
+        const handSize = getHandSize(landmarks);
+        
+        // Mirror X coordinate (camera is mirrored)
+        const { x: rawX, y: rawY } = toScreen(getPalmCenter(landmarks));
+        
+        // 手刚出现时直接从当前位置开始，避免光标从上一次的位置滑过来
+        if (!position) {
+            position = { x: rawX, y: rawY };
+            smoothedHandSize = handSize;
+        }
+        
+        // 校准基线（第一次检测到手时）
+        if (!handSizeBaseline) {
+            handSizeBaseline = handSize;
+            console.log('👋 Hand size calibrated:', handSizeBaseline.toFixed(3));
+        }
+        
+        const lastPosition = { ...position };
+        position.x += (rawX - position.x) * settings.positionSmoothing;
+        position.y += (rawY - position.y) * settings.positionSmoothing;
+        smoothedHandSize += (handSize - smoothedHandSize) * settings.sizeSmoothing;
+        
+        const frame = {
+            position: { ...position },
+            delta: { x: position.x - lastPosition.x, y: position.y - lastPosition.y },
+            handSize: smoothedHandSize,
+            sizeRatio: smoothedHandSize / handSizeBaseline,
+            landmarks,
+            twoHands: null,
+            velocity: { x: 0, y: 0 },  // 掌心速度（每秒屏幕宽高）
+            swiping: false
+        };
+        
+        // 单手分类每帧都要做，保持手指滞回状态连续
+        let candidate = classify(landmarks, handSize);
+        let swipe = null;
+        
+        if (secondHand) {
+            frame.twoHands = measureTwoHands(landmarks, secondHand);
+            candidate = classifyTwoHands(frame.twoHands);
+            trail = [];  // 双手动作不算挥动
+        } else {
+            resetTwoHands();
+            swipe = detectSwipe({ x: rawX, y: rawY }, frame, now);
+        }
+        
+        lastFrame = step(candidate, frame, now, true);
+        
+        if (swipe && tuning.SWIPE.poses.includes(lastFrame.gesture)) {
+            emit('swipe', { ...lastFrame, gesture: `SWIPE_${swipe.direction}`, pose: lastFrame.gesture, swipe });
+        }
+        return lastFrame;
+    }
+    
+    function on(type, handler) {
+        if (!listeners[type]) {
+            throw new Error(`Unknown gesture event "${type}"`);
+        }
+        listeners[type].push(handler);
+        return () => off(type, handler);
+    }
+    
+    function off(type, handler) {
+        if (listeners[type]) {
+            listeners[type] = listeners[type].filter(listener => listener !== handler);
+        }
+    }
+    
+    // 调整单个手势的参数，例如 configure('V_SIGN', { minHold: 250 })
+    function configure(gesture, values) {
+        if (!tuning[gesture]) {
+            throw new Error(`Unknown gesture "${gesture}"`);
+        }
+        Object.assign(tuning[gesture], values);
+    }
+    
+    // 清空跟踪状态和手掌大小基线（不触发事件）
+    function reset() {
+        fingerStates = [false, false, false, false];
+        isPinched = false;
+        resetTwoHands();
+        position = null;
+        smoothedHandSize = 0;
+        handSizeBaseline = 0;
+        current = { gesture: 'NONE', confidence: 0, startTime: 0 };
+        pending = null;
+        lastFrame = null;
+        trail = [];
+        swipeBlockedUntil = 0;
+    }
+    
+    return { update, on, off, configure, reset };
+}
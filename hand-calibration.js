@@ -0,0 +1,278 @@
+// ============================================
+// Hand Calibration
+// Guided flow that measures the open palm at the nearest and farthest
+// comfortable distances; the result drives the open-palm distance zoom
+// and is kept as named profiles in localStorage
+// ============================================
+
+import { createGestureEngine } from './gesture-engine.js';
+import { addToolbarButton, addToolbarPanel } from './toolbar.js';
+
+const STORAGE_KEY = 'christmas-magic:hand-calibration';
+
+const CALIBRATION = {
+    holdTime: 1500,  // 每一步需要稳定开掌多久（ms）
+    maxVariation: 0.12,  // 采样期间手掌大小的波动（相对平均值）超过该值则重新开始
+    minRatio: 1.3  // 最近 / 最远手掌大小至少相差这么多，否则映射太敏感
+};
+
+// 引导步骤
+const STEPS = {
+    near: '✋ Hold an open palm at the NEAREST comfortable distance to the camera',
+    far: '✋ Now hold it at the FARTHEST comfortable distance'
+};
+
+let profiles = {};  // name -> { near, far, createdAt }
+let activeProfile = null;  // 当前使用的配置名（null = 未校准，按第一帧手掌大小）
+
+let session = null;  // 校准进行中：{ step, engine, samples, near }
+let panelElement = null;
+let calibrationButton = null;
+
+function loadProfiles() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (saved && saved.profiles) {
+            profiles = saved.profiles;
+            activeProfile = profiles[saved.active] ? saved.active : null;
+        }
+    } catch (error) {
+        console.warn('⚠️ Saved hand calibration ignored:', error.message);
+    }
+}
+
+function saveProfiles() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ active: activeProfile, profiles }));
+    } catch (error) {
+        console.warn('⚠️ Hand calibration could not be saved:', error.message);
+    }
+}
+
+// 当前校准 { near, far }（手掌大小），未校准时为 null
+export function getActiveCalibration() {
+    return activeProfile ? profiles[activeProfile] : null;
+}
+
+export function isCalibrating() {
+    return session !== null;
+}
+
+// 开始引导校准（面板会自动打开）
+export function startCalibration() {
+    if (!panelElement) return;
+    
+    session = { step: 'near', engine: createGestureEngine(), samples: [], near: 0 };
+    setPanelOpen(true);
+    render();
+    console.log('📏 Hand calibration started');
+}
+
+function cancelCalibration() {
+    session = null;
+    render();
+    console.log('📏 Hand calibration cancelled');
+}
+
+// 校准期间的 MediaPipe 结果（main.js 不再转发给效果）
+export function handleCalibrationResults(results) {
+    if (!session || session.step === 'name') return;
+    
+    const now = performance.now();
+    const hands = results.multiHandLandmarks && results.multiHandLandmarks.length > 0
+        ? results.multiHandLandmarks.slice(0, 1)
+        : null;
+    const hand = session.engine.update(hands, now);
+    
+    // 需要稳定的开掌，否则重新采样
+    if (!hand || hand.gesture !== 'OPEN_PALM') {
+        session.samples = [];
+        updateProgress(0);
+        return;
+    }
+    
+    session.samples.push({ size: hand.handSize, time: now });
+    
+    const sizes = session.samples.map(sample => sample.size);
+    const mean = sizes.reduce((sum, size) => sum + size, 0) / sizes.length;
+    if ((Math.max(...sizes) - Math.min(...sizes)) / mean > CALIBRATION.maxVariation) {
+        session.samples = [session.samples[session.samples.length - 1]];
+    }
+    
+    const held = now - session.samples[0].time;
+    updateProgress(Math.min(held / CALIBRATION.holdTime, 1));
+    if (held < CALIBRATION.holdTime) return;
+    
+    // 取中位数，排除个别抖动帧
+    const sorted = session.samples.map(sample => sample.size).sort((a, b) => a - b);
+    const size = sorted[Math.floor(sorted.length / 2)];
+    session.samples = [];
+    
+    if (session.step === 'near') {
+        session.near = size;
+        session.step = 'far';
+    } else if (session.near / size < CALIBRATION.minRatio) {
+        // 两个位置差别太小，重新开始
+        session.step = 'near';
+        render('The two distances were too similar - move further apart and try again');
+        return;
+    } else {
+        session.far = size;
+        session.step = 'name';
+    }
+    render();
+}
+
+function saveCalibration(name) {
+    profiles[name] = { near: session.near, far: session.far, createdAt: new Date().toISOString() };
+    activeProfile = name;
+    session = null;
+    saveProfiles();
+    render();
+    
+    console.log(`📏 Calibration "${name}" saved (near ${profiles[name].near.toFixed(3)}, far ${profiles[name].far.toFixed(3)})`);
+}
+
+function selectProfile(name) {
+    activeProfile = profiles[name] ? name : null;
+    saveProfiles();
+    render();
+}
+
+function deleteProfile(name) {
+    delete profiles[name];
+    if (activeProfile === name) {
+        activeProfile = null;
+    }
+    saveProfiles();
+    render();
+}
+
+// ============================================
+// Panel
+// ============================================
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+// 关闭面板时取消进行中的校准，否则手势一直被校准占用、不再驱动效果
+function setPanelOpen(open) {
+    if (!open && session) {
+        cancelCalibration();
+    }
+    panelElement.classList.toggle('open', open);
+    calibrationButton.classList.toggle('active', open);
+}
+
+function updateProgress(value) {
+    const progress = panelElement.querySelector('progress');
+    if (progress) {
+        progress.value = value;
+    }
+}
+
+// 根据是否在校准中显示配置列表或引导步骤
+function render(note = '') {
+    if (!panelElement) return;
+    
+    if (session && session.step === 'name') {
+        const name = `Profile ${Object.keys(profiles).length + 1}`;
+        panelElement.innerHTML = `
+            <div class="panel-row">✅ Calibrated - name this profile</div>
+            <div class="panel-row">
+                <input type="text" data-field="name" value="${name}" maxlength="30">
+                <button data-action="save">Save</button>
+                <button data-action="cancel">Cancel</button>
+            </div>
+        `;
+        const input = panelElement.querySelector('[data-field="name"]');
+        input.focus();
+        input.select();
+        return;
+    }
+    
+    if (session) {
+        panelElement.innerHTML = `
+            <div class="panel-row">${STEPS[session.step]}</div>
+            <div class="panel-row">
+                <progress max="1" value="0"></progress>
+                <button data-action="cancel">Cancel</button>
+            </div>
+            <div class="panel-note">${note || 'Keep the palm steady until the bar fills'}</div>
+        `;
+        return;
+    }
+    
+    const options = Object.keys(profiles)
+        .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+        .join('');
+    panelElement.innerHTML = `
+        <div class="panel-row">
+            <select data-field="profile">
+                <option value="">Not calibrated</option>
+                ${options}
+            </select>
+            <button data-action="delete">Delete</button>
+        </div>
+        <div class="panel-row">
+            <button data-action="calibrate">📏 Calibrate hand distance</button>
+        </div>
+        <div class="panel-note">${note || 'Sets how close / far your open palm zooms the view'}</div>
+    `;
+    panelElement.querySelector('[data-field="profile"]').value = activeProfile || '';
+}
+
+function submitProfileName() {
+    const name = panelElement.querySelector('[data-field="name"]').value.trim();
+    if (name) {
+        saveCalibration(name);
+    }
+}
+
+function onPanelClick(event) {
+    const action = event.target.dataset.action;
+    
+    if (action === 'calibrate') {
+        startCalibration();
+    } else if (action === 'cancel') {
+        cancelCalibration();
+    } else if (action === 'save') {
+        submitProfileName();
+    } else if (action === 'delete') {
+        const name = panelElement.querySelector('[data-field="profile"]').value;
+        if (name) {
+            deleteProfile(name);
+        }
+    }
+}
+
+// 工具栏按钮 + 面板（main.js 启动时创建一次，所有效果共用）
+export function createCalibrationPanel() {
+    loadProfiles();
+    
+    panelElement = addToolbarPanel('calibration-panel', '');
+    panelElement.addEventListener('click', onPanelClick);
+    panelElement.addEventListener('change', event => {
+        if (event.target.dataset.field === 'profile') {
+            selectProfile(event.target.value);
+        }
+    });
+    panelElement.addEventListener('keydown', event => {
+        if (event.key === 'Enter' && event.target.dataset.field === 'name') {
+            submitProfileName();
+        }
+    });
+    
+    calibrationButton = addToolbarButton({
+        icon: '📏',
+        title: 'Hand distance calibration',
+        onClick: () => setPanelOpen(!panelElement.classList.contains('open'))
+    });
+    
+    render();
+    
+    if (activeProfile) {
+        console.log(`📏 Using hand calibration "${activeProfile}"`);
+    }
+}
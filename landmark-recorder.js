@@ -0,0 +1,108 @@
+// ============================================
+// Landmark Recorder
+// Captures the MediaPipe Hands results stream (landmarks, handedness,
+// timestamps) to JSON; main.js replays recordings into the active effect
+// ============================================
+
+import { downloadBlob } from './download-utils.js';
+
+const RECORDING_VERSION = 1;
+const HAND_LANDMARK_COUNT = 21;  // MediaPipe Hands 每只手的关键点数
+
+let recording = null;  // 录制中的数据（未录制时为 null）
+let recordStartTime = 0;
+
+// 保留 4 位小数，录制文件小一些
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+export function isRecording() {
+    return recording !== null;
+}
+
+export function startRecording() {
+    recording = {
+        version: RECORDING_VERSION,
+        createdAt: new Date().toISOString(),
+        frames: []
+    };
+    recordStartTime = performance.now();
+    
+    console.log('⏺️ Recording hand landmarks...');
+}
+
+// 记录一帧（只保存可序列化的数据，不保存摄像头画面）
+export function recordFrame(results, now = performance.now()) {
+    if (!recording) return;
+    
+    recording.frames.push({
+        t: Math.round(now - recordStartTime),
+        multiHandLandmarks: (results.multiHandLandmarks || []).map(hand => {
+            return hand.map(point => ({ x: round(point.x), y: round(point.y), z: round(point.z || 0) }));
+        }),
+        multiHandedness: (results.multiHandedness || []).map(({ index, score, label }) => {
+            return { index, score: round(score), label };
+        })
+    });
+}
+
+// 结束录制并返回录制数据
+export function stopRecording() {
+    const finished = recording;
+    recording = null;
+    
+    if (finished) {
+        console.log(`⏹️ Recorded ${finished.frames.length} frames`);
+    }
+    return finished;
+}
+
+export function downloadRecording(data, filename = `hand-recording-${Date.now()}.json`) {
+    downloadBlob(new Blob([JSON.stringify(data)], { type: 'application/json' }), filename);
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+// 每只手是 21 个 { x, y, z } 关键点，格式不对的手会在效果的 onResults 中抛出异常
+function isValidHand(hand) {
+    return Array.isArray(hand) && hand.length === HAND_LANDMARK_COUNT && hand.every(point => {
+        return point && isFiniteNumber(point.x) && isFiniteNumber(point.y) && isFiniteNumber(point.z);
+    });
+}
+
+function isValidFrame(frame) {
+    return Boolean(frame) &&
+        isFiniteNumber(frame.t) &&
+        Array.isArray(frame.multiHandLandmarks) &&
+        frame.multiHandLandmarks.every(isValidHand) &&
+        (frame.multiHandedness === undefined || Array.isArray(frame.multiHandedness));
+}
+
+// 解析并校验录制文件（JSON 文本）
+export function parseRecording(text) {
+    const data = JSON.parse(text);
+    
+    if (!data || data.version !== RECORDING_VERSION || !Array.isArray(data.frames)) {
+        throw new Error(`Not a hand landmark recording (expected version ${RECORDING_VERSION})`);
+    }
+    
+    const invalid = data.frames.findIndex(frame => !isValidFrame(frame));
+    if (invalid !== -1) {
+        throw new Error(`Recording frame ${invalid} is malformed`);
+    }
+    
+    return data;
+}
+
+// 录制帧 -> 与 MediaPipe 相同结构的 results（回放时没有摄像头画面，image 为 null）
+export function toResults(frame) {
+    return {
+        image: null,
+        multiHandLandmarks: frame.multiHandLandmarks,
+        multiHandedness: frame.multiHandedness || [],
+        isReplay: true
+    };
+}
@@ -1,15 +1,50 @@
-
 // ============================================
 // Main Entry Point - Effect Switcher
-// Supports switching between Christmas Tree and Starry Night
+// Effects are registered in effects.js; the switcher UI, title
+// styling and hand-tracking wiring are generated from the registry
 // ============================================
 
-// 当前效果模式
-let currentMode = 'christmas'; // 'christmas' | 'starry'
-let christmasModule = null;
-let starryModule = null;
+import * as THREE from 'three';
+import './effects.js';
+import { getEffects, getEffect, loadEffectModule, glowToRgba } from './effect-registry.js';
+import { initCompositor, renderComposite, setCompositorSize } from './transition-compositor.js';
+import { addToolbarButton } from './toolbar.js';
+import {
+    isRecording,
+    startRecording,
+    recordFrame,
+    stopRecording,
+    downloadRecording,
+    parseRecording,
+    toResults
+} from './landmark-recorder.js';
+import {
+    createCalibrationPanel,
+    startCalibration,
+    isCalibrating,
+    handleCalibrationResults
+} from './hand-calibration.js';
+import { createCaptureUI, captureFrame } from './scene-capture.js';
+import { createQualityUI, getPixelRatio, measureFrame, resetFrameTiming } from './quality-manager.js';
+import { applyConfigOverrides, sanitizeConfigValues } from './config-utils.js';
+import { readUrlState, writeUrlState, formatUrlState } from './url-state.js';
+
+// 当前效果
+let currentEffectId = null;
+let activeModule = null;  // 当前运行的效果模块（init/pause/resume/dispose）
+let isSwitching = false;
 let handsInitialized = false;
 
+// 共享渲染器：所有效果渲染到各自的渲染目标，由这里合成到屏幕
+let renderer = null;
+let frameId = null;
+let transition = null;  // { from, startTime, duration, style }
+
+const TRANSITION = {
+    duration: 1200,  // 过渡时长 (ms)
+    style: 'crossfade'  // 默认样式，效果可在注册时用 transition 覆盖
+};
+
 // DOM Elements
 const videoElement = document.getElementById('input_video');
 const canvasElement = document.getElementById('output_canvas');
@@ -18,6 +53,46 @@ const canvasElement = document.getElementById('output_canvas');
 let hands = null;
 let handCamera = null;
 
+// 启动状态：loading → camera → tracking，失败时进入 no-camera / error
+const STARTUP_MESSAGES = {
+    loading: '✨ Loading Magic... ✨',
+    camera: '📷 Starting camera...',
+    tracking: '',
+    'no-camera': '🖱️ Playing without camera',
+    error: '⚠️ Hand tracking is unavailable'
+};
+const TRACKING_TIMEOUT = 30000;  // 摄像头打开后多久没有识别结果视为失败（首次需下载模型）
+let startupState = null;
+let trackingTimer = null;
+
+// getUserMedia 的错误 -> 提示文字（这些情况进入 no-camera，其余为 error）
+const CAMERA_ERRORS = {
+    NotAllowedError: 'Camera permission was denied',
+    NotFoundError: 'No camera was found',
+    NotReadableError: 'The camera is being used by another application',
+    OverconstrainedError: 'The camera does not support 640×480'
+};
+
+// MediaPipe 脚本（先从 CDN 加载，CDN 不可用或超时时使用 vendor/ 中的本地副本）
+const MEDIAPIPE_CDN = 'https://cdn.jsdelivr.net/npm/@mediapipe/';
+const MEDIAPIPE_LOCAL = 'vendor/mediapipe/';  // node tools/fetch-offline-assets.mjs 下载
+const MEDIAPIPE_SCRIPTS = [
+    { global: 'Hands', path: 'hands/hands.js' },
+    { global: 'Camera', path: 'camera_utils/camera_utils.js' },
+    { global: 'drawConnectors', path: 'drawing_utils/drawing_utils.js' }
+];
+const MEDIAPIPE_CDN_TIMEOUT = 5000;  // 场地网络可能卡住而不是直接失败
+let mediaPipeBase = MEDIAPIPE_CDN;  // hands 的 wasm / 模型文件与 hands.js 来自同一处
+
+// 手部数据录制 / 回放
+let replay = null;  // { recording, index, startTime, timer, loop }
+let recordButton = null;
+let replayButton = null;
+
+// 地址栏 hash 中的视角和 CONFIG 覆盖（url-state.js）
+const URL_STATE_INTERVAL = 1000;  // 每隔多久把当前视角写入地址（ms）
+let configOverrides = { effect: null, values: {} };  // 通过 URL 生效的 CONFIG 覆盖（只属于一个效果）
+
 // ============================================
 // Effect Switcher UI
 // ============================================
@@ -25,14 +100,21 @@ let handCamera = null;
 function createSwitcherUI() {
     const switcher = document.createElement('div');
     switcher.id = 'effect-switcher';
-    switcher.innerHTML = `
-        <button id="btn-christmas" class="effect-btn active" title="Christmas Tree">
-            🎄
-        </button>
-        <button id="btn-starry" class="effect-btn" title="Starry Night">
-            ⭐
-        </button>
-    `;
+    
+    // 每个注册的效果生成一个按钮
+    getEffects().forEach(effect => {
+        const button = document.createElement('button');
+        button.className = 'effect-btn';
+        button.dataset.effect = effect.id;
+        button.title = effect.label;
+        button.textContent = effect.icon;
+        button.style.setProperty('--effect-glow', effect.glowColor);
+        button.style.setProperty('--effect-glow-soft', glowToRgba(effect.glowColor, 0.5));
+        button.style.setProperty('--effect-glow-bg', glowToRgba(effect.glowColor, 0.2));
+        button.addEventListener('click', () => switchEffect(effect.id));
+        switcher.appendChild(button);
+    });
+    
     document.body.appendChild(switcher);
     
     // Add styles
@@ -69,197 +151,349 @@ function createSwitcherUI() {
         }
         
         .effect-btn.active {
-            border-color: #ffd700;
-            box-shadow: 0 0 15px rgba(255, 215, 0, 0.5);
-            background: rgba(255, 215, 0, 0.2);
-        }
-        
-        #btn-starry.active {
-            border-color: #87CEEB;
-            box-shadow: 0 0 15px rgba(135, 206, 235, 0.5);
-            background: rgba(135, 206, 235, 0.2);
+            border-color: var(--effect-glow);
+            box-shadow: 0 0 15px var(--effect-glow-soft);
+            background: var(--effect-glow-bg);
         }
         
         .effect-btn:disabled {
             opacity: 0.5;
             cursor: not-allowed;
         }
-        
-        /* Transition overlay */
-        #transition-overlay {
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: black;
-            opacity: 0;
-            pointer-events: none;
-            transition: opacity 0.5s ease;
-            z-index: 999;
-        }
-        
-        #transition-overlay.active {
-            opacity: 1;
-        }
     `;
     document.head.appendChild(style);
-    
-    // Add transition overlay
-    const overlay = document.createElement('div');
-    overlay.id = 'transition-overlay';
-    document.body.appendChild(overlay);
-    
-    // Event listeners
-    document.getElementById('btn-christmas').addEventListener('click', () => switchEffect('christmas'));
-    document.getElementById('btn-starry').addEventListener('click', () => switchEffect('starry'));
+}
+
+function setSwitcherDisabled(disabled) {
+    document.querySelectorAll('#effect-switcher .effect-btn').forEach(button => {
+        button.disabled = disabled;
+    });
+}
+
+function updateSwitcherState(effectId) {
+    document.querySelectorAll('#effect-switcher .effect-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.effect === effectId);
+    });
 }
 
 // ============================================
 // Effect Switching Logic
 // ============================================
 
-async function switchEffect(mode) {
-    if (mode === currentMode) return;
+async function switchEffect(effectId) {
+    if (effectId === currentEffectId || isSwitching) return;
     
-    const btnChristmas = document.getElementById('btn-christmas');
-    const btnStarry = document.getElementById('btn-starry');
-    const overlay = document.getElementById('transition-overlay');
+    const effect = getEffect(effectId);
     
     // Disable buttons during transition
-    btnChristmas.disabled = true;
-    btnStarry.disabled = true;
+    isSwitching = true;
+    setSwitcherDisabled(true);
     
-    // Show transition overlay
-    overlay.classList.add('active');
-    
-    await new Promise(resolve => setTimeout(resolve, 500));
+    // 先加载新模块，加载失败时保留当前效果
+    const module = await loadModule(effectId);
+    if (!module) {
+        setSwitcherDisabled(false);
+        isSwitching = false;
+        return;
+    }
     
-    // Clean up current effect
-    cleanupCurrentEffect();
+    // 旧效果继续渲染，与新效果在过渡期间混合
+    const outgoing = activeModule;
+    startEffect(effect, module);
     
-    // Remove constellation info if exists
-    const constellationInfo = document.getElementById('constellation-info');
-    if (constellationInfo) {
-        constellationInfo.remove();
+    if (outgoing) {
+        await runTransition(outgoing, effect.transition || TRANSITION.style);
+        outgoing.dispose();
     }
     
-    // Switch mode
-    currentMode = mode;
+    // Re-enable buttons
+    setSwitcherDisabled(false);
+    isSwitching = false;
     
-    // Update button states
-    btnChristmas.classList.toggle('active', mode === 'christmas');
-    btnStarry.classList.toggle('active', mode === 'starry');
+    console.log(`✨ Switched to ${effect.icon} ${effect.label} effect`);
+}
+
+// 按注册顺序切换到前 / 后一个效果（step = -1 / 1，首尾相接）
+function cycleEffect(step) {
+    const effects = getEffects();
+    const index = effects.findIndex(effect => effect.id === currentEffectId);
+    const next = effects[(index + step + effects.length) % effects.length];
     
-    // Initialize new effect
-    if (mode === 'christmas') {
-        await initChristmasEffect();
+    switchEffect(next.id);
+}
+
+function runTransition(outgoing, style) {
+    return new Promise(resolve => {
+        transition = {
+            from: outgoing,
+            startTime: performance.now(),
+            duration: TRANSITION.duration,
+            style,
+            resolve
+        };
+    });
+}
+
+// ============================================
+// Render Loop (shared renderer + compositing)
+// ============================================
+
+function initRenderer() {
+    renderer = new THREE.WebGLRenderer({
+        canvas: document.getElementById('three-canvas'),
+        antialias: true,
+        alpha: true
+    });
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    renderer.setPixelRatio(getPixelRatio());
+    
+    initCompositor(renderer);
+    
+    window.addEventListener('resize', onWindowResize);
+}
+
+function renderLoop() {
+    frameId = requestAnimationFrame(renderLoop);
+    
+    if (!activeModule) return;
+    
+    activeModule.update();
+    
+    if (transition) {
+        const elapsed = performance.now() - transition.startTime;
+        const progress = Math.min(elapsed / transition.duration, 1);
+        // Ease in-out
+        const eased = progress < 0.5
+            ? 2 * progress * progress
+            : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+        
+        transition.from.update();
+        renderComposite(
+            transition.from.getOutputTexture(),
+            activeModule.getOutputTexture(),
+            eased,
+            transition.style
+        );
+        
+        if (progress >= 1) {
+            const { resolve } = transition;
+            transition = null;
+            resolve();
+        }
     } else {
-        await initStarryEffect();
+        renderComposite(null, activeModule.getOutputTexture());
+        measureFrame();
     }
     
-    // Hide transition overlay
-    await new Promise(resolve => setTimeout(resolve, 300));
-    overlay.classList.remove('active');
+    captureFrame();
+}
+
+function onWindowResize() {
+    const width = window.innerWidth;
+    const height = window.innerHeight;
     
-    // Re-enable buttons
-    btnChristmas.disabled = false;
-    btnStarry.disabled = false;
+    renderer.setSize(width, height);
+    renderer.setPixelRatio(getPixelRatio());
+    setCompositorSize(width, height);
     
-    console.log(`✨ Switched to ${mode === 'christmas' ? '🎄 Christmas Tree' : '⭐ Starry Night'} effect`);
+    if (activeModule) activeModule.resize(width, height);
+    if (transition) transition.from.resize(width, height);
 }
 
-function cleanupCurrentEffect() {
-    // Get the canvas and clear it
-    const canvas = document.getElementById('three-canvas');
-    const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
-    if (gl) {
-        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
-    }
+// 画质档位改变（quality-manager.js）：像素比由这里设置，bloom 分辨率和粒子数量由效果的 applyQuality() 处理
+function onQualityChange() {
+    renderer.setPixelRatio(getPixelRatio());
+    
+    [activeModule, transition ? transition.from : null].forEach(module => {
+        if (module && module.applyQuality) module.applyQuality();
+    });
 }
 
-async function initChristmasEffect() {
-    if (!christmasModule) {
-        try {
-            christmasModule = await import('./script.js');
-            console.log('Christmas module loaded:', christmasModule);
-            console.log('Available exports:', Object.keys(christmasModule));
-        } catch (error) {
-            console.error('Failed to load script.js:', error);
-            return;
-        }
-    }
+// 页面隐藏时暂停当前效果和渲染循环，避免后台继续占用 GPU
+function onVisibilityChange() {
+    if (!activeModule) return;
     
-    if (typeof christmasModule.initThreeScene === 'function') {
-        christmasModule.initThreeScene();
+    if (document.hidden) {
+        activeModule.pause();
+        cancelAnimationFrame(frameId);
+        frameId = null;
     } else {
-        console.error('initThreeScene is not a function:', christmasModule.initThreeScene);
-        console.error('Module contents:', christmasModule);
+        activeModule.resume();
+        if (frameId === null) renderLoop();
+    }
+}
+
+async function loadModule(effectId) {
+    try {
+        return await loadEffectModule(effectId);
+    } catch (error) {
+        console.error(`Failed to load effect "${effectId}":`, error);
+        return null;
     }
+}
+
+function startEffect(effect, module) {
+    // 效果可通过 switchEffect / cycleEffect 切换效果（例如挥手手势）
+    module.init({ renderer, switchEffect, cycleEffect, startCalibration, updateConfigOverrides });
+    activeModule = module;
+    currentEffectId = effect.id;
+    
+    // 新场景的首几帧（编译着色器等）不计入帧率
+    resetFrameTiming();
+    updateSwitcherState(effect.id);
     
     // Update title
     const titleElement = document.getElementById('title');
     if (titleElement) {
-        titleElement.textContent = 'MERRY CHRISTMAS';
-        titleElement.style.textShadow = '0 0 20px rgba(255, 215, 0, 0.8), 0 0 40px rgba(255, 215, 0, 0.4)';
+        titleElement.textContent = effect.title;
+        titleElement.style.textShadow = `0 0 20px ${glowToRgba(effect.glowColor, 0.8)}, 0 0 40px ${glowToRgba(effect.glowColor, 0.4)}`;
     }
+}
+
+// ============================================
+// URL State (bookmarkable / shareable view)
+// ============================================
+
+// CONFIG 覆盖必须在 init() 之前生效（粒子数量等在建场景时读取）
+// 只接受效果 CONFIG_SCHEMA 中的路径，并限制在其范围内（链接可能来自任何人）
+function applyUrlConfig(effectId, module, config) {
+    if (!module.CONFIG || !module.CONFIG_SCHEMA || Object.keys(config).length === 0) return;
     
-    // Update hands callback
-    if (hands) {
-        hands.onResults(christmasModule.onResults);
-    }
+    const values = sanitizeConfigValues(module.CONFIG_SCHEMA, config);
+    configOverrides = { effect: effectId, values: applyConfigOverrides(module.CONFIG, values) };
 }
 
-async function initStarryEffect() {
-    if (!starryModule) {
-        try {
-            starryModule = await import('./starry-night-v2.js');
-            console.log('Starry module loaded:', starryModule);
-            console.log('Available exports:', Object.keys(starryModule));
-        } catch (error) {
-            console.error('Failed to load starry-night-v2.js:', error);
-            return;
+function getUrlConfig(effectId) {
+    return configOverrides.effect === effectId ? configOverrides.values : {};
+}
+
+// 设置面板修改 CONFIG 后同步到地址栏（值为 null 表示已恢复默认）
+function updateConfigOverrides(values) {
+    const next = { ...getUrlConfig(currentEffectId) };
+    Object.keys(values).forEach(path => {
+        if (values[path] === null) {
+            delete next[path];
+        } else {
+            next[path] = values[path];
         }
-    }
+    });
     
-    if (typeof starryModule.initThreeScene === 'function') {
-        starryModule.initThreeScene();
-    } else {
-        console.error('initThreeScene is not a function:', starryModule.initThreeScene);
+    configOverrides = { effect: currentEffectId, values: next };
+}
+
+function restoreView(module, view) {
+    if (module.applyViewState && Object.keys(view).length > 0) {
+        module.applyViewState(view);
     }
+}
+
+// 定时把当前效果的视角写入 hash（replaceState，不产生历史记录）
+function saveUrlState() {
+    if (!activeModule || isSwitching) return;
     
-    // Update title
-    const titleElement = document.getElementById('title');
-    if (titleElement) {
-        titleElement.textContent = 'STARRY NIGHT';
-        titleElement.style.textShadow = '0 0 20px rgba(135, 206, 235, 0.8), 0 0 40px rgba(135, 206, 235, 0.4)';
+    writeUrlState({
+        effect: currentEffectId,
+        view: activeModule.getViewState ? activeModule.getViewState() : {},
+        config: getUrlConfig(currentEffectId)
+    });
+}
+
+// 手动修改地址或在同一标签页打开另一个链接
+async function onHashChange() {
+    const state = readUrlState();
+    const effectId = getEffect(state.effect) ? state.effect : currentEffectId;
+    
+    // CONFIG 覆盖不同：重新加载页面，让效果按新的 CONFIG 重建
+    if (formatUrlState({ config: state.config }) !== formatUrlState({ config: getUrlConfig(effectId) })) {
+        window.location.reload();
+        return;
     }
     
-    // Update hands callback
-    if (hands) {
-        hands.onResults(starryModule.onResults);
+    if (effectId !== currentEffectId) {
+        await switchEffect(effectId);
+        if (effectId !== currentEffectId) return;  // 切换失败或正在切换
     }
+    restoreView(activeModule, state.view);
 }
 
 // ============================================
 // MediaPipe Hands Initialization
 // ============================================
 
-async function initHands() {
-    hands = new Hands({
-        locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`
+// timeout（ms）：超时视为失败（0 = 不限时）
+function loadScript(src, timeout = 0) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        let timer = null;
+        
+        script.src = src;
+        script.crossOrigin = 'anonymous';
+        script.onload = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        script.onerror = () => {
+            clearTimeout(timer);
+            reject(new Error(`Failed to load ${src}`));
+        };
+        if (timeout > 0) {
+            timer = setTimeout(() => reject(new Error(`Timed out loading ${src}`)), timeout);
+        }
+        document.head.appendChild(script);
     });
+}
+
+// 确保 MediaPipe 全局对象已加载（先 CDN，失败或超时后本地）
+async function ensureMediaPipe() {
+    let cdnFailed = false;  // CDN 失败一次后其余脚本直接用本地副本，不再逐个等待超时
+    
+    for (const { global, path } of MEDIAPIPE_SCRIPTS) {
+        if (typeof window[global] !== 'undefined') continue;
+        
+        if (!cdnFailed) {
+            try {
+                await loadScript(MEDIAPIPE_CDN + path, MEDIAPIPE_CDN_TIMEOUT);
+                continue;
+            } catch (error) {
+                console.warn(`⚠️ ${error.message}, using local copy`);
+                cdnFailed = true;
+            }
+        }
+        
+        await loadScript(MEDIAPIPE_LOCAL + path);
+        if (global === 'Hands') {
+            mediaPipeBase = MEDIAPIPE_LOCAL;
+        }
+    }
+}
 
+function initHands() {
+    hands = new Hands({
+        locateFile: (file) => `${mediaPipeBase}hands/${file}`
+    });
+    
+    // 摄像头结果统一经过 onHandResults（录制 / 回放 / 转发给当前效果）
+    hands.onResults(onHandResults);
+    
     hands.setOptions({
-        maxNumHands: 1,
+        maxNumHands: 2,  // 双手手势（缩放、侧倾、拍手、比心）
         modelComplexity: 1,
         minDetectionConfidence: 0.7,
         minTrackingConfidence: 0.7
     });
-
+    
     handCamera = new Camera(videoElement, {
         onFrame: async () => {
-            await hands.send({ image: videoElement });
+            try {
+                await hands.send({ image: videoElement });
+            } catch (error) {
+                // 模型文件下载失败等
+                if (startupState !== 'error') {
+                    console.error('Hand tracking failed:', error);
+                    handCamera.stop();
+                    setStartupState('error', 'Hand tracking failed to start - the model files could not be loaded');
+                }
+            }
         },
         width: 640,
         height: 480
@@ -268,6 +502,251 @@ async function initHands() {
     handsInitialized = true;
 }
 
+// ============================================
+// Startup & Camera
+// ============================================
+
+function createStatusUI() {
+    const status = document.getElementById('loading');
+    status.innerHTML = `
+        <div class="status-message"></div>
+        <div class="status-detail"></div>
+        <div class="status-actions">
+            <button data-action="retry">🔄 Retry camera</button>
+            <button data-action="continue">🖱️ Continue without camera</button>
+        </div>
+    `;
+    
+    status.querySelector('[data-action="retry"]').addEventListener('click', startCamera);
+    status.querySelector('[data-action="continue"]').addEventListener('click', continueWithoutCamera);
+}
+
+// 切换启动状态并更新状态界面（按钮的显示由 style.css 按 data-state 控制）
+function setStartupState(state, detail = '') {
+    startupState = state;
+    
+    const status = document.getElementById('loading');
+    status.dataset.state = state;
+    status.classList.toggle('hidden', state === 'tracking');
+    status.querySelector('.status-message').textContent = STARTUP_MESSAGES[state];
+    status.querySelector('.status-detail').textContent = detail;
+    
+    if (state !== 'camera') {
+        clearTimeout(trackingTimer);
+    }
+    
+    console.log(`🚦 Startup: ${state}${detail ? ` - ${detail}` : ''}`);
+}
+
+async function startCamera() {
+    setStartupState('camera', 'Allow camera access to control the effects with your hands');
+    
+    try {
+        await ensureMediaPipe();
+    } catch (error) {
+        console.error(error);
+        setStartupState('error', 'The hand tracking library could not be loaded from the CDN or vendor/ - check the network connection or the offline assets');
+        return;
+    }
+    
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        setStartupState('no-camera', 'This browser cannot access a camera here (HTTPS or localhost is required)');
+        return;
+    }
+    
+    if (!handsInitialized) {
+        initHands();
+    }
+    
+    try {
+        await handCamera.start();
+    } catch (error) {
+        console.error('Camera failed to start:', error);
+        if (CAMERA_ERRORS[error.name]) {
+            setStartupState('no-camera', CAMERA_ERRORS[error.name]);
+        } else {
+            setStartupState('error', error.message || 'The camera could not be started');
+        }
+        return;
+    }
+    
+    // 摄像头已打开，等待第一帧识别结果（onHandResults 切换到 tracking）
+    if (startupState !== 'camera') return;
+    
+    setStartupState('camera', 'Loading the hand tracking model...');
+    trackingTimer = setTimeout(() => {
+        handCamera.stop();
+        setStartupState('error', 'Hand tracking did not start - the model files may have failed to download');
+    }, TRACKING_TIMEOUT);
+}
+
+// 不使用摄像头：效果照常渲染，用鼠标 / 触摸 / 键盘控制
+function continueWithoutCamera() {
+    if (handCamera) {
+        handCamera.stop();
+    }
+    setStartupState('no-camera', 'Drag to rotate, scroll or pinch to zoom, and use the keyboard shortcuts');
+}
+
+// ============================================
+// Hand Recording & Replay
+// ============================================
+
+function onHandResults(results) {
+    if (startupState === 'camera') {
+        setStartupState('tracking');
+    }
+    
+    // 回放时忽略摄像头输入
+    if (replay) return;
+    
+    recordFrame(results);
+    forwardResults(results);
+}
+
+// 校准期间手势只用于校准，不驱动效果
+function forwardResults(results) {
+    if (isCalibrating()) {
+        handleCalibrationResults(results);
+    } else if (activeModule) {
+        activeModule.onResults(results);
+    }
+}
+
+function createRecorderUI() {
+    recordButton = addToolbarButton({
+        icon: '⏺️',
+        title: 'Record hand landmarks',
+        onClick: toggleRecording
+    });
+    
+    // 选择录制文件回放
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', async () => {
+        const [file] = fileInput.files;
+        fileInput.value = '';
+        if (!file) return;
+        
+        try {
+            startReplay(parseRecording(await file.text()));
+        } catch (error) {
+            console.error(`Failed to load recording "${file.name}":`, error);
+        }
+    });
+    document.body.appendChild(fileInput);
+    
+    replayButton = addToolbarButton({
+        icon: '📼',
+        title: 'Replay a hand recording',
+        onClick: () => {
+            if (replay) {
+                stopReplay();
+            } else {
+                fileInput.click();
+            }
+        }
+    });
+}
+
+function toggleRecording() {
+    if (isRecording()) {
+        const recording = stopRecording();
+        recordButton.classList.remove('active');
+        recordButton.title = 'Record hand landmarks';
+        
+        if (recording.frames.length > 0) {
+            downloadRecording(recording);
+        }
+    } else {
+        stopReplay();
+        startRecording();
+        recordButton.classList.add('active');
+        recordButton.title = 'Stop recording and download';
+    }
+}
+
+// 按原始时间把录制帧送入当前效果的 onResults
+function startReplay(recording, { loop = false } = {}) {
+    stopReplay();
+    
+    if (recording.frames.length === 0) {
+        console.warn('Recording has no frames');
+        return;
+    }
+    
+    replay = { recording, index: 0, startTime: performance.now(), timer: null, loop };
+    replayButton.classList.add('active');
+    replayButton.title = 'Stop replay';
+    
+    console.log(`📼 Replaying ${recording.frames.length} frames${loop ? ' (looping)' : ''}`);
+    scheduleReplayFrame();
+}
+
+function scheduleReplayFrame() {
+    const { frames } = replay.recording;
+    
+    if (replay.index >= frames.length) {
+        if (!replay.loop) {
+            stopReplay();
+            return;
+        }
+        replay.index = 0;
+        replay.startTime = performance.now();
+    }
+    
+    const frame = frames[replay.index];
+    // 以回放开始时间为基准，避免 setTimeout 误差累积
+    const delay = replay.startTime + frame.t - performance.now();
+    
+    replay.timer = setTimeout(() => {
+        // 出错时结束回放，否则 replay 一直存在，摄像头输入也被忽略
+        try {
+            forwardResults(toResults(frame));
+        } catch (error) {
+            console.error(`Replay stopped at frame ${replay.index}:`, error);
+            stopReplay();
+            return;
+        }
+        replay.index++;
+        scheduleReplayFrame();
+    }, Math.max(delay, 0));
+}
+
+function stopReplay() {
+    if (!replay) return;
+    
+    clearTimeout(replay.timer);
+    replay = null;
+    
+    // 清空效果中的手势状态
+    if (activeModule) {
+        activeModule.onResults({ image: null, multiHandLandmarks: [], multiHandedness: [] });
+    }
+    
+    replayButton.classList.remove('active');
+    replayButton.title = 'Replay a hand recording';
+    console.log('📼 Replay stopped');
+}
+
+// ?replay=recordings/demo.json 启动时循环回放（演示用）
+async function replayFromUrl() {
+    const url = new URLSearchParams(window.location.search).get('replay');
+    if (!url) return;
+    
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        startReplay(parseRecording(await response.text()), { loop: true });
+    } catch (error) {
+        console.error(`Failed to load recording "${url}":`, error);
+    }
+}
+
 // ============================================
 // Main Initialization
 // ============================================
@@ -277,22 +756,48 @@ async function init() {
     canvasElement.width = 640;
     canvasElement.height = 480;
     
+    createStatusUI();
+    setStartupState('loading');
+    
     // Create switcher UI
     createSwitcherUI();
+    createRecorderUI();
+    createCalibrationPanel();
+    
+    // Shared renderer + compositing loop (pixel ratio from the quality level)
+    createQualityUI(onQualityChange);
+    initRenderer();
+    createCaptureUI(renderer.domElement);
     
-    // Initialize hands
-    await initHands();
+    // Initialize the effect from the URL hash (default: first registered)
+    const urlState = readUrlState();
+    const startupEffect = getEffect(urlState.effect) || getEffects()[0];
+    const module = await loadModule(startupEffect.id);
+    if (!module) {
+        setStartupState('error', `The ${startupEffect.label} effect could not be loaded`);
+        return;
+    }
+    applyUrlConfig(startupEffect.id, module, urlState.config);
+    startEffect(startupEffect, module);
+    restoreView(module, urlState.view);
+    
+    // Keep the view in the URL hash, follow edits to it
+    setInterval(saveUrlState, URL_STATE_INTERVAL);
+    window.addEventListener('hashchange', onHashChange);
     
-    // Initialize default effect (Christmas)
-    await initChristmasEffect();
+    // Pause the active effect while the tab is hidden
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    renderLoop();
     
-    // Start hand tracking
-    handCamera.start();
+    // Start hand tracking (the effect keeps rendering while the camera starts or fails)
+    startCamera();
+    replayFromUrl();
     
     console.log('🎉 Effect Switcher initialized!');
     console.log('📍 Click the buttons in the top-right corner to switch effects:');
-    console.log('   🎄 Christmas Tree - 3D particle Christmas tree with gifts');
-    console.log('   ⭐ Starry Night - Constellations in the night sky');
+    getEffects().forEach(effect => {
+        console.log(`   ${effect.icon} ${effect.label}`);
+    });
 }
 
 // Start when DOM is ready
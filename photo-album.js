@@ -0,0 +1,93 @@
+// ============================================
+// Photo Album
+// JSON album manifests for the tree's photo wall: each image with a
+// caption, date, author and an optional placement on the tree
+// ============================================
+//
+// {
+//     "version": 1,
+//     "title": "Christmas 2026",                    // 可选
+//     "photos": [
+//         {
+//             "src": "photos/decorating.jpg",       // 相对于清单文件，也可以是完整 URL
+//             "caption": "Decorating the tree",     // 以下字段都可选
+//             "date": "2026-12-24",                 // YYYY-MM-DD，或任意文字（如 "Christmas 1998"）
+//             "author": "Grandma",
+//             "placement": { "tier": 0.3, "angle": 90 }  // tier: 0 = 树顶 … 1 = 树底；angle: 绕树的角度（度）
+//         }
+//     ]
+// }
+
+const ALBUM_VERSION = 1;
+
+function optionalString(value) {
+    return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+}
+
+function optionalNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+// 位置提示：{ tier, angle }，未给出的字段为 null（随机）
+function parsePlacement(placement) {
+    if (!placement || typeof placement !== 'object') {
+        return { tier: null, angle: null };
+    }
+    
+    const tier = optionalNumber(placement.tier);
+    return {
+        tier: tier === null ? null : Math.min(Math.max(tier, 0), 1),
+        angle: optionalNumber(placement.angle)
+    };
+}
+
+// 校验并规范化相册清单；src 按 baseUrl（清单文件地址）解析
+export function parseAlbum(data, baseUrl = window.location.href) {
+    if (!data || data.version !== ALBUM_VERSION || !Array.isArray(data.photos)) {
+        throw new Error(`Not a photo album manifest (expected version ${ALBUM_VERSION} with a photos array)`);
+    }
+    
+    const photos = data.photos.map((photo, index) => {
+        const src = photo && optionalString(photo.src);
+        if (!src) {
+            throw new Error(`Album photo ${index} has no src`);
+        }
+        
+        return {
+            src: new URL(src, baseUrl).href,
+            caption: optionalString(photo.caption),
+            date: optionalString(photo.date),
+            author: optionalString(photo.author),
+            placement: parsePlacement(photo.placement)
+        };
+    });
+    
+    return {
+        title: optionalString(data.title) || 'Untitled album',
+        photos
+    };
+}
+
+export async function loadAlbum(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Album ${url} could not be loaded (${response.status})`);
+    }
+    
+    return parseAlbum(await response.json(), response.url);
+}
+
+// "2026-12-24" -> 本地化日期（按本地时区，不偏移一天）；其它文字原样返回
+export function formatPhotoDate(date) {
+    if (!date) return null;
+    
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+    if (!match) return date;
+    
+    const [, year, month, day] = match.map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
@@ -0,0 +1,133 @@
+// ============================================
+// Photo Store
+// The user's own photos for the tree's photo wall: image files are
+// center-cropped to squares, resized, and kept in IndexedDB so they
+// survive reloads
+// ============================================
+
+const DB_NAME = 'christmas-magic';
+const DB_VERSION = 1;
+const STORE_NAME = 'photos';
+
+const PHOTO_SIZE = 512;  // 裁剪后的边长（px），照片放大时仍然清晰
+const PHOTO_QUALITY = 0.85;  // JPEG 质量
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        // 打开失败（隐私模式等）时下次重试
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+}
+
+// 在一个事务中执行 callback(store)，事务完成后返回 callback 的结果（IDBRequest 取其 result）
+async function runTransaction(mode, callback) {
+    const db = await openDatabase();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const result = callback(transaction.objectStore(STORE_NAME));
+        
+        transaction.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// 居中裁剪为正方形并缩小到 size，返回 JPEG Blob
+export async function processImageFile(file, size = PHOTO_SIZE) {
+    const bitmap = await createImageBitmap(file);
+    const side = Math.min(bitmap.width, bitmap.height);
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = Math.min(size, side);
+    canvas.getContext('2d').drawImage(
+        bitmap,
+        (bitmap.width - side) / 2, (bitmap.height - side) / 2, side, side,
+        0, 0, canvas.width, canvas.height
+    );
+    bitmap.close();
+    
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error(`Could not encode ${file.name}`));
+            }
+        }, 'image/jpeg', PHOTO_QUALITY);
+    });
+}
+
+// 所有照片，按顺序：[{ id, blob, name, order }]
+export async function loadPhotos() {
+    const photos = await runTransaction('readonly', store => store.getAll());
+    return photos.sort((a, b) => a.order - b.order);
+}
+
+// 添加图片文件（排在最后），非图片或无法解码的文件跳过；返回新增的照片
+export async function addPhotos(files) {
+    const existing = await loadPhotos();
+    let order = existing.length > 0 ? existing[existing.length - 1].order + 1 : 0;
+    
+    // 先处理完所有图片：IndexedDB 事务在 await 期间会自动提交
+    const photos = [];
+    for (const file of files) {
+        if (!file.type.startsWith('image/')) continue;
+        
+        try {
+            photos.push({ blob: await processImageFile(file), name: file.name, order: order++ });
+        } catch (error) {
+            console.warn(`⚠️ Skipped ${file.name}:`, error.message);
+        }
+    }
+    
+    await runTransaction('readwrite', store => {
+        photos.forEach(photo => {
+            store.add(photo).onsuccess = event => {
+                photo.id = event.target.result;
+            };
+        });
+    });
+    
+    console.log(`🖼️ Added ${photos.length} photo(s)`);
+    return photos;
+}
+
+export function removePhoto(id) {
+    return runTransaction('readwrite', store => store.delete(id));
+}
+
+// 按 ids 的顺序重新排列照片
+export function reorderPhotos(ids) {
+    return runTransaction('readwrite', store => {
+        store.openCursor().onsuccess = event => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            
+            const order = ids.indexOf(cursor.value.id);
+            if (order !== -1 && order !== cursor.value.order) {
+                cursor.update({ ...cursor.value, order });
+            }
+            cursor.continue();
+        };
+    });
+}
+
+// 删除所有照片（照片墙恢复默认图片）
+export function clearPhotos() {
+    return runTransaction('readwrite', store => store.clear());
+}
@@ -0,0 +1,151 @@
+// ============================================
+// Pointer Controls
+// Mouse, touch, wheel and keyboard input for effects, so everything
+// the hand gestures do also works without a camera
+// ============================================
+
+const TAP_DISTANCE = 6;  // 移动小于此距离（px）视为点击
+const TAP_TIME = 400;  // 按下到松开小于此时间（ms）视为点击
+const PINCH_ZOOM = 10;  // 双指距离变化 10% ≈ 滚轮一格
+
+function noop() {}
+
+// 在 element 上监听拖动 / 滚轮 / 双指捏合 / 点击，返回 { dispose }
+// handlers: {
+//     onDragStart(),           // 开始拖动（效果停止自动旋转和惯性）
+//     onDrag(delta),           // { x, y }：以视口宽高为单位的位移，与手势的 delta 相同
+//     onDragEnd(),             // 松开（效果恢复惯性）
+//     onZoom(amount),          // 正数拉近，滚轮一格约为 1
+//     onTap(clientX, clientY)
+// }
+export function createPointerControls(element, handlers) {
+    const {
+        onDragStart = noop,
+        onDrag = noop,
+        onDragEnd = noop,
+        onZoom = noop,
+        onTap = noop
+    } = handlers;
+    
+    const pointers = new Map();  // pointerId -> { x, y }
+    let isDragging = false;
+    let tapStart = null;  // { x, y, time } 可能是一次点击
+    let pinchDistance = 0;
+    
+    function getPinchDistance() {
+        const [a, b] = Array.from(pointers.values());
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+    
+    function onPointerDown(event) {
+        element.setPointerCapture(event.pointerId);
+        pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        
+        if (pointers.size === 1) {
+            tapStart = { x: event.clientX, y: event.clientY, time: performance.now() };
+        } else {
+            // 多指不算点击
+            tapStart = null;
+            pinchDistance = getPinchDistance();
+        }
+    }
+    
+    function onPointerMove(event) {
+        const last = pointers.get(event.pointerId);
+        if (!last) return;
+        
+        const current = { x: event.clientX, y: event.clientY };
+        pointers.set(event.pointerId, current);
+        
+        // 双指捏合缩放
+        if (pointers.size >= 2) {
+            const distance = getPinchDistance();
+            if (pinchDistance > 0) {
+                onZoom((distance / pinchDistance - 1) * PINCH_ZOOM);
+            }
+            pinchDistance = distance;
+            return;
+        }
+        
+        if (!isDragging) {
+            if (tapStart && Math.hypot(current.x - tapStart.x, current.y - tapStart.y) < TAP_DISTANCE) return;
+            
+            isDragging = true;
+            tapStart = null;
+            onDragStart();
+        }
+        
+        onDrag({
+            x: (current.x - last.x) / window.innerWidth,
+            y: (current.y - last.y) / window.innerHeight
+        });
+    }
+    
+    function onPointerUp(event) {
+        if (!pointers.has(event.pointerId)) return;
+        pointers.delete(event.pointerId);
+        
+        if (tapStart && event.type === 'pointerup' && performance.now() - tapStart.time < TAP_TIME) {
+            onTap(event.clientX, event.clientY);
+        }
+        tapStart = null;
+        
+        if (pointers.size < 2) {
+            pinchDistance = 0;
+        }
+        if (pointers.size === 0 && isDragging) {
+            isDragging = false;
+            onDragEnd();
+        }
+    }
+    
+    function onWheel(event) {
+        event.preventDefault();
+        
+        // deltaMode 1 为按行滚动（Firefox）
+        const pixels = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY;
+        onZoom(-pixels / 100);
+    }
+    
+    element.addEventListener('pointerdown', onPointerDown);
+    element.addEventListener('pointermove', onPointerMove);
+    element.addEventListener('pointerup', onPointerUp);
+    element.addEventListener('pointercancel', onPointerUp);
+    element.addEventListener('wheel', onWheel, { passive: false });
+    
+    function dispose() {
+        element.removeEventListener('pointerdown', onPointerDown);
+        element.removeEventListener('pointermove', onPointerMove);
+        element.removeEventListener('pointerup', onPointerUp);
+        element.removeEventListener('pointercancel', onPointerUp);
+        element.removeEventListener('wheel', onWheel);
+        pointers.clear();
+    }
+    
+    return { dispose };
+}
+
+// 焦点在输入框里时不触发快捷键（面板里有日期、经纬度等输入）
+function isTypingTarget(target) {
+    return target instanceof HTMLElement
+        && (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName));
+}
+
+// 键盘快捷键：keys 形如 { e: handler, ArrowLeft: handler }（按 event.key 匹配，字母不区分大小写）
+// 返回解除绑定的函数
+export function bindKeyboardShortcuts(keys) {
+    function onKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        if (isTypingTarget(event.target)) return;
+        
+        const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+        const handler = keys[key];
+        if (!handler) return;
+        
+        event.preventDefault();
+        handler(event);
+    }
+    
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+}
@@ -0,0 +1,287 @@
+// ============================================
+// Quality Manager
+// Measures the frame rate and steps the rendering quality (pixel
+// ratio, bloom resolution, particle counts, shooting stars) up or
+// down to hold a target frame rate; the ⚡ panel can pin a level
+// ============================================
+
+import * as THREE from 'three';
+import { addToolbarButton, addToolbarPanel } from './toolbar.js';
+
+const STORAGE_KEY = 'christmas-magic:quality';
+
+// 画质档位（从低到高）：
+// pixelRatio 为最大像素比（不超过设备像素比），bloomScale 为 bloom 相对画布的分辨率，
+// particleScale 乘以 CONFIG 中的粒子 / 背景星数量，shootingStars 乘以流星出现的概率
+const QUALITY_LEVELS = [
+    { name: 'low', label: 'Low', pixelRatio: 0.75, bloomScale: 0.35, particleScale: 0.35, shootingStars: 0.3 },
+    { name: 'medium', label: 'Medium', pixelRatio: 1, bloomScale: 0.6, particleScale: 0.6, shootingStars: 0.6 },
+    { name: 'high', label: 'High', pixelRatio: 2, bloomScale: 1, particleScale: 1, shootingStars: 1 },  // CONFIG 原样
+    { name: 'ultra', label: 'Ultra', pixelRatio: 3, bloomScale: 1, particleScale: 2, shootingStars: 1.5 }  // 只能手动选择
+];
+
+const QUALITY = {
+    defaultLevel: 'high',
+    // 自动模式的最高档：60 Hz 屏幕上帧率总是达到目标，看不出还有多少余量，
+    // 再往上升只会加重负担直到掉帧
+    maxAutoLevel: 'high',
+    targetFps: 60,
+    targetOptions: [30, 45, 60],
+    sampleTime: 2000,  // 每次测量帧率的时长（ms）
+    downThreshold: 0.85,  // 平均帧率低于目标的 85% 时降一档
+    upThreshold: 0.95,  // 连续 upSamples 次达到目标的 95% 时升一档
+    upSamples: 3,
+    settleTime: 2000,  // 换档或切换效果后先等待（重建场景、编译着色器的卡顿不计入）
+    retryTime: 60000,  // 降档后多久再尝试升回那一档（同一档每失败一次加倍）
+    maxFrameGap: 250  // 超过该间隔的帧（标签页隐藏、过渡、调试暂停）重新开始测量
+};
+
+let mode = 'auto';  // 'auto' 或固定的档位名
+let targetFps = QUALITY.targetFps;
+let levelIndex = findLevel(QUALITY.defaultLevel);
+let onQualityChange = null;  // main.js 设置像素比并通知效果
+
+// 帧率测量
+let lastFrameTime = 0;
+let sampleStart = 0;
+let sampleFrames = 0;
+let settleUntil = 0;
+let goodSamples = 0;
+let lastFps = null;
+let failures = [];  // 每档降档次数（升回前等待 retryTime * 2^(n-1)）
+let retryAfter = [];  // 每档可以再次尝试的时间
+
+let panelElement = null;
+let qualityButton = null;
+
+function findLevel(name) {
+    return QUALITY_LEVELS.findIndex(level => level.name === name);
+}
+
+function maxAutoIndex() {
+    return findLevel(QUALITY.maxAutoLevel);
+}
+
+function loadPreferences() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (!saved) return;
+        
+        if (saved.mode === 'auto' || findLevel(saved.mode) >= 0) mode = saved.mode;
+        if (QUALITY.targetOptions.includes(saved.targetFps)) targetFps = saved.targetFps;
+        // 自动模式从上次的档位开始，免得每次启动都从高档降下来
+        const savedLevel = findLevel(mode === 'auto' ? saved.level : mode);
+        if (savedLevel >= 0) levelIndex = mode === 'auto' ? Math.min(savedLevel, maxAutoIndex()) : savedLevel;
+    } catch (error) {
+        console.warn('⚠️ Saved quality settings ignored:', error.message);
+    }
+}
+
+function savePreferences() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({
+            mode,
+            targetFps,
+            level: QUALITY_LEVELS[levelIndex].name
+        }));
+    } catch (error) {
+        console.warn('⚠️ Quality settings could not be saved:', error.message);
+    }
+}
+
+// 当前档位 { name, label, pixelRatio, bloomScale, particleScale, shootingStars }
+export function getQuality() {
+    return QUALITY_LEVELS[levelIndex];
+}
+
+// 共享渲染器的像素比（main.js 设置）
+export function getPixelRatio() {
+    return Math.min(window.devicePixelRatio, getQuality().pixelRatio);
+}
+
+// CONFIG 中的粒子数量 -> 当前档位实际创建的数量
+export function scaleCount(count) {
+    return Math.round(count * getQuality().particleScale);
+}
+
+// composer 跟随渲染器的像素比，bloom 按 bloomScale 降低分辨率
+// composer.setSize 会把 bloom 恢复为全尺寸，所以效果在 setSize 之后都要调用
+export function applyComposerQuality(composer, bloomPass) {
+    composer.setPixelRatio(composer.renderer.getPixelRatio());
+    
+    const size = composer.renderer.getDrawingBufferSize(new THREE.Vector2());
+    const scale = getQuality().bloomScale;
+    bloomPass.setSize(Math.max(Math.round(size.x * scale), 1), Math.max(Math.round(size.y * scale), 1));
+}
+
+function setLevel(index, reason = '') {
+    if (index === levelIndex) return;
+    
+    levelIndex = index;
+    resetFrameTiming();
+    savePreferences();
+    render();
+    
+    console.log(`⚡ Quality: ${getQuality().label}${reason ? ` (${reason})` : ''}`);
+    if (onQualityChange) onQualityChange(getQuality());
+}
+
+// ============================================
+// Frame Timing
+// ============================================
+
+// 换档、切换效果后调用：等待 settleTime 再开始测量
+export function resetFrameTiming() {
+    settleUntil = performance.now() + QUALITY.settleTime;
+    sampleFrames = 0;
+    goodSamples = 0;
+}
+
+// main.js 每帧合成后调用（过渡期间两个效果同时渲染，不调用）
+export function measureFrame(now = performance.now()) {
+    const gap = now - lastFrameTime;
+    lastFrameTime = now;
+    
+    if (gap > QUALITY.maxFrameGap || now < settleUntil) {
+        sampleStart = now;
+        sampleFrames = 0;
+        return;
+    }
+    
+    sampleFrames++;
+    const elapsed = now - sampleStart;
+    if (elapsed < QUALITY.sampleTime) return;
+    
+    lastFps = sampleFrames * 1000 / elapsed;
+    sampleStart = now;
+    sampleFrames = 0;
+    
+    if (mode === 'auto') {
+        adjustLevel(lastFps, now);
+    }
+    renderStatus();
+}
+
+function adjustLevel(fps, now) {
+    if (fps < targetFps * QUALITY.downThreshold) {
+        goodSamples = 0;
+        if (levelIndex === 0) return;
+        
+        // 这一档太慢：一段时间内不再升回来
+        failures[levelIndex] = (failures[levelIndex] || 0) + 1;
+        retryAfter[levelIndex] = now + QUALITY.retryTime * Math.pow(2, failures[levelIndex] - 1);
+        setLevel(levelIndex - 1, `${Math.round(fps)} fps`);
+        return;
+    }
+    
+    goodSamples = fps >= targetFps * QUALITY.upThreshold ? goodSamples + 1 : 0;
+    
+    const next = levelIndex + 1;
+    if (goodSamples >= QUALITY.upSamples && next <= maxAutoIndex() && now >= (retryAfter[next] || 0)) {
+        setLevel(next, `${Math.round(fps)} fps`);
+    }
+}
+
+// ============================================
+// Manual Override
+// ============================================
+
+// 'auto' 或档位名（low / medium / high / ultra）
+export function setQualityMode(nextMode) {
+    if (nextMode !== 'auto' && findLevel(nextMode) < 0) return;
+    
+    mode = nextMode;
+    failures = [];
+    retryAfter = [];
+    savePreferences();
+    
+    if (mode !== 'auto') {
+        setLevel(findLevel(mode), 'manual');
+    } else if (levelIndex > maxAutoIndex()) {
+        setLevel(maxAutoIndex(), 'auto');
+    }
+    resetFrameTiming();
+    render();
+}
+
+function setTargetFps(fps) {
+    if (!QUALITY.targetOptions.includes(fps)) return;
+    
+    targetFps = fps;
+    failures = [];
+    retryAfter = [];
+    resetFrameTiming();
+    savePreferences();
+}
+
+// ============================================
+// UI (created once by main.js)
+// ============================================
+
+function renderStatus() {
+    if (!panelElement) return;
+    
+    const quality = getQuality();
+    const fps = lastFps === null ? '–' : Math.round(lastFps);
+    panelElement.querySelector('[data-field="status"]').textContent =
+        `${mode === 'auto' ? 'Auto: ' : ''}${quality.label} · ${fps} fps · ${getPixelRatio()}x pixels`;
+}
+
+function render() {
+    if (!panelElement) return;
+    
+    panelElement.querySelector('[data-field="mode"]').value = mode;
+    panelElement.querySelector('[data-field="target"]').value = String(targetFps);
+    panelElement.querySelector('[data-field="target"]').disabled = mode !== 'auto';
+    renderStatus();
+}
+
+// onChange(quality)：档位改变后调用（main.js 更新像素比并通知当前效果）
+export function createQualityUI(onChange) {
+    onQualityChange = onChange;
+    loadPreferences();
+    
+    const levelOptions = QUALITY_LEVELS
+        .map(level => `<option value="${level.name}">${level.label}</option>`)
+        .join('');
+    const targetOptions = QUALITY.targetOptions
+        .map(fps => `<option value="${fps}">${fps} fps</option>`)
+        .join('');
+    
+    panelElement = addToolbarPanel('quality-panel', `
+        <div class="panel-row">
+            <span class="panel-label">Quality</span>
+            <select data-field="mode">
+                <option value="auto">Auto</option>
+                ${levelOptions}
+            </select>
+        </div>
+        <div class="panel-row">
+            <span class="panel-label">Target</span>
+            <select data-field="target">${targetOptions}</select>
+        </div>
+        <div class="panel-note" data-field="status"></div>
+    `);
+    panelElement.addEventListener('change', event => {
+        if (event.target.dataset.field === 'mode') {
+            setQualityMode(event.target.value);
+        } else if (event.target.dataset.field === 'target') {
+            setTargetFps(Number(event.target.value));
+        }
+    });
+    
+    qualityButton = addToolbarButton({
+        icon: '⚡',
+        title: 'Rendering quality',
+        onClick: () => {
+            const open = !panelElement.classList.contains('open');
+            panelElement.classList.toggle('open', open);
+            qualityButton.classList.toggle('active', open);
+        }
+    });
+    
+    render();
+    resetFrameTiming();
+    
+    console.log(`⚡ Quality: ${mode === 'auto' ? `auto (target ${targetFps} fps), starting at ` : ''}${getQuality().label}`);
+}
@@ -0,0 +1,342 @@
+// ============================================
+// Scene Capture
+// PNG screenshots and WebM clips of the composited canvas (bloom and
+// transitions included), with the #title overlay drawn into the image
+// and a short countdown so visitors can pose
+// ============================================
+
+import { addToolbarButton } from './toolbar.js';
+import { bindKeyboardShortcuts } from './pointer-controls.js';
+import { downloadBlob } from './download-utils.js';
+
+const CAPTURE = {
+    countdown: 3,  // 倒计时秒数（0 = 立即拍摄）
+    gestureHold: 1000,  // 手势保持多久（ms）才触发拍摄
+    maxClipLength: 20000,  // 视频最长时长（ms），到时自动停止并下载
+    frameRate: 30,
+    videoMaxWidth: 1280,  // 视频按此宽度缩小，文件小一些
+    videoBitrate: 6000000,
+    mimeTypes: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+};
+
+let sourceCanvas = null;  // 共享渲染器的 WebGL 画布
+let pendingScreenshot = false;  // 下一帧渲染后截图
+let clip = null;  // 录制中：{ recorder, canvas, context, timer }
+let countdownTimer = null;
+
+let clipButton = null;
+let countdownElement = null;
+
+function timestamp() {
+    return new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+}
+
+// 把 #title 按页面上的位置和样式画进画布（画布可能比窗口大或小）
+function drawTitle(context, width, height) {
+    const titleElement = document.getElementById('title');
+    if (!titleElement || !titleElement.textContent.trim()) return;
+    
+    const style = getComputedStyle(titleElement);
+    if (style.display === 'none' || style.visibility === 'hidden') return;
+    
+    const rect = titleElement.getBoundingClientRect();
+    const scaleX = width / window.innerWidth;
+    const scaleY = height / window.innerHeight;
+    const fontSize = parseFloat(style.fontSize) * scaleY;
+    // text-shadow 的第一个颜色作为光晕颜色（切换效果时 main.js 会改它）
+    const glow = /rgba?\([^)]*\)/.exec(style.textShadow);
+    
+    context.save();
+    context.font = `${style.fontWeight} ${fontSize}px ${style.fontFamily}`;
+    context.letterSpacing = `${parseFloat(style.letterSpacing) * scaleY || 0}px`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = style.color;
+    context.shadowColor = glow ? glow[0] : style.color;
+    context.shadowBlur = fontSize * 0.5;
+    
+    const x = (rect.left + rect.width / 2) * scaleX;
+    const y = (rect.top + rect.height / 2) * scaleY;
+    // 画两遍，光晕更接近 CSS 的多层 text-shadow
+    context.fillText(titleElement.textContent, x, y);
+    context.fillText(titleElement.textContent, x, y);
+    context.restore();
+}
+
+function drawScene(canvas, context) {
+    context.drawImage(sourceCanvas, 0, 0, canvas.width, canvas.height);
+    drawTitle(context, canvas.width, canvas.height);
+}
+
+// 每帧合成完成后由 main.js 调用：WebGL 画布只在本帧内可读（未开启 preserveDrawingBuffer）
+export function captureFrame() {
+    if (!sourceCanvas) return;
+    
+    if (pendingScreenshot) {
+        pendingScreenshot = false;
+        saveScreenshot();
+    }
+    
+    if (clip) {
+        drawScene(clip.canvas, clip.context);
+    }
+}
+
+function saveScreenshot() {
+    const canvas = document.createElement('canvas');
+    canvas.width = sourceCanvas.width;
+    canvas.height = sourceCanvas.height;
+    drawScene(canvas, canvas.getContext('2d'));
+    
+    canvas.toBlob(blob => {
+        if (!blob) {
+            console.warn('⚠️ Screenshot could not be encoded');
+            return;
+        }
+        downloadBlob(blob, `christmas-magic-${timestamp()}.png`);
+        console.log('📸 Screenshot saved');
+    }, 'image/png');
+    
+    flashScreen();
+}
+
+// ============================================
+// Countdown
+// ============================================
+
+function isCountingDown() {
+    return countdownTimer !== null;
+}
+
+// 倒计时结束后执行 callback（CAPTURE.countdown 为 0 时立即执行）
+function runCountdown(callback) {
+    if (isCountingDown()) return;
+    
+    let remaining = CAPTURE.countdown;
+    
+    function tick() {
+        if (remaining <= 0) {
+            countdownTimer = null;
+            countdownElement.classList.remove('visible');
+            callback();
+            return;
+        }
+        
+        countdownElement.textContent = remaining;
+        countdownElement.classList.add('visible');
+        remaining--;
+        countdownTimer = setTimeout(tick, 1000);
+    }
+    
+    tick();
+}
+
+function cancelCountdown() {
+    clearTimeout(countdownTimer);
+    countdownTimer = null;
+    countdownElement.classList.remove('visible');
+}
+
+function flashScreen() {
+    const flash = document.createElement('div');
+    flash.className = 'capture-flash';
+    flash.addEventListener('animationend', () => flash.remove());
+    document.body.appendChild(flash);
+}
+
+// ============================================
+// Actions
+// ============================================
+
+// 倒计时后截图
+export function takeScreenshot() {
+    if (!sourceCanvas) return;
+    
+    runCountdown(() => {
+        pendingScreenshot = true;
+    });
+}
+
+function pickMimeType() {
+    return CAPTURE.mimeTypes.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+// 停止画布的采集轨道，否则每段视频都留下一个活动的轨道
+function stopStream(stream) {
+    stream.getTracks().forEach(track => track.stop());
+}
+
+function startClip() {
+    const scale = Math.min(CAPTURE.videoMaxWidth / sourceCanvas.width, 1);
+    const canvas = document.createElement('canvas');
+    // 编码器要求偶数尺寸
+    canvas.width = Math.round(sourceCanvas.width * scale / 2) * 2;
+    canvas.height = Math.round(sourceCanvas.height * scale / 2) * 2;
+    const context = canvas.getContext('2d');
+    
+    const mimeType = pickMimeType();
+    const chunks = [];
+    let stream = null;
+    let recorder;
+    
+    // 编码器不可用（NotSupportedError）或画布被跨域图片污染（SecurityError）时放弃录制
+    try {
+        stream = canvas.captureStream(CAPTURE.frameRate);
+        recorder = new MediaRecorder(stream, {
+            mimeType,
+            videoBitsPerSecond: CAPTURE.videoBitrate
+        });
+        recorder.ondataavailable = event => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+        recorder.onstop = () => {
+            stopStream(stream);
+            
+            const blob = new Blob(chunks, { type: mimeType || 'video/webm' });
+            downloadBlob(blob, `christmas-magic-${timestamp()}.webm`);
+            console.log(`🎬 Clip saved (${(blob.size / 1048576).toFixed(1)} MB)`);
+        };
+        
+        drawScene(canvas, context);
+        recorder.start(1000);
+    } catch (error) {
+        if (stream) {
+            stopStream(stream);
+        }
+        console.warn('⚠️ Video recording could not start:', error.message);
+        return;
+    }
+    
+    // 录制已开始
+    clip = {
+        recorder,
+        canvas,
+        context,
+        timer: setTimeout(stopClip, CAPTURE.maxClipLength)
+    };
+    clipButton.classList.add('active');
+    clipButton.title = 'Stop recording (V)';
+    console.log(`🎬 Recording clip (${canvas.width}x${canvas.height}, ${mimeType || 'default format'})`);
+}
+
+function stopClip() {
+    if (!clip) return;
+    
+    clearTimeout(clip.timer);
+    clip.recorder.stop();
+    clip = null;
+    
+    clipButton.classList.remove('active');
+    clipButton.title = 'Record a video clip (V)';
+}
+
+// 开始（倒计时后）或停止录制视频
+export function toggleClipRecording() {
+    if (!sourceCanvas) return;
+    
+    if (clip) {
+        stopClip();
+    } else if (isCountingDown()) {
+        cancelCountdown();
+    } else if (typeof MediaRecorder === 'undefined') {
+        console.warn('⚠️ Video recording is not supported in this browser');
+    } else {
+        runCountdown(startClip);
+    }
+}
+
+// 手势动作：保持 CAPTURE.gestureHold 毫秒后触发一次（各效果加入自己的动作表）
+function createHeldAction(label, trigger) {
+    let heldSince = null;
+    
+    return {
+        label,
+        start: () => {
+            heldSince = performance.now();
+        },
+        hold: () => {
+            if (heldSince !== null && performance.now() - heldSince >= CAPTURE.gestureHold) {
+                heldSince = null;
+                trigger();
+            }
+        },
+        end: () => {
+            heldSince = null;
+        }
+    };
+}
+
+export function createCaptureActions() {
+    return {
+        screenshot: createHeldAction('Take a photo (hold)', takeScreenshot),
+        recordClip: createHeldAction('Start / stop video clip (hold)', toggleClipRecording)
+    };
+}
+
+// ============================================
+// UI (created once by main.js)
+// ============================================
+
+function injectStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+        #capture-countdown {
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            z-index: 2000;
+            display: none;
+            color: white;
+            font-family: 'Segoe UI', Arial, sans-serif;
+            font-size: 160px;
+            font-weight: 300;
+            text-shadow: 0 0 30px rgba(135, 206, 235, 0.9);
+            pointer-events: none;
+        }
+        
+        #capture-countdown.visible {
+            display: block;
+        }
+        
+        .capture-flash {
+            position: fixed;
+            inset: 0;
+            z-index: 2000;
+            background: white;
+            pointer-events: none;
+            animation: captureFlash 0.4s ease-out forwards;
+        }
+        
+        @keyframes captureFlash {
+            from { opacity: 0.8; }
+            to { opacity: 0; }
+        }
+    `;
+    document.head.appendChild(style);
+}
+
+export function createCaptureUI(canvas) {
+    sourceCanvas = canvas;
+    
+    injectStyles();
+    countdownElement = document.createElement('div');
+    countdownElement.id = 'capture-countdown';
+    document.body.appendChild(countdownElement);
+    
+    addToolbarButton({
+        icon: '📸',
+        title: 'Take a photo (P)',
+        onClick: takeScreenshot
+    });
+    clipButton = addToolbarButton({
+        icon: '🎬',
+        title: 'Record a video clip (V)',
+        onClick: toggleClipRecording
+    });
+    
+    bindKeyboardShortcuts({
+        p: takeScreenshot,
+        v: toggleClipRecording
+    });
+}
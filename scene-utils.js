@@ -0,0 +1,77 @@
+// ============================================
+// Scene Utilities - shared GPU resource cleanup and texture loading
+// Used by effect modules when they are created and disposed
+// ============================================
+
+// 释放材质及其引用的所有纹理
+function disposeMaterial(material) {
+    Object.values(material).forEach(value => {
+        if (value && value.isTexture) {
+            value.dispose();
+        }
+    });
+    
+    // ShaderMaterial 的纹理保存在 uniforms 中
+    if (material.uniforms) {
+        Object.values(material.uniforms).forEach(uniform => {
+            if (uniform && uniform.value && uniform.value.isTexture) {
+                uniform.value.dispose();
+            }
+        });
+    }
+    
+    material.dispose();
+}
+
+// 递归释放对象树中的几何体、材质和纹理
+export function disposeObject3D(root) {
+    if (!root) return;
+    
+    root.traverse(object => {
+        if (object.geometry) {
+            object.geometry.dispose();
+        }
+        
+        if (object.material) {
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach(disposeMaterial);
+        }
+    });
+    
+    if (root.parent) {
+        root.parent.remove(root);
+    }
+}
+
+// 释放 EffectComposer 及其 passes 创建的渲染目标
+export function disposeComposer(composer) {
+    if (!composer) return;
+    
+    composer.passes.forEach(pass => {
+        if (typeof pass.dispose === 'function') {
+            pass.dispose();
+        }
+    });
+    composer.dispose();
+}
+
+// 按顺序尝试多个地址加载纹理（例如在线图片 -> 项目内的本地副本）
+// 立即返回纹理，任一地址加载成功后更新其图像
+export function loadTextureWithFallback(loader, urls) {
+    const texture = loader.load(urls[0], undefined, undefined, () => tryNext(1));
+    
+    function tryNext(index) {
+        if (index >= urls.length) {
+            console.warn(`⚠️ Texture failed to load: ${urls.join(', ')}`);
+            return;
+        }
+        
+        loader.load(urls[index], loaded => {
+            texture.image = loaded.image;
+            texture.needsUpdate = true;
+            loaded.dispose();
+        }, undefined, () => tryNext(index + 1));
+    }
+    
+    return texture;
+}
@@ -8,14 +8,26 @@ import * as THREE from 'three';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { disposeObject3D, disposeComposer, loadTextureWithFallback } from './scene-utils.js';
+import { createGestureEngine, applyHandDistanceZoom } from './gesture-engine.js';
+import { createGestureBindings, createBindingsPanel } from './gesture-bindings.js';
+import { getActiveCalibration } from './hand-calibration.js';
+import { createCaptureActions } from './scene-capture.js';
+import { createPointerControls, bindKeyboardShortcuts } from './pointer-controls.js';
+import { addToolbarButton, addToolbarPanel, removeToolbarButton } from './toolbar.js';
+import { loadPhotos, addPhotos, removePhoto, reorderPhotos, clearPhotos } from './photo-store.js';
+import { loadAlbum, formatPhotoDate } from './photo-album.js';
+import { roundState } from './url-state.js';
+import { createSettingsPanel, snapshotConfig } from './settings-panel.js';
+import { createGpuParticlePhysics, isGpuPhysicsSupported } from './tree-gpu-physics.js';
+import { scaleCount, applyComposerQuality } from './quality-manager.js';
 
 // === DOM Elements (lazy initialization) ===
-let canvas, cursor, loading, videoElement, canvasElement, canvasCtx;
+let canvas, cursor, videoElement, canvasElement, canvasCtx;
 
 function initDOMElements() {
     canvas = document.getElementById('three-canvas');
     cursor = document.getElementById('cursor');
-    loading = document.getElementById('loading');
     videoElement = document.getElementById('input_video');
     canvasElement = document.getElementById('output_canvas');
     canvasCtx = canvasElement.getContext('2d');
@@ -23,6 +35,7 @@ function initDOMElements() {
 
 // === Three.js Variables ===
 let scene, camera, renderer, composer;
+let bloomPass = null;  // 设置面板实时调整
 let treeGroup, treeParticles, starField, treeStar;
 let treeUniforms, starUniforms;
 let photoFrames = [];  // 照片框数组
@@ -31,15 +44,23 @@ let selectedPhoto = null;  // 当前选中的照片
 let expandedPhoto = null;  // 当前放大的照片
 let photoExpandAnimation = null;  // 照片放大动画
 
-// 粒子物理数据
-let particleVelocities = [];  // 速度
-let particleAccelerations = [];  // 加速度
-let particleTargets = [];  // 目标位置（圣诞树形状）
-let particlePhases = [];  // 相位（用于无规律运动）
+// 粒子物理数据（Float32Array，每个粒子连续存放，10 万以上粒子时不创建对象）
+let particleVelocities = new Float32Array(0);  // 速度 xyz
+let particleTargets = new Float32Array(0);  // 目标位置 xyz（圣诞树形状）
+let gpuPhysics = null;  // GPU 粒子模拟（CONFIG.physics.gpu），为 null 时在 CPU 上更新
+let gpuPhysicsFailed = false;  // GPU 模拟创建失败，之后直接使用 CPU
+let pendingTreeQuality = false;  // 画质档位改变了粒子数量，等树空闲时再换
+let particlePhases = new Float32Array(0);  // 相位（用于无规律运动）：offset, speedX, speedY, speedZ
+let particleAmplitudes = new Float32Array(0);  // 湍流幅度 xyz
 let isExploded = false;  // 是否爆炸状态
 
+// 生命周期状态
+let resetAnimation = null;  // 视角重置动画
+let isRunning = false;  // 已初始化且未释放
+let isPaused = false;  // 已暂停（切换效果或页面隐藏）
+
 // === Configuration ===
-const CONFIG = {
+export const CONFIG = {
     tree: {
         particleCount: 2500,
         height: 4,
@@ -58,9 +79,13 @@ const CONFIG = {
         returnForce: 0.008,  // 回归力（增强，保持形状）
         turbulence: 0.001,  // 湍流强度（减弱）
         maxSpeed: 0.015,  // 最大速度（减小）
+        gpu: true,  // 在 GPU 上模拟树的粒子（tree-gpu-physics.js，可运行 10 万以上粒子），不支持时使用 CPU
+        cpuMaxParticles: 10000,  // CPU 物理时树粒子数的上限（更多粒子会让每帧卡顿）
     },
     photos: {
-        count: 15,  // 照片数量
+        count: 15,  // 照片数量（等于相册 + 用户照片数量，都没有时为 defaultCount）
+        defaultCount: 15,  // 默认图片数量
+        album: 'album.json',  // 启动时加载的相册清单（?album=<url> 覆盖，文件不存在时忽略）
         size: 0.35,  // 照片大小
     },
     starField: {
@@ -79,28 +104,109 @@ const CONFIG = {
         initialZ: 6,
         minZ: 3,
         maxZ: 10
-    }
+    },
+    gestures: {
+        // 覆盖 gesture-engine.js 的默认调参
+        POINT: { minHold: 150 },
+        V_SIGN: { minHold: 200, minConfidence: 0.6 },  // 爆炸是一次性动作，要求更稳定
+    },
+    slideshow: {
+        dwell: 4000,  // 每张照片停留时间（ms）
+        transition: 'fly',  // 'fly' 直接飞出 / 飞回，'spin' 边旋转边飞
+        expandDuration: 600,  // 飞出树的时间（ms）
+        closeDuration: 400,  // 飞回树的时间（ms）
+    },
+    // 默认的手势 -> 动作绑定（动作见 createGestureActions，可在 🎛️ 面板中修改并保存）
+    gestureBindings: {
+        OPEN_PALM: 'rotate',
+        POINT: 'select',
+        PINCH: 'zoom',
+        FIST: 'sphere',
+        V_SIGN: 'explode',
+        TWO_HANDS: 'twoHandZoom',
+        CLAP: 'screenshot',  // 双手合拢保持 1 秒 = 倒计时拍照
+        HEART: 'heart',
+        SWIPE_LEFT: 'nextPhoto',  // 向左挥 = 下一张（像翻页一样）
+        SWIPE_RIGHT: 'previousPhoto',
+        SWIPE_UP: 'nextEffect',
+        SWIPE_DOWN: 'previousEffect'
+    },
+    handZoomSensitivity: 3.0  // 开掌远近缩放灵敏度
 };
 
+// ⚙️ 设置面板中可调的参数（settings-panel.js），rebuild 为修改后需要重建的部分（见 applySettings）
+// 也是 URL 中 config. 覆盖允许的路径和范围（main.js）
+export const CONFIG_SCHEMA = [
+    {
+        title: 'Tree',
+        rebuild: 'tree',
+        fields: [
+            { path: 'tree.particleCount', label: 'Particles', min: 1000, max: 200000, step: 1000 },  // 实际数量按画质档位缩放，CPU 物理时不超过 physics.cpuMaxParticles
+            { path: 'tree.height', label: 'Height', min: 2, max: 6, step: 0.1 },
+            { path: 'tree.baseRadius', label: 'Radius', min: 0.5, max: 3, step: 0.1 },
+            { path: 'tree.colors.0', label: 'Gold', type: 'color' },
+            { path: 'tree.colors.1', label: 'Orange gold', type: 'color' },
+            { path: 'tree.colors.2', label: 'Light gold', type: 'color' },
+            { path: 'tree.colors.3', label: 'Orange', type: 'color' },
+            { path: 'tree.colors.4', label: 'Ornaments', type: 'color' }
+        ]
+    },
+    {
+        title: 'Physics',
+        fields: [
+            { path: 'physics.gravity', label: 'Gravity', min: -0.002, max: 0, step: 0.0001 },
+            { path: 'physics.damping', label: 'Damping', min: 0.8, max: 0.99, step: 0.01 },
+            { path: 'physics.returnForce', label: 'Return force', min: 0.001, max: 0.03, step: 0.001 },
+            { path: 'physics.turbulence', label: 'Turbulence', min: 0, max: 0.005, step: 0.0005 },
+            { path: 'physics.maxSpeed', label: 'Max speed', min: 0.005, max: 0.05, step: 0.001 }
+        ]
+    },
+    {
+        title: 'Photos',
+        rebuild: 'photos',
+        fields: [
+            { path: 'photos.defaultCount', label: 'Default photos', min: 0, max: 40, step: 1 },
+            { path: 'photos.size', label: 'Size', min: 0.2, max: 0.6, step: 0.05 }
+        ]
+    },
+    {
+        title: 'Star field',
+        rebuild: 'starField',
+        fields: [
+            { path: 'starField.count', label: 'Stars', min: 0, max: 3000, step: 100 },
+            { path: 'starField.radius', label: 'Radius', min: 20, max: 100, step: 5 }
+        ]
+    },
+    {
+        title: 'Bloom',
+        fields: [
+            { path: 'bloom.strength', label: 'Strength', min: 0, max: 3, step: 0.1 },
+            { path: 'bloom.radius', label: 'Radius', min: 0, max: 1, step: 0.05 },
+            { path: 'bloom.threshold', label: 'Threshold', min: 0, max: 1, step: 0.05 }
+        ]
+    }
+];
+// 模块加载时的值（URL 覆盖之前），设置面板的 Defaults 恢复到这里
+const CONFIG_DEFAULTS = snapshotConfig(CONFIG, CONFIG_SCHEMA);
+
 // === Gesture Control State ===
-let lastGesture = 'NONE';
-let gestureStartTime = 0;
-let lastHandPos = { x: 0.5, y: 0.5 };
-let smoothedPos = { x: 0.5, y: 0.5 };
-let lastPinchDist = 0;
+let gestureEngine = null;  // 共享手势引擎（init 时创建）
+let gestureBindings = null;  // 手势 -> 动作（gesture-bindings.js）
+let bindingsPanel = null;
+let settingsPanel = null;  // ⚙️ CONFIG 设置面板
+let gestureStartTime = 0;  // 指向照片的开始时间
 let isGestureActive = false;
+let pointerControls = null;  // 鼠标 / 触摸 / 滚轮
+let unbindKeyboard = null;
 let autoRotate = true;
+let effectContext = null;  // main.js 传入的 init context（切换效果）
 
 // 手势惯性系统
 let gestureVelocity = { rotX: 0, rotY: 0, zoom: 0 };
 let isFistShape = false;  // 是否握拳变球形
-let sphereTargets = [];  // 球形目标位置
-
-// 手势远近识别
-let lastHandSize = 0;  // 上一帧手掌大小
-let smoothedHandSize = 0;  // 平滑后的手掌大小
-let handSizeBaseline = 0;  // 基线手掌大小（用于比较）
-let handSizeCalibrated = false;  // 是否已校准
+let sphereTargets = new Float32Array(0);  // 球形目标位置 xyz
+let isHeartShape = false;  // 双手比心变爱心形
+let heartTargets = new Float32Array(0);  // 爱心目标位置 xyz
 
 // 背景闪烁粒子
 let bgParticles, bgUniforms;
@@ -109,21 +215,27 @@ let bgParticles, bgUniforms;
 let giftBoxes = [];
 let giftTargets = [];  // 礼包目标位置
 let giftSphereTargets = [];  // 礼包球形目标位置
+let giftHeartTargets = [];  // 礼包爱心目标位置
 
-// Gesture handlers registry (extensible)
-const gestureHandlers = {
-    OPEN_PALM: null,
-    FIST: null,
-    PINCH: null,
-    V_SIGN: null,
-    // Add more gestures here
-};
+// 相册清单（photo-album.js）和用户照片（photo-store.js），都为空时使用默认图片
+let albumRequest = null;  // 启动时加载相册的 Promise
+let albumPhotos = [];
+let userPhotos = [];
+let photoLoadToken = 0;  // 丢弃 dispose 或重新加载后过期的异步结果
+let photoButton = null;
+let photoPanelElement = null;
+let photoThumbUrls = [];  // 面板缩略图的 object URL
+let captionElement = null;  // 放大照片下方的说明文字
+
+// 幻灯片：依次放大所有照片
+let slideshow = null;  // { index, timer, paused }
+let slideshowButton = null;
 
 // ============================================
 // Three.js Scene Initialization
 // ============================================
 
-export function initThreeScene() {
+function initThreeScene(context) {
     // Initialize DOM elements first
     initDOMElements();
     
@@ -140,14 +252,8 @@ export function initThreeScene() {
     );
     camera.position.z = CONFIG.camera.initialZ;
     
-    // Renderer
-    renderer = new THREE.WebGLRenderer({
-        canvas: canvas,
-        antialias: true,
-        alpha: true
-    });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    // Renderer (owned by main.js, shared between effects)
+    renderer = context.renderer;
     
     // Tree Group (for rotation control)
     treeGroup = new THREE.Group();
@@ -158,34 +264,32 @@ export function initThreeScene() {
     mouse = new THREE.Vector2();
     
     // Create scene elements
-    createChristmasTree();
-    createSphereTargets();  // 创建球形目标位置
+    createTreeParticles();  // 树的粒子、球形 / 爱心目标位置和 GPU 模拟
     createTreeStar();
     createGiftBoxes();  // 创建圣诞礼包
-    createPhotoWall();  // 添加照片墙
+    // 照片墙在 loadPhotoWall() 读取相册和用户照片后创建
     createStarField();
     createBackgroundParticles();  // 创建背景闪烁粒子
     
     // Post-processing (Bloom effect)
     setupPostProcessing();
     
-    // Mouse/Touch events for photo interaction
-    canvas.addEventListener('click', onCanvasClick);
-    canvas.addEventListener('touchend', onCanvasTouchEnd);
-    
-    // Event listeners
-    window.addEventListener('resize', onWindowResize);
+    // Mouse / touch / wheel / keyboard (same actions as the gestures)
+    setupPointerControls();
     
-    // Start animation
-    animate();
+    // main.js drives update() every frame
+    isRunning = true;
+    isPaused = false;
 }
 
 // ============================================
 // Christmas Tree Particle System with Physics
 // ============================================
 
-function createChristmasTree() {
-    const { particleCount, height, baseRadius, colors } = CONFIG.tree;
+// settled: 粒子直接放在目标位置上（画质换档时替换粒子，看不出变化）
+function createChristmasTree(settled = false) {
+    const { height, baseRadius, colors } = CONFIG.tree;
+    const particleCount = treeParticleCount();
     
     // Geometry
     const geometry = new THREE.BufferGeometry();
@@ -194,10 +298,10 @@ function createChristmasTree() {
     const colorArray = new Float32Array(particleCount * 3);
     
     // 初始化物理数组
-    particleVelocities = [];
-    particleAccelerations = [];
-    particleTargets = [];
-    particlePhases = [];
+    particleVelocities = new Float32Array(particleCount * 3);
+    particleTargets = new Float32Array(particleCount * 3);
+    particlePhases = new Float32Array(particleCount * 4);
+    particleAmplitudes = new Float32Array(particleCount * 3);
     
     for (let i = 0; i < particleCount; i++) {
         // 生成更逼真的圣诞树形状
@@ -236,37 +340,32 @@ function createChristmasTree() {
         const targetZ = Math.sin(angle) * randomRadius;
         
         // 保存目标位置
-        particleTargets.push(new THREE.Vector3(targetX, targetY, targetZ));
+        particleTargets[i * 3] = targetX;
+        particleTargets[i * 3 + 1] = targetY;
+        particleTargets[i * 3 + 2] = targetZ;
         
         // 初始位置 - 更接近目标位置（减少跑到树形状的时间）
         const initRadius = 1.5 + Math.random() * 2;
         const initAngle = Math.random() * Math.PI * 2;
         const initY = (Math.random() - 0.5) * 4;
         
-        positions[i * 3] = Math.cos(initAngle) * initRadius;
-        positions[i * 3 + 1] = initY;
-        positions[i * 3 + 2] = Math.sin(initAngle) * initRadius;
+        positions[i * 3] = settled ? targetX : Math.cos(initAngle) * initRadius;
+        positions[i * 3 + 1] = settled ? targetY : initY;
+        positions[i * 3 + 2] = settled ? targetZ : Math.sin(initAngle) * initRadius;
         
         // 初始速度 - 更小
-        particleVelocities.push(new THREE.Vector3(
-            (Math.random() - 0.5) * 0.005,
-            (Math.random() - 0.5) * 0.005,
-            (Math.random() - 0.5) * 0.005
-        ));
-        
-        // 加速度
-        particleAccelerations.push(new THREE.Vector3(0, 0, 0));
+        particleVelocities[i * 3] = (Math.random() - 0.5) * 0.005;
+        particleVelocities[i * 3 + 1] = (Math.random() - 0.5) * 0.005;
+        particleVelocities[i * 3 + 2] = (Math.random() - 0.5) * 0.005;
         
         // 随机相位（用于无规律运动）- 更柔和的参数
-        particlePhases.push({
-            offset: Math.random() * Math.PI * 2,
-            speedX: 0.2 + Math.random() * 0.5,
-            speedY: 0.1 + Math.random() * 0.3,
-            speedZ: 0.2 + Math.random() * 0.5,
-            amplitudeX: 0.002 + Math.random() * 0.004,
-            amplitudeY: 0.001 + Math.random() * 0.003,
-            amplitudeZ: 0.002 + Math.random() * 0.004,
-        });
+        particlePhases[i * 4] = Math.random() * Math.PI * 2;  // offset
+        particlePhases[i * 4 + 1] = 0.2 + Math.random() * 0.5;  // speedX
+        particlePhases[i * 4 + 2] = 0.1 + Math.random() * 0.3;  // speedY
+        particlePhases[i * 4 + 3] = 0.2 + Math.random() * 0.5;  // speedZ
+        particleAmplitudes[i * 3] = 0.002 + Math.random() * 0.004;
+        particleAmplitudes[i * 3 + 1] = 0.001 + Math.random() * 0.003;
+        particleAmplitudes[i * 3 + 2] = 0.002 + Math.random() * 0.004;
         
         // Random value for shader animation
         randoms[i] = Math.random();
@@ -288,7 +387,7 @@ function createChristmasTree() {
     // Shader Material
     treeUniforms = {
         uTime: { value: 0 },
-        uPixelRatio: { value: Math.min(window.devicePixelRatio, 2) }
+        uPixelRatio: { value: renderer.getPixelRatio() }
     };
     
     const material = new THREE.ShaderMaterial({
@@ -306,8 +405,8 @@ function createChristmasTree() {
 
 // 创建球形目标位置（用于握拳手势）
 function createSphereTargets() {
-    const { particleCount } = CONFIG.tree;
-    sphereTargets = [];
+    const particleCount = particleTargets.length / 3;  // 与树的粒子一一对应
+    sphereTargets = new Float32Array(particleCount * 3);
     
     const sphereRadius = 1.8;  // 球形半径
     
@@ -323,68 +422,172 @@ function createSphereTargets() {
         const y = r * Math.cos(phi);
         const z = r * Math.sin(phi) * Math.sin(theta);
         
-        sphereTargets.push(new THREE.Vector3(x, y, z));
+        sphereTargets[i * 3] = x;
+        sphereTargets[i * 3 + 1] = y;
+        sphereTargets[i * 3 + 2] = z;
+    }
+}
+
+// 爱心曲线上的点（t: 0..2π），scale 为 0.11 时约 3.5 宽；target 可复用同一个向量
+function heartCurvePoint(t, scale, target = new THREE.Vector3()) {
+    return target.set(
+        16 * Math.pow(Math.sin(t), 3) * scale,
+        (13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t)) * scale + 0.6,
+        0
+    );
+}
+
+// 创建爱心目标位置（用于双手比心手势）
+function createHeartTargets() {
+    const particleCount = particleTargets.length / 3;
+    heartTargets = new Float32Array(particleCount * 3);
+    const point = new THREE.Vector3();
+    
+    for (let i = 0; i < particleCount; i++) {
+        const t = Math.random() * Math.PI * 2;
+        
+        // 大部分粒子勾勒轮廓，其余填充内部
+        const fill = Math.random() < 0.6 ? 0.92 + Math.random() * 0.08 : Math.sqrt(Math.random());
+        heartCurvePoint(t, 0.11 * fill, point);
+        
+        heartTargets[i * 3] = point.x;
+        heartTargets[i * 3 + 1] = point.y;
+        heartTargets[i * 3 + 2] = (Math.random() - 0.5) * 0.4;
     }
 }
 
+// 实际创建的树粒子数：按画质档位缩放（quality-manager.js），CPU 物理时不超过 cpuMaxParticles
+function treeParticleCount() {
+    const count = scaleCount(CONFIG.tree.particleCount);
+    return usesGpuPhysics() ? count : Math.min(count, CONFIG.physics.cpuMaxParticles);
+}
+
+function usesGpuPhysics() {
+    return CONFIG.physics.gpu && !gpuPhysicsFailed && isGpuPhysicsSupported(renderer);
+}
+
+// 创建树的粒子和变形目标，目标位置都创建后再上传到 GPU
+function createTreeParticles({ settled = false } = {}) {
+    createChristmasTree(settled);
+    createSphereTargets();  // 创建球形目标位置
+    createHeartTargets();  // 创建爱心目标位置
+    setupGpuPhysics();
+    
+    // GPU 模拟没能创建：按 CPU 的上限重新创建
+    if (!gpuPhysics && treeParticles.geometry.attributes.position.count > treeParticleCount()) {
+        disposeObject3D(treeParticles);
+        createTreeParticles({ settled });
+    }
+}
+
+// 把粒子模拟移到 GPU：位置 / 速度保存在纹理中，粒子着色器按 aReference 读取位置
+// （CONFIG.physics.gpu 关闭或不支持浮点渲染目标时保持 CPU 物理）
+function setupGpuPhysics() {
+    if (gpuPhysics) {
+        gpuPhysics.dispose();
+        gpuPhysics = null;
+    }
+    if (!usesGpuPhysics()) return;
+    
+    gpuPhysics = createGpuParticlePhysics(renderer, {
+        positions: treeParticles.geometry.attributes.position.array,
+        velocities: particleVelocities,
+        phases: particlePhases,
+        amplitudes: particleAmplitudes,
+        targets: { tree: particleTargets, sphere: sphereTargets, heart: heartTargets }
+    });
+    if (!gpuPhysics) {
+        gpuPhysicsFailed = true;
+        return;
+    }
+    
+    treeParticles.geometry.setAttribute('aReference', new THREE.BufferAttribute(gpuPhysics.references, 2));
+    treeParticles.material.defines.GPU_PHYSICS = '';
+    treeUniforms.tPosition = { value: null };
+    treeParticles.frustumCulled = false;  // position 属性不再更新，包围球不准确
+}
+
 // 更新粒子物理
 function updateParticlePhysics(time) {
     if (!treeParticles) return;
     
-    const positions = treeParticles.geometry.attributes.position.array;
     const { gravity, damping, returnForce, turbulence, maxSpeed } = CONFIG.physics;
+    const turbulenceScale = turbulence / 0.001;  // 默认的 0.001 对应各粒子原始的湍流幅度
+    
+    // 变形时使用更强的力
+    const isShaped = isHeartShape || isFistShape;
+    const currentForce = isShaped ? returnForce * 2.5 : returnForce;
+    
+    if (gpuPhysics) {
+        let shape = 'tree';
+        if (isHeartShape) {
+            shape = 'heart';
+        } else if (isFistShape) {
+            shape = 'sphere';
+        }
+        
+        treeUniforms.tPosition.value = gpuPhysics.update({
+            time,
+            shape,
+            exploded: isExploded,
+            force: currentForce,
+            turbulence: (isShaped ? 0.3 : 1.0) * turbulenceScale,
+            gravity,
+            damping,
+            maxSpeed
+        });
+        return;
+    }
     
-    // 选择目标：球形或圣诞树形
-    const currentTargets = isFistShape ? sphereTargets : particleTargets;
-    // 球形变换时使用更强的力
-    const currentForce = isFistShape ? returnForce * 2.5 : returnForce;
+    const positions = treeParticles.geometry.attributes.position.array;
+    // 选择目标：爱心、球形或圣诞树形
+    const currentTargets = isHeartShape ? heartTargets : isFistShape ? sphereTargets : particleTargets;
+    // 添加无规律湍流运动（变形时减弱）
+    const turbMult = (isShaped ? 0.3 : 1.0) * turbulenceScale;
     
-    for (let i = 0; i < particleTargets.length; i++) {
-        const i3 = i * 3;
-        const vel = particleVelocities[i];
-        const target = currentTargets[i];
-        const phase = particlePhases[i];
-        
-        // 当前位置
-        const x = positions[i3];
-        const y = positions[i3 + 1];
-        const z = positions[i3 + 2];
+    for (let i3 = 0; i3 < positions.length; i3 += 3) {
+        const i4 = i3 / 3 * 4;
+        let vx = particleVelocities[i3];
+        let vy = particleVelocities[i3 + 1];
+        let vz = particleVelocities[i3 + 2];
         
         if (!isExploded) {
             // 向目标位置的吸引力
-            const dx = target.x - x;
-            const dy = target.y - y;
-            const dz = target.z - z;
-            
-            vel.x += dx * currentForce;
-            vel.y += dy * currentForce;
-            vel.z += dz * currentForce;
+            vx += (currentTargets[i3] - positions[i3]) * currentForce;
+            vy += (currentTargets[i3 + 1] - positions[i3 + 1]) * currentForce;
+            vz += (currentTargets[i3 + 2] - positions[i3 + 2]) * currentForce;
             
-            // 添加无规律湍流运动（球形时减弱）
-            const turbMult = isFistShape ? 0.3 : 1.0;
-            vel.x += Math.sin(time * phase.speedX + phase.offset) * phase.amplitudeX * turbMult;
-            vel.y += Math.cos(time * phase.speedY + phase.offset * 1.3) * phase.amplitudeY * turbMult;
-            vel.z += Math.sin(time * phase.speedZ + phase.offset * 0.7) * phase.amplitudeZ * turbMult;
+            const offset = particlePhases[i4];
+            vx += Math.sin(time * particlePhases[i4 + 1] + offset) * particleAmplitudes[i3] * turbMult;
+            vy += Math.cos(time * particlePhases[i4 + 2] + offset * 1.3) * particleAmplitudes[i3 + 1] * turbMult;
+            vz += Math.sin(time * particlePhases[i4 + 3] + offset * 0.7) * particleAmplitudes[i3 + 2] * turbMult;
         } else {
             // 爆炸状态 - 重力效果
-            vel.y += gravity;
+            vy += gravity;
         }
         
         // 阻尼
-        vel.x *= damping;
-        vel.y *= damping;
-        vel.z *= damping;
+        vx *= damping;
+        vy *= damping;
+        vz *= damping;
         
         // 限制最大速度
-        const speed = vel.length();
+        const speed = Math.sqrt(vx * vx + vy * vy + vz * vz);
         if (speed > maxSpeed) {
-            vel.multiplyScalar(maxSpeed / speed);
+            const scale = maxSpeed / speed;
+            vx *= scale;
+            vy *= scale;
+            vz *= scale;
         }
         
+        particleVelocities[i3] = vx;
+        particleVelocities[i3 + 1] = vy;
+        particleVelocities[i3 + 2] = vz;
+        
         // 更新位置
-        positions[i3] += vel.x;
-        positions[i3 + 1] += vel.y;
-        positions[i3 + 2] += vel.z;
+        positions[i3] += vx;
+        positions[i3 + 1] += vy;
+        positions[i3 + 2] += vz;
     }
     
     treeParticles.geometry.attributes.position.needsUpdate = true;
@@ -395,12 +598,15 @@ function explodeParticles() {
     isExploded = true;
     autoRotate = false;
     
-    for (let i = 0; i < particleVelocities.length; i++) {
-        const vel = particleVelocities[i];
-        // 随机爆炸方向
-        vel.x = (Math.random() - 0.5) * 0.15;
-        vel.y = Math.random() * 0.1 + 0.05;  // 向上
-        vel.z = (Math.random() - 0.5) * 0.15;
+    if (gpuPhysics) {
+        gpuPhysics.explode();  // 同样的随机速度在 GPU 上生成
+    } else {
+        for (let i3 = 0; i3 < particleVelocities.length; i3 += 3) {
+            // 随机爆炸方向
+            particleVelocities[i3] = (Math.random() - 0.5) * 0.15;
+            particleVelocities[i3 + 1] = Math.random() * 0.1 + 0.05;  // 向上
+            particleVelocities[i3 + 2] = (Math.random() - 0.5) * 0.15;
+        }
     }
     
     // 照片也爆炸
@@ -621,6 +827,7 @@ function createGiftBoxes() {
     
     giftTargets = [];
     giftSphereTargets = [];
+    giftHeartTargets = [];
     
     for (let i = 0; i < giftCount; i++) {
         // 随机选择颜色组合
@@ -665,6 +872,11 @@ function createGiftBoxes() {
             sr * Math.sin(phi) * Math.sin(theta)
         ));
         
+        // 爱心目标位置（均匀分布在轮廓上）
+        const heartPoint = heartCurvePoint((i / giftCount) * Math.PI * 2, 0.11);
+        heartPoint.z = (Math.random() - 0.5) * 0.3;
+        giftHeartTargets.push(heartPoint);
+        
         // 初始位置 - 随机散布
         const initRadius = 1.5 + Math.random() * 3;
         const initAngle = Math.random() * Math.PI * 2;
@@ -714,11 +926,13 @@ function createGiftBoxes() {
 
 // 更新礼包物理
 function updateGiftPhysics(time) {
-    const { gravity, damping, returnForce } = CONFIG.physics;
+    const { gravity, damping, returnForce, turbulence } = CONFIG.physics;
+    const turbulenceScale = turbulence / 0.001;
     
-    // 选择目标：球形或圣诞树形
-    const currentTargets = isFistShape ? giftSphereTargets : giftTargets;
-    const currentForce = isFistShape ? returnForce * 2.5 : returnForce;
+    // 选择目标：爱心、球形或圣诞树形
+    const currentTargets = isHeartShape ? giftHeartTargets : isFistShape ? giftSphereTargets : giftTargets;
+    const isShaped = isHeartShape || isFistShape;
+    const currentForce = isShaped ? returnForce * 2.5 : returnForce;
     
     giftBoxes.forEach((gift, index) => {
         const data = gift.userData;
@@ -737,7 +951,7 @@ function updateGiftPhysics(time) {
             vel.z += dz * currentForce * 0.7;
             
             // 无规律运动
-            const turbMult = isFistShape ? 0.3 : 1.0;
+            const turbMult = (isShaped ? 0.3 : 1.0) * turbulenceScale;
             vel.x += Math.sin(time * phase.speedX + phase.offset) * phase.amplitudeX * turbMult;
             vel.y += Math.cos(time * phase.speedY + phase.offset * 1.5) * phase.amplitudeY * turbMult;
             vel.z += Math.sin(time * phase.speedZ + phase.offset * 0.8) * phase.amplitudeZ * turbMult;
@@ -778,17 +992,54 @@ function updateGiftPhysics(time) {
 // Photo Wall - 照片随机混合在粒子中
 // ============================================
 
-function createPhotoWall() {
-    const { count, size } = CONFIG.photos;
+// 照片墙的照片：相册清单 + 用户照片，都没有时使用随机图片
+// entry: { src, fallbackSrc, blob, photoId, caption, date, author, placement }
+function getPhotoEntries() {
+    const entries = [
+        ...albumPhotos,
+        ...userPhotos.map(photo => ({ blob: photo.blob, photoId: photo.id }))
+    ];
+    if (entries.length > 0) return entries;
+    
+    // 离线时使用 assets/photos/ 中的同一批图片
+    return Array.from({ length: CONFIG.photos.defaultCount }, (_, i) => {
+        const seed = i + 100;
+        return {
+            src: `https://picsum.photos/seed/${seed}/200/200`,
+            fallbackSrc: `assets/photos/${seed}.jpg`
+        };
+    });
+}
+
+// 非正方形图片居中裁剪（照片平面是正方形）
+function cropTextureToSquare(texture) {
+    const { width, height } = texture.image;
+    const side = Math.min(width, height);
+    
+    texture.repeat.set(side / width, side / height);
+    texture.offset.set((1 - texture.repeat.x) / 2, (1 - texture.repeat.y) / 2);
+}
+
+function loadPhotoTexture(loader, entry) {
+    if (entry.blob) {
+        return loadBlobTexture(loader, entry.blob);
+    }
+    if (entry.fallbackSrc) {
+        return loadTextureWithFallback(loader, [entry.src, entry.fallbackSrc]);
+    }
+    return loader.load(entry.src, cropTextureToSquare, undefined, () => {
+        console.warn(`⚠️ Album photo failed to load: ${entry.src}`);
+    });
+}
+
+function createPhotoWall(entries) {
+    const { size } = CONFIG.photos;
     const { height, baseRadius } = CONFIG.tree;
     const textureLoader = new THREE.TextureLoader();
     
-    for (let i = 0; i < count; i++) {
-        // 使用随机图片
-        const imageUrl = `https://picsum.photos/seed/${i + 100}/200/200`;
-        
+    entries.forEach((entry, i) => {
         // 创建照片材质
-        const texture = textureLoader.load(imageUrl);
+        const texture = loadPhotoTexture(textureLoader, entry);
         texture.colorSpace = THREE.SRGBColorSpace;
         
         // 照片几何体（平面）
@@ -803,11 +1054,14 @@ function createPhotoWall() {
         
         const photo = new THREE.Mesh(geometry, material);
         
-        // 随机分布在圣诞树形状内部（锥形分布）
-        const t = Math.random();  // 0=顶部, 1=底部
+        // 分布在圣诞树形状内部（锥形分布），相册可指定层和角度，否则随机
+        const placement = entry.placement || { tier: null, angle: null };
+        const t = placement.tier !== null ? placement.tier : Math.random();  // 0=顶部, 1=底部
         const targetY = (1 - t) * height - height / 2;
         const radiusAtY = t * baseRadius * 1.2;  // 稍微超出粒子范围
-        const angle = Math.random() * Math.PI * 2;
+        const angle = placement.angle !== null
+            ? THREE.MathUtils.degToRad(placement.angle)
+            : Math.random() * Math.PI * 2;
         const radius = radiusAtY * (0.3 + Math.random() * 0.7);
         
         const targetX = Math.cos(angle) * radius;
@@ -865,7 +1119,12 @@ function createPhotoWall() {
                 rotSpeed: 0.1 + Math.random() * 0.3,
             },
             index: i,
-            imageUrl: imageUrl
+            imageUrl: entry.src || null,
+            photoId: entry.photoId || null,
+            // 相册说明（放大时显示在照片下方）
+            caption: entry.caption || null,
+            date: entry.date || null,
+            author: entry.author || null
         };
         
         // 添加发光边框
@@ -883,7 +1142,7 @@ function createPhotoWall() {
         
         treeGroup.add(photo);
         photoFrames.push(photo);
-    }
+    });
 }
 
 // 更新照片物理
@@ -945,20 +1204,10 @@ function updatePhotoPhysics(time) {
 }
 
 // 照片点击/选择处理
-function onCanvasClick(event) {
-    handlePhotoInteraction(event.clientX, event.clientY);
-}
-
-function onCanvasTouchEnd(event) {
-    if (event.changedTouches.length > 0) {
-        const touch = event.changedTouches[0];
-        handlePhotoInteraction(touch.clientX, touch.clientY);
-    }
-}
-
 function handlePhotoInteraction(clientX, clientY) {
-    // 如果有放大的照片，点击关闭
+    // 如果有放大的照片，点击关闭（同时结束幻灯片）
     if (expandedPhoto) {
+        stopSlideshow();
         closeExpandedPhoto();
         return;
     }
@@ -1009,7 +1258,8 @@ function checkPhotoHover(screenX, screenY) {
 }
 
 // 放大照片
-function expandPhoto(photo) {
+// options: { duration, spin（飞出时绕 Y 轴转一圈）, onExpanded }
+function expandPhoto(photo, { duration = 400, spin = false, onExpanded = null } = {}) {
     if (expandedPhoto) return;
     
     expandedPhoto = photo;
@@ -1032,11 +1282,9 @@ function expandPhoto(photo) {
     photo.position.copy(worldPos);
     
     // 动画
-    const duration = 400;
     const startTime = performance.now();
     const startPosition = photo.position.clone();
     const startScale = photo.scale.clone();
-    const startRotation = photo.rotation.clone();
     
     function animateExpand() {
         const elapsed = performance.now() - startTime;
@@ -1045,7 +1293,7 @@ function expandPhoto(photo) {
         
         photo.position.lerpVectors(startPosition, targetPosition, eased);
         photo.scale.lerpVectors(startScale, targetScale, eased);
-        photo.rotation.set(0, 0, 0);  // 面向相机
+        photo.rotation.set(0, spin ? (1 - eased) * Math.PI * 2 : 0, 0);  // 面向相机
         
         // 边框变亮
         photo.userData.border.material.opacity = 0.8 + 0.2 * eased;
@@ -1055,6 +1303,11 @@ function expandPhoto(photo) {
             photoExpandAnimation = requestAnimationFrame(animateExpand);
         } else {
             photoExpandAnimation = null;
+            showPhotoCaption(photo);
+            
+            if (onExpanded) {
+                onExpanded();
+            }
         }
     }
     
@@ -1062,11 +1315,12 @@ function expandPhoto(photo) {
     console.log('📷 Photo expanded:', photo.userData.index);
 }
 
-// 关闭放大的照片
-function closeExpandedPhoto() {
+// 关闭放大的照片（options 同 expandPhoto，onClosed 在照片回到树上后调用）
+function closeExpandedPhoto({ duration = 300, spin = false, onClosed = null } = {}) {
     if (!expandedPhoto) return;
     
     const photo = expandedPhoto;
+    hidePhotoCaption();
     
     // 取消正在进行的动画
     if (photoExpandAnimation) {
@@ -1074,7 +1328,6 @@ function closeExpandedPhoto() {
     }
     
     // 恢复位置
-    const duration = 300;
     const startTime = performance.now();
     const startPosition = photo.position.clone();
     const startScale = photo.scale.clone();
@@ -1089,12 +1342,17 @@ function closeExpandedPhoto() {
         
         photo.position.lerpVectors(startPosition, targetPosition, eased);
         photo.scale.lerpVectors(startScale, targetScale, eased);
+        if (spin) {
+            photo.rotation.y = eased * Math.PI * 2;
+        }
         
         photo.userData.border.material.opacity = 0.8 - 0.2 * eased;
         
         if (progress < 1) {
-            requestAnimationFrame(animateClose);
+            photoExpandAnimation = requestAnimationFrame(animateClose);
         } else {
+            photoExpandAnimation = null;
+            
             // 移回 treeGroup
             scene.remove(photo);
             treeGroup.add(photo);
@@ -1107,18 +1365,367 @@ function closeExpandedPhoto() {
             expandedPhoto = null;
             autoRotate = true;
             console.log('📷 Photo closed');
+            
+            if (onClosed) {
+                onClosed();
+            }
         }
     }
     
     animateClose();
 }
 
+// 放大照片下方显示相册的说明、日期和作者
+function showPhotoCaption(photo) {
+    const { caption, date, author } = photo.userData;
+    const details = [formatPhotoDate(date), author ? `📷 ${author}` : null].filter(Boolean).join(' · ');
+    if (!caption && !details) return;
+    
+    captionElement.querySelector('.photo-caption-text').textContent = caption || '';
+    captionElement.querySelector('.photo-caption-details').textContent = details;
+    positionPhotoCaption();
+    captionElement.classList.remove('hidden');
+}
+
+function hidePhotoCaption() {
+    if (captionElement) {
+        captionElement.classList.add('hidden');
+    }
+}
+
+// 放在照片（含边框）下边缘的屏幕位置之下
+function positionPhotoCaption() {
+    if (!expandedPhoto) return;
+    
+    expandedPhoto.updateMatrixWorld();
+    const bottom = new THREE.Vector3(0, -(CONFIG.photos.size + 0.04) / 2, 0)
+        .applyMatrix4(expandedPhoto.matrixWorld)
+        .project(camera);
+    
+    captionElement.style.top = `${(1 - bottom.y) / 2 * window.innerHeight + 12}px`;
+}
+
+function createPhotoCaption() {
+    captionElement = document.createElement('div');
+    captionElement.id = 'photo-caption';
+    captionElement.className = 'hidden';
+    captionElement.innerHTML = `
+        <div class="photo-caption-text"></div>
+        <div class="photo-caption-details"></div>
+    `;
+    document.body.appendChild(captionElement);
+}
+
+// ============================================
+// Photo Slideshow
+// ============================================
+
+function setupSlideshowButton() {
+    slideshowButton = addToolbarButton({
+        icon: '🎞️',
+        title: 'Slideshow (S) - arrows for previous / next, open palm to pause',
+        onClick: toggleSlideshow
+    });
+}
+
+function toggleSlideshow() {
+    if (slideshow) {
+        stopSlideshow();
+        if (expandedPhoto) closeExpandedPhoto();
+    } else {
+        startSlideshow();
+    }
+}
+
+// 从当前放大的照片（或第一张）开始
+function startSlideshow() {
+    if (slideshow || photoFrames.length === 0) return;
+    
+    const current = expandedPhoto ? photoFrames.indexOf(expandedPhoto) : -1;
+    slideshow = { index: Math.max(current, 0), timer: null, paused: false };
+    slideshowButton.classList.add('active');
+    
+    if (current === -1) {
+        showSlide(0);
+    } else if (!photoExpandAnimation) {
+        scheduleNextSlide();
+    }
+    console.log('🎞️ Slideshow started');
+}
+
+// 结束幻灯片（当前照片保持放大，由调用者决定是否关闭）
+function stopSlideshow() {
+    if (!slideshow) return;
+    
+    clearTimeout(slideshow.timer);
+    slideshow = null;
+    if (slideshowButton) {
+        slideshowButton.classList.remove('active');
+    }
+    console.log('🎞️ Slideshow stopped');
+}
+
+// 当前照片飞回树上，然后第 index 张飞出
+function showSlide(index) {
+    clearTimeout(slideshow.timer);
+    
+    const count = photoFrames.length;
+    slideshow.index = ((index % count) + count) % count;
+    
+    const photo = photoFrames[slideshow.index];
+    const { transition, expandDuration, closeDuration } = CONFIG.slideshow;
+    const spin = transition === 'spin';
+    
+    const expandNext = () => {
+        if (!slideshow) return;
+        expandPhoto(photo, { duration: expandDuration, spin, onExpanded: scheduleNextSlide });
+    };
+    
+    if (expandedPhoto) {
+        closeExpandedPhoto({ duration: closeDuration, spin, onClosed: expandNext });
+    } else {
+        expandNext();
+    }
+}
+
+function scheduleNextSlide() {
+    if (!slideshow || slideshow.paused) return;
+    
+    clearTimeout(slideshow.timer);
+    slideshow.timer = setTimeout(() => showSlide(slideshow.index + 1), CONFIG.slideshow.dwell);
+}
+
+// 上一张 / 下一张（step = -1 / 1）
+function stepSlideshow(step) {
+    if (slideshow) {
+        showSlide(slideshow.index + step);
+    }
+}
+
+// 开掌时暂停，放下后从头计时
+function setSlideshowPaused(paused) {
+    if (!slideshow || slideshow.paused === paused) return;
+    
+    slideshow.paused = paused;
+    if (paused) {
+        clearTimeout(slideshow.timer);
+    } else if (expandedPhoto && !photoExpandAnimation) {
+        scheduleNextSlide();
+    }
+}
+
+// ============================================
+// User Photos (drag & drop / file picker, stored in IndexedDB)
+// ============================================
+
+function loadBlobTexture(loader, blob) {
+    const url = URL.createObjectURL(blob);
+    const revoke = () => URL.revokeObjectURL(url);
+    return loader.load(url, revoke, undefined, revoke);
+}
+
+// 移除并释放当前照片墙（包括放大中的照片）
+function clearPhotoWall() {
+    if (photoExpandAnimation) {
+        cancelAnimationFrame(photoExpandAnimation);
+        photoExpandAnimation = null;
+    }
+    if (expandedPhoto) {
+        expandedPhoto = null;
+        autoRotate = true;
+    }
+    selectedPhoto = null;
+    hidePhotoCaption();
+    stopSlideshow();
+    
+    photoFrames.forEach(disposeObject3D);
+    photoFrames = [];
+}
+
+// 启动时的相册清单：?album=<url>，否则 CONFIG.photos.album
+async function loadStartupAlbum() {
+    const requested = new URLSearchParams(window.location.search).get('album');
+    const url = requested || CONFIG.photos.album;
+    if (!url) return [];
+    
+    try {
+        const album = await loadAlbum(url);
+        console.log(`📔 Album "${album.title}" loaded (${album.photos.length} photos)`);
+        return album.photos;
+    } catch (error) {
+        // 默认的 album.json 不存在是正常情况
+        if (requested) {
+            console.warn('⚠️ Album failed to load:', error.message);
+        }
+        return [];
+    }
+}
+
+// 读取相册和用户照片并重建照片墙，照片数量跟随实际提供的照片
+async function loadPhotoWall() {
+    const token = ++photoLoadToken;
+    let photos = [];
+    
+    try {
+        photos = await loadPhotos();
+    } catch (error) {
+        console.warn('⚠️ Saved photos unavailable:', error);
+    }
+    const album = await albumRequest;
+    if (token !== photoLoadToken || !isRunning) return;
+    
+    albumPhotos = album;
+    userPhotos = photos;
+    
+    const entries = getPhotoEntries();
+    CONFIG.photos.count = entries.length;
+    
+    clearPhotoWall();
+    createPhotoWall(entries);
+    renderPhotoList();
+}
+
+// 执行一次照片库修改，然后重新加载
+async function updateUserPhotos(change) {
+    try {
+        await change();
+    } catch (error) {
+        console.error('Photo store update failed:', error);
+        setPhotoNote('Photos could not be saved in this browser');
+        return;
+    }
+    await loadPhotoWall();
+}
+
+function addUserPhotos(files) {
+    const images = Array.from(files).filter(file => file.type.startsWith('image/'));
+    if (images.length === 0) return;
+    
+    setPhotoNote(`Adding ${images.length} photo(s)...`);
+    updateUserPhotos(() => addPhotos(images));
+}
+
+// 与相邻照片交换位置（step = -1 前移，1 后移）
+function moveUserPhoto(index, step) {
+    const target = index + step;
+    if (target < 0 || target >= userPhotos.length) return;
+    
+    const ids = userPhotos.map(photo => photo.id);
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    updateUserPhotos(() => reorderPhotos(ids));
+}
+
+function setupPhotoPanel() {
+    photoPanelElement = addToolbarPanel('photo-panel', `
+        <div class="panel-row">
+            <button data-action="add">➕ Add photos</button>
+            <button data-action="reset">Remove all</button>
+            <input type="file" accept="image/*" multiple hidden data-field="file">
+        </div>
+        <div class="photo-list" data-field="list"></div>
+        <div class="panel-note" data-field="note"></div>
+    `);
+    
+    const fileInput = photoPanelElement.querySelector('[data-field="file"]');
+    fileInput.addEventListener('change', () => {
+        addUserPhotos(fileInput.files);
+        fileInput.value = '';
+    });
+    photoPanelElement.querySelector('[data-action="add"]').addEventListener('click', () => fileInput.click());
+    photoPanelElement.querySelector('[data-action="reset"]').addEventListener('click', () => {
+        if (userPhotos.length > 0) {
+            updateUserPhotos(clearPhotos);
+        }
+    });
+    photoPanelElement.querySelector('[data-field="list"]').addEventListener('click', onPhotoListClick);
+    
+    photoButton = addToolbarButton({
+        icon: '🖼️',
+        title: 'My photos (drop images anywhere to add them)',
+        onClick: togglePhotoPanel
+    });
+    
+    // 把图片文件拖到页面任意位置即可添加
+    window.addEventListener('dragover', onPhotoDragOver);
+    window.addEventListener('drop', onPhotoDrop);
+}
+
+function togglePhotoPanel() {
+    const open = !photoPanelElement.classList.contains('open');
+    photoPanelElement.classList.toggle('open', open);
+    photoButton.classList.toggle('active', open);
+}
+
+function setPhotoNote(text) {
+    if (photoPanelElement) {
+        photoPanelElement.querySelector('[data-field="note"]').textContent = text;
+    }
+}
+
+// 刷新面板中的缩略图列表
+function renderPhotoList() {
+    if (!photoPanelElement) return;
+    
+    photoThumbUrls.forEach(url => URL.revokeObjectURL(url));
+    photoThumbUrls = userPhotos.map(photo => URL.createObjectURL(photo.blob));
+    
+    photoPanelElement.querySelector('[data-field="list"]').innerHTML = userPhotos.map((photo, index) => `
+        <div class="photo-item" data-index="${index}">
+            <img src="${photoThumbUrls[index]}" alt="" title="${photo.name.replace(/"/g, '&quot;')}">
+            <div class="photo-item-actions">
+                <button data-action="earlier" title="Move earlier">◀</button>
+                <button data-action="later" title="Move later">▶</button>
+                <button data-action="remove" title="Remove">✕</button>
+            </div>
+        </div>
+    `).join('');
+    
+    if (userPhotos.length > 0) {
+        setPhotoNote(`${userPhotos.length} photo(s) of yours on the tree`);
+    } else if (albumPhotos.length > 0) {
+        setPhotoNote(`Showing ${albumPhotos.length} album photo(s) - add your own, or drop images anywhere`);
+    } else {
+        setPhotoNote('Showing default photos - add your own, or drop images anywhere');
+    }
+}
+
+function onPhotoListClick(event) {
+    const button = event.target.closest('button');
+    const item = event.target.closest('.photo-item');
+    if (!button || !item) return;
+    
+    const index = Number(item.dataset.index);
+    const action = button.dataset.action;
+    
+    if (action === 'earlier') {
+        moveUserPhoto(index, -1);
+    } else if (action === 'later') {
+        moveUserPhoto(index, 1);
+    } else if (action === 'remove') {
+        updateUserPhotos(() => removePhoto(userPhotos[index].id));
+    }
+}
+
+// 拖入文件时阻止浏览器默认打开文件
+function onPhotoDragOver(event) {
+    if (isPaused || !event.dataTransfer.types.includes('Files')) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+}
+
+function onPhotoDrop(event) {
+    if (isPaused || event.dataTransfer.files.length === 0) return;
+    event.preventDefault();
+    addUserPhotos(event.dataTransfer.files);
+}
+
 // ============================================
 // Star Field Background
 // ============================================
 
 function createStarField() {
-    const { count, radius } = CONFIG.starField;
+    const { radius } = CONFIG.starField;
+    const count = scaleCount(CONFIG.starField.count);
     
     const geometry = new THREE.BufferGeometry();
     const positions = new Float32Array(count * 3);
@@ -1213,7 +1820,7 @@ function createBackgroundParticles() {
     
     bgUniforms = {
         uTime: { value: 0 },
-        uPixelRatio: { value: Math.min(window.devicePixelRatio, 2) }
+        uPixelRatio: { value: renderer.getPixelRatio() }
     };
     
     // 自定义着色器用于闪烁效果
@@ -1277,29 +1884,39 @@ function createBackgroundParticles() {
 // ============================================
 
 function setupPostProcessing() {
+    // 渲染到效果自己的渲染目标，由 main.js 合成到屏幕（支持切换过渡）
     composer = new EffectComposer(renderer);
+    composer.renderToScreen = false;
     
     const renderPass = new RenderPass(scene, camera);
     composer.addPass(renderPass);
     
-    const bloomPass = new UnrealBloomPass(
+    bloomPass = new UnrealBloomPass(
         new THREE.Vector2(window.innerWidth, window.innerHeight),
         CONFIG.bloom.strength,
         CONFIG.bloom.radius,
         CONFIG.bloom.threshold
     );
     composer.addPass(bloomPass);
+    applyComposerQuality(composer, bloomPass);
 }
 
 // ============================================
 // Animation Loop
 // ============================================
 
-function animate() {
-    requestAnimationFrame(animate);
+// 每帧由 main.js 调用：更新动画并渲染到 composer 的渲染目标
+export function update() {
+    if (!isRunning || isPaused) return;
     
     const time = performance.now() * 0.001;
     
+    // ⚡ 换档后的粒子数量在树空闲时替换
+    if (pendingTreeQuality && isTreeIdle()) {
+        pendingTreeQuality = false;
+        replaceTreeParticles();
+    }
+    
     // Update shader uniforms
     if (treeUniforms) treeUniforms.uTime.value = time;
     if (starUniforms) starUniforms.uTime.value = time;
@@ -1334,6 +1951,12 @@ function animate() {
         treeGroup.rotation.y += 0.003;
     }
     
+    // 爱心形状时慢慢转回正面
+    if (isHeartShape && treeGroup && !isGestureActive) {
+        const facing = Math.round(treeGroup.rotation.y / (Math.PI * 2)) * Math.PI * 2;
+        treeGroup.rotation.y += (facing - treeGroup.rotation.y) * 0.05;
+    }
+    
     // Render with post-processing
     if (composer) {
         composer.render();
@@ -1363,24 +1986,57 @@ function applyGestureInertia() {
             
             gestureVelocity.zoom *= 0.92;
         }
+        
+        // 双手侧倾松开后慢慢回正
+        treeGroup.rotation.z *= 0.95;
     }
 }
 
+// 最近一帧的渲染结果（供 main.js 合成和过渡混合）
+export function getOutputTexture() {
+    return composer ? composer.readBuffer.texture : null;
+}
+
 // ============================================
 // Window Resize Handler
 // ============================================
 
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
+// 由 main.js 在共享渲染器尺寸变化后调用
+export function resize(width, height) {
+    if (!isRunning) return;
+    
+    camera.aspect = width / height;
     camera.updateProjectionMatrix();
     
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    composer.setSize(width, height);
+    applyComposerQuality(composer, bloomPass);
     
-    composer.setSize(window.innerWidth, window.innerHeight);
+    // 放大照片的说明跟随新的屏幕尺寸
+    if (expandedPhoto && !photoExpandAnimation) {
+        positionPhotoCaption();
+    }
     
-    if (treeUniforms) {
-        treeUniforms.uPixelRatio.value = Math.min(window.devicePixelRatio, 2);
+    updatePixelRatio();
+}
+
+// 点的大小跟随共享渲染器的像素比（窗口移到其它屏幕或画质档位改变）
+function updatePixelRatio() {
+    if (treeUniforms) treeUniforms.uPixelRatio.value = renderer.getPixelRatio();
+    if (bgUniforms) bgUniforms.uPixelRatio.value = renderer.getPixelRatio();
+}
+
+// ⚡ 画质档位改变后由 main.js 调用（渲染器的像素比已更新）：
+// bloom 分辨率立即生效；树的粒子数量等爆炸、变形和手势结束后再换（见 update），星空数量变化时重建
+export function applyQuality() {
+    if (!isRunning) return;
+    
+    updatePixelRatio();
+    applyComposerQuality(composer, bloomPass);
+    
+    pendingTreeQuality = true;
+    if (starField.geometry.attributes.position.count !== scaleCount(CONFIG.starField.count)) {
+        disposeObject3D(starField);
+        createStarField();
     }
 }
 
@@ -1389,29 +2045,32 @@ function onWindowResize() {
 // ============================================
 
 export function onResults(results) {
-    // Hide loading
-    if (!loading.classList.contains('hidden')) {
-        loading.classList.add('hidden');
-    }
+    // 未运行或已暂停时忽略手势输入
+    if (!isRunning || isPaused) return;
     
     // Draw debug canvas
     canvasCtx.save();
     canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
-    canvasCtx.drawImage(results.image, 0, 0, canvasElement.width, canvasElement.height);
+    // 回放录制数据时没有摄像头画面
+    if (results.image) {
+        canvasCtx.drawImage(results.image, 0, 0, canvasElement.width, canvasElement.height);
+    }
     
     if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-        // Draw hand landmarks
-        for (const landmarks of results.multiHandLandmarks) {
-            drawConnectors(canvasCtx, landmarks, HAND_CONNECTIONS, { color: '#00FF00', lineWidth: 2 });
-            drawLandmarks(canvasCtx, landmarks, { color: '#FF0000', lineWidth: 1 });
+        // Draw hand landmarks（MediaPipe 没有加载时回放录制数据，drawing_utils 不存在）
+        if (typeof drawConnectors === 'function') {
+            for (const landmarks of results.multiHandLandmarks) {
+                drawConnectors(canvasCtx, landmarks, HAND_CONNECTIONS, { color: '#00FF00', lineWidth: 2 });
+                drawLandmarks(canvasCtx, landmarks, { color: '#FF0000', lineWidth: 1 });
+            }
         }
         
-        // Process gestures
-        handleGestures(results.multiHandLandmarks[0]);
+        // Process gestures (one or two hands)
+        handleGestures(results.multiHandLandmarks);
     } else {
+        // 手势的结束由引擎在保持时间后触发（onGestureEnd）
+        gestureEngine.update(null);
         cursor.classList.add('hidden');
-        isGestureActive = false;
-        autoRotate = true;
     }
     
     canvasCtx.restore();
@@ -1421,321 +2080,340 @@ export function onResults(results) {
 // Gesture Recognition & Control
 // ============================================
 
-function handleGestures(landmarks) {
-    // Get palm center (average of key points)
-    const palmCenter = getPalmCenter(landmarks);
-    
-    // Mirror X coordinate (camera is mirrored)
-    const rawX = 1 - palmCenter.x;
-    const rawY = palmCenter.y;
-    
-    // Low-pass filter for smooth movement
-    smoothedPos.x = smoothedPos.x * 0.7 + rawX * 0.3;
-    smoothedPos.y = smoothedPos.y * 0.7 + rawY * 0.3;
-    
-    // Update cursor position
-    const screenX = smoothedPos.x * window.innerWidth;
-    const screenY = smoothedPos.y * window.innerHeight;
-    cursor.style.left = `${screenX}px`;
-    cursor.style.top = `${screenY}px`;
-    cursor.classList.remove('hidden');
-    
-    // 计算手掌大小（用于远近识别）
-    const currentHandSize = getHandSize(landmarks);
-    
-    // 平滑手掌大小
-    smoothedHandSize = smoothedHandSize * 0.8 + currentHandSize * 0.2;
-    
-    // 校准基线（第一次检测到手时）
-    if (!handSizeCalibrated) {
-        handSizeBaseline = currentHandSize;
-        smoothedHandSize = currentHandSize;
-        handSizeCalibrated = true;
-        console.log('👋 Hand size calibrated:', handSizeBaseline.toFixed(3));
-    }
-    
-    // Recognize gesture
-    const gesture = recognizeGesture(landmarks);
-    
-    // 在开掌状态下应用远近缩放
-    if (gesture === 'OPEN_PALM' && !expandedPhoto) {
-        applyHandDistanceZoom();
-    }
-    
-    // Process continuous gestures (every frame)
-    processContinuousGesture(gesture, landmarks, smoothedPos);
+// 连接共享手势引擎（gesture-engine.js）
+function setupGestureEngine() {
+    gestureEngine = createGestureEngine({ gestures: CONFIG.gestures });
+    gestureBindings = createGestureBindings({
+        id: 'christmas',
+        engine: gestureEngine,
+        actions: createGestureActions(),
+        defaults: CONFIG.gestureBindings
+    });
+    bindingsPanel = createBindingsPanel(gestureBindings, 'christmas');
     
-    // Update last position and hand size
-    lastHandPos.x = smoothedPos.x;
-    lastHandPos.y = smoothedPos.y;
-    lastHandSize = currentHandSize;
-    lastGesture = gesture;
+    gestureEngine.on('start', onGestureStart);
+    gestureEngine.on('end', onGestureEnd);
 }
 
-// 应用手势远近缩放
-function applyHandDistanceZoom() {
-    if (!handSizeCalibrated) return;
-    
-    // 计算手掌大小相对于基线的变化
-    const sizeRatio = smoothedHandSize / handSizeBaseline;
-    
-    // 设置缩放范围
-    // 手距离远（手掌看起来小）-> 缩小 -> sizeRatio < 1
-    // 手距离近（手掌看起来大）-> 放大 -> sizeRatio > 1
-    
-    // 缩放灵敏度
-    const zoomSensitivity = 3.0;
-    
-    // 计算目标缩放值
-    // sizeRatio 1.0 = 基线（默认位置）
-    // sizeRatio 1.3 = 手接近 -> 放大（camera.z 减小）
-    // sizeRatio 0.7 = 手远离 -> 缩小（camera.z 增大）
+// ============================================
+// Settings Panel (live CONFIG changes)
+// ============================================
+
+function setupSettingsPanel() {
+    settingsPanel = createSettingsPanel({
+        id: 'christmas',
+        config: CONFIG,
+        schema: CONFIG_SCHEMA,
+        defaults: CONFIG_DEFAULTS,
+        onChange: (groups, overrides) => {
+            applySettings(groups);
+            effectContext.updateConfigOverrides(overrides);
+        }
+    });
+}
+
+// 重建树的粒子、变形目标和礼包（粒子数量、大小或颜色改变）
+function rebuildTree() {
+    if (isExploded) {
+        gatherParticles();
+    }
     
-    const targetZ = CONFIG.camera.initialZ - (sizeRatio - 1.0) * zoomSensitivity;
+    disposeObject3D(treeParticles);
+    createTreeParticles();
     
-    // 缓动进入目标位置
-    const currentZ = camera.position.z;
-    const newZ = currentZ + (targetZ - currentZ) * 0.1;
+    giftBoxes.forEach(disposeObject3D);
+    giftBoxes = [];
+    createGiftBoxes();
     
-    // 限制范围
-    camera.position.z = Math.max(CONFIG.camera.minZ, Math.min(CONFIG.camera.maxZ, newZ));
+    treeStar.position.y = CONFIG.tree.height / 2 + 0.3;
+    treeStar.userData.originalPosition.copy(treeStar.position);
 }
 
-function getPalmCenter(landmarks) {
-    // Use wrist (0) and middle finger MCP (9) for palm center
-    const wrist = landmarks[0];
-    const middleMCP = landmarks[9];
-    
-    return {
-        x: (wrist.x + middleMCP.x) / 2,
-        y: (wrist.y + middleMCP.y) / 2
-    };
+// 没有爆炸、变形或进行中的手势时才替换粒子，不打断访客的操作
+function isTreeIdle() {
+    return !isExploded && !isFistShape && !isHeartShape && !isGestureActive;
 }
 
-// 计算手掌大小（用于远近识别）
-function getHandSize(landmarks) {
-    // 使用多个关键点的距离来估算手掌大小
-    const wrist = landmarks[0];
-    const thumbTip = landmarks[4];
-    const indexTip = landmarks[8];
-    const middleTip = landmarks[12];
-    const pinkyTip = landmarks[20];
-    const middleMCP = landmarks[9];
-    
-    // 计算手掌对角线距离（手腕到中指指尖）
-    const palmDiagonal = Math.hypot(
-        wrist.x - middleTip.x,
-        wrist.y - middleTip.y
-    );
-    
-    // 计算手掌宽度（拇指到小指）
-    const palmWidth = Math.hypot(
-        thumbTip.x - pinkyTip.x,
-        thumbTip.y - pinkyTip.y
-    );
+// 只替换树的粒子（画质档位改变了数量）：新粒子直接在目标位置上，礼包和照片不变
+function replaceTreeParticles() {
+    if (treeParticles.geometry.attributes.position.count === treeParticleCount()) return;
     
-    // 计算手掌高度（手腕到中指根部）
-    const palmHeight = Math.hypot(
-        wrist.x - middleMCP.x,
-        wrist.y - middleMCP.y
-    );
-    
-    // 综合这些指标
-    return (palmDiagonal + palmWidth + palmHeight) / 3;
+    disposeObject3D(treeParticles);
+    createTreeParticles({ settled: true });
 }
 
-function recognizeGesture(lm) {
-    const thumbTip = lm[4];
-    const indexTip = lm[8];
-    const middleTip = lm[12];
-    const ringTip = lm[16];
-    const pinkyTip = lm[20];
-    
-    // Helper: is finger extended?
-    function isExtended(tipId, pipId) {
-        return lm[tipId].y < lm[pipId].y;
+// 设置面板修改后调用：物理参数每帧读取，bloom 直接更新，其余按分组重建
+function applySettings(groups) {
+    bloomPass.strength = CONFIG.bloom.strength;
+    bloomPass.radius = CONFIG.bloom.radius;
+    bloomPass.threshold = CONFIG.bloom.threshold;
+    
+    if (groups.includes('tree')) {
+        rebuildTree();
     }
-    
-    const indexExtended = isExtended(8, 6);
-    const middleExtended = isExtended(12, 10);
-    const ringExtended = isExtended(16, 14);
-    const pinkyExtended = isExtended(20, 18);
-    
-    // Pinch: Thumb and Index close together
-    const pinchDistance = Math.hypot(indexTip.x - thumbTip.x, indexTip.y - thumbTip.y);
-    if (pinchDistance < 0.06) {
-        return 'PINCH';
-    }
-    
-    // Fist: All fingers closed
-    if (!indexExtended && !middleExtended && !ringExtended && !pinkyExtended) {
-        return 'FIST';
+    if (groups.includes('starField')) {
+        disposeObject3D(starField);
+        createStarField();
     }
-    
-    // Open Palm: All fingers open
-    if (indexExtended && middleExtended && ringExtended && pinkyExtended) {
-        return 'OPEN_PALM';
-    }
-    
-    // V-Sign: Index and Middle open, others closed
-    if (indexExtended && middleExtended && !ringExtended && !pinkyExtended) {
-        return 'V_SIGN';
+    // 照片沿树的表面排列，树的大小改变时也要重新排列
+    if (groups.includes('tree') || groups.includes('photos')) {
+        loadPhotoWall();
     }
-    
-    // Point: Only index extended
-    if (indexExtended && !middleExtended && !ringExtended && !pinkyExtended) {
-        return 'POINT';
-    }
-    
-    return 'NONE';
 }
 
-function processContinuousGesture(gesture, landmarks, currentPos) {
-    const deltaX = currentPos.x - lastHandPos.x;
-    const deltaY = currentPos.y - lastHandPos.y;
-    const screenX = currentPos.x * window.innerWidth;
-    const screenY = currentPos.y * window.innerHeight;
+function handleGestures(hands) {
+    // 识别手势（start / hold / end 事件在这里同步触发）
+    const hand = gestureEngine.update(hands);
     
-    // 检测悬停的照片
-    if (gesture !== 'POINT') {
-        checkPhotoHover(screenX, screenY);
-    }
+    // Update cursor position
+    const screenX = hand.position.x * window.innerWidth;
+    const screenY = hand.position.y * window.innerHeight;
+    cursor.style.left = `${screenX}px`;
+    cursor.style.top = `${screenY}px`;
+    cursor.classList.remove('hidden');
     
-    // OPEN_PALM: Rotate tree (relative control) with inertia
-    if (gesture === 'OPEN_PALM') {
-        if (expandedPhoto) {
-            // 如果有放大的照片，张开手掌关闭它
-            closeExpandedPhoto();
-            return;
-        }
-        
-        // 如果之前是握拳状态，松开后恢复圣诞树形状
-        if (isFistShape) {
-            isFistShape = false;
-            console.log('🎄 Restoring tree shape...');
-        }
-        
-        autoRotate = false;
-        isGestureActive = true;
-        cursor.classList.add('active');
-        
-        // Map hand movement to tree rotation
-        const rotDeltaY = deltaX * 5;
-        const rotDeltaX = deltaY * 3;
-        
-        treeGroup.rotation.y += rotDeltaY;
-        treeGroup.rotation.x += rotDeltaX;
-        
-        // 记录速度用于惯性
-        gestureVelocity.rotX = rotDeltaX;
-        gestureVelocity.rotY = rotDeltaY;
-        
-        // Clamp X rotation
-        treeGroup.rotation.x = Math.max(-0.5, Math.min(0.5, treeGroup.rotation.x));
+    // 检测悬停的照片（select 动作自己处理悬停）
+    if (gestureBindings.getActionName(hand.gesture) !== 'select') {
+        checkPhotoHover(screenX, screenY);
     }
-    // POINT: Select and expand photo (食指指向)
-    else if (gesture === 'POINT') {
-        cursor.classList.add('active');
-        
-        // 检测指向的照片
-        const hoveredPhoto = checkPhotoHover(screenX, screenY);
-        
-        // 如果持续指向同一照片超过 0.5 秒，则放大
-        if (hoveredPhoto && !expandedPhoto) {
-            if (selectedPhoto === hoveredPhoto) {
-                if (!gestureStartTime) {
+}
+
+// 可绑定到手势的动作（gesture-bindings.js）：start 触发一次，hold 每帧，end 松开时
+function createGestureActions() {
+    return {
+        // 旋转树（带惯性）+ 手掌远近缩放；幻灯片中暂停，否则关闭放大的照片
+        rotate: {
+            label: 'Rotate tree + distance zoom',
+            start: () => {
+                if (slideshow) {
+                    setSlideshowPaused(true);
+                } else if (expandedPhoto) {
+                    closeExpandedPhoto();
+                }
+            },
+            hold: hand => {
+                const { delta, swiping } = hand;
+                if (expandedPhoto) return;
+                
+                applyHandDistanceZoom(camera, CONFIG.camera, hand, CONFIG.handZoomSensitivity, getActiveCalibration());
+                if (swiping) return;  // 快速挥手是 swipe，不转树
+                
+                autoRotate = false;
+                isGestureActive = true;
+                rotateTree(delta);
+            },
+            // 放下手掌，幻灯片继续
+            end: () => setSlideshowPaused(false)
+        },
+        // 指向同一张照片超过 0.5 秒则放大
+        select: {
+            label: 'Select & expand photo',
+            start: () => {
+                gestureStartTime = 0;
+            },
+            hold: ({ position }) => {
+                const hoveredPhoto = checkPhotoHover(position.x * window.innerWidth, position.y * window.innerHeight);
+                if (!hoveredPhoto || expandedPhoto) return;
+                
+                if (selectedPhoto !== hoveredPhoto) {
+                    gestureStartTime = performance.now();
+                } else if (!gestureStartTime) {
                     gestureStartTime = performance.now();
                 } else if (performance.now() - gestureStartTime > 500) {
                     expandPhoto(hoveredPhoto);
                     gestureStartTime = 0;
                 }
-            } else {
-                gestureStartTime = performance.now();
             }
-        }
-    }
-    // PINCH: Zoom (relative control based on pinch distance) with inertia
-    else if (gesture === 'PINCH') {
-        if (expandedPhoto) return;  // 照片放大时禁用缩放
-        
-        autoRotate = false;
-        isGestureActive = true;
-        cursor.classList.add('active');
-        
-        // Use vertical movement for zoom
-        const zoomDelta = -deltaY * 10;
-        camera.position.z += zoomDelta;
-        camera.position.z = Math.max(CONFIG.camera.minZ, Math.min(CONFIG.camera.maxZ, camera.position.z));
-        
-        // 记录速度用于惯性
-        gestureVelocity.zoom = zoomDelta;
-    }
-    // FIST: Transform to sphere shape
-    else if (gesture === 'FIST') {
-        if (expandedPhoto) {
-            if (lastGesture !== 'FIST') {
-                closeExpandedPhoto();
+        },
+        // 上下移动缩放（带惯性）
+        zoom: {
+            label: 'Zoom (move up / down)',
+            hold: ({ delta }) => {
+                if (expandedPhoto) return;  // 照片放大时禁用缩放
+                
+                autoRotate = false;
+                isGestureActive = true;
+                
+                const zoomDelta = -delta.y * 10;
+                zoomCamera(zoomDelta);
+                gestureVelocity.zoom = zoomDelta;
             }
-        } else if (isExploded) {
-            if (lastGesture !== 'FIST') {
-                // 如果已爆炸，握拳聚合
-                gatherParticles();
+        },
+        // 保持期间变成球形并可旋转；开始时先关闭照片或聚合爆炸的粒子
+        sphere: {
+            label: 'Sphere while held (closes photo, gathers)',
+            start: () => {
+                if (expandedPhoto) {
+                    stopSlideshow();
+                    closeExpandedPhoto();
+                } else if (isExploded) {
+                    gatherParticles();
+                }
+            },
+            hold: ({ delta }) => {
+                if (expandedPhoto || isExploded) return;
+                
+                if (!isFistShape) {
+                    setSphereShape(true);
+                }
+                rotateTree(delta);
+            },
+            end: () => {
+                if (isFistShape) {
+                    setSphereShape(false);
+                }
             }
-        } else {
-            // 握拳时变成球形
-            if (!isFistShape) {
-                isFistShape = true;
+        },
+        explode: {
+            label: 'Explode / gather particles',
+            start: toggleExplode
+        },
+        heart: {
+            label: 'Heart shape / restore tree',
+            start: toggleHeartShape
+        },
+        // 双手张开/合拢缩放，转动双手让树侧倾（只对双手手势有效）
+        twoHandZoom: {
+            label: 'Zoom + tilt (two hands)',
+            hold: ({ twoHands }) => {
+                if (!twoHands || expandedPhoto) return;
+                
                 autoRotate = false;
-                console.log('🔵 Transforming to sphere...');
+                isGestureActive = true;
+                
+                const zoomDelta = -twoHands.spreadDelta * 12;
+                zoomCamera(zoomDelta);
+                gestureVelocity.zoom = zoomDelta;
+                
+                // 屏幕上顺时针转动双手 -> 树向右倾
+                treeGroup.rotation.z = Math.max(-0.6, Math.min(0.6, treeGroup.rotation.z - twoHands.twistDelta));
             }
-            cursor.classList.add('active');
-            
-            // 握拳时也可以旋转
-            const rotDeltaY = deltaX * 5;
-            const rotDeltaX = deltaY * 3;
-            treeGroup.rotation.y += rotDeltaY;
-            treeGroup.rotation.x += rotDeltaX;
-            gestureVelocity.rotX = rotDeltaX;
-            gestureVelocity.rotY = rotDeltaY;
-            treeGroup.rotation.x = Math.max(-0.5, Math.min(0.5, treeGroup.rotation.x));
+        },
+        slideshow: {
+            label: 'Start / stop slideshow',
+            start: toggleSlideshow
+        },
+        nextPhoto: {
+            label: 'Next slideshow photo',
+            start: () => stepSlideshow(1)
+        },
+        previousPhoto: {
+            label: 'Previous slideshow photo',
+            start: () => stepSlideshow(-1)
+        },
+        resetView: {
+            label: 'Reset view',
+            start: resetView
+        },
+        calibrate: {
+            label: 'Recalibrate hand distance',
+            start: () => effectContext.startCalibration()
+        },
+        ...createCaptureActions(),
+        nextEffect: {
+            label: 'Next effect',
+            start: () => effectContext.cycleEffect(1)
+        },
+        previousEffect: {
+            label: 'Previous effect',
+            start: () => effectContext.cycleEffect(-1)
         }
+    };
+}
+
+// 持续控制的手势显示按下的光标
+function onGestureStart({ gesture }) {
+    const action = gestureBindings.getAction(gesture);
+    if (action && action.hold) {
+        cursor.classList.add('active');
     }
-    // V_SIGN: 爆炸/聚合粒子
-    else if (gesture === 'V_SIGN' && lastGesture !== 'V_SIGN') {
-        if (!expandedPhoto) {
-            if (isExploded) {
-                gatherParticles();
-                console.log('🎄 Gathering particles...');
-            } else {
-                explodeParticles();
-                console.log('💥 Exploding particles!');
-            }
-        }
+}
+
+// 手势结束：恢复自动旋转
+function onGestureEnd() {
+    cursor.classList.remove('active');
+    gestureStartTime = 0;
+    isGestureActive = false;
+    
+    if (!expandedPhoto && !isHeartShape) {
+        autoRotate = true;
     }
-    else {
-        cursor.classList.remove('active');
-        gestureStartTime = 0;
-        isGestureActive = false;
-        
-        // 没有手势时，如果是球形状态，恢复圣诞树
-        if (gesture === 'NONE') {
-            if (isFistShape) {
-                isFistShape = false;
-                console.log('🎄 Restoring tree shape...');
-            }
-            if (!expandedPhoto) {
-                autoRotate = true;
-            }
-        }
+}
+
+// ============================================
+// Shared Actions (gestures, pointer and keyboard)
+// ============================================
+
+// 爆炸 / 聚合粒子
+function toggleExplode() {
+    if (expandedPhoto) return;
+    
+    if (isExploded) {
+        gatherParticles();
+        console.log('🎄 Gathering particles...');
+    } else {
+        explodeParticles();
+        console.log('💥 Exploding particles!');
+    }
+}
+
+// 变成球形 / 恢复圣诞树
+function setSphereShape(enabled) {
+    if (enabled === isFistShape || isExploded) return;
+    
+    isFistShape = enabled;
+    if (enabled) {
+        isHeartShape = false;
+        autoRotate = false;
+        console.log('🔵 Transforming to sphere...');
+    } else {
+        console.log('🎄 Restoring tree shape...');
     }
 }
 
+// 变成爱心 / 恢复圣诞树
+function toggleHeartShape() {
+    if (expandedPhoto || isExploded) return;
+    
+    isHeartShape = !isHeartShape;
+    isFistShape = false;
+    autoRotate = !isHeartShape;
+    console.log(isHeartShape ? '💖 Forming a heart...' : '🎄 Restoring tree shape...');
+}
+
+// 沿 z 轴移动相机（负数拉近），限制在 CONFIG.camera 范围内
+function zoomCamera(deltaZ) {
+    camera.position.z += deltaZ;
+    camera.position.z = Math.max(CONFIG.camera.minZ, Math.min(CONFIG.camera.maxZ, camera.position.z));
+}
+
+// Map hand movement to tree rotation
+function rotateTree(delta) {
+    const rotDeltaY = delta.x * 5;
+    const rotDeltaX = delta.y * 3;
+    
+    treeGroup.rotation.y += rotDeltaY;
+    treeGroup.rotation.x += rotDeltaX;
+    
+    // 记录速度用于惯性
+    gestureVelocity.rotX = rotDeltaX;
+    gestureVelocity.rotY = rotDeltaY;
+    
+    // Clamp X rotation
+    treeGroup.rotation.x = Math.max(-0.5, Math.min(0.5, treeGroup.rotation.x));
+}
+
 function resetView() {
     console.log('Resetting view...');
     
-    // Smooth reset animation
+    if (resetAnimation) {
+        cancelAnimationFrame(resetAnimation);
+    }
+    gestureVelocity = { rotX: 0, rotY: 0, zoom: 0 };
+    
+    // Smooth reset animation（转回最近的正面，不多转整圈）
     const targetRotationX = 0;
-    const targetRotationY = 0;
+    const targetRotationY = Math.round(treeGroup.rotation.y / (Math.PI * 2)) * Math.PI * 2;
     const targetCameraZ = CONFIG.camera.initialZ;
     
     // Use simple animation
@@ -1757,8 +2435,9 @@ function resetView() {
         camera.position.z = startCameraZ + (targetCameraZ - startCameraZ) * eased;
         
         if (progress < 1) {
-            requestAnimationFrame(animateReset);
+            resetAnimation = requestAnimationFrame(animateReset);
         } else {
+            resetAnimation = null;
             autoRotate = true;
         }
     }
@@ -1767,16 +2446,124 @@ function resetView() {
 }
 
 // ============================================
-// Initialization (exported for main.js)
+// Pointer & Keyboard Controls
 // ============================================
 
-export function init() {
-    // Set canvas size for debug view
-    canvasElement.width = 640;
-    canvasElement.height = 480;
+function setupPointerControls() {
+    pointerControls = createPointerControls(canvas, {
+        // 拖动旋转，松开后与手势相同的惯性
+        onDragStart: () => {
+            if (expandedPhoto) return;
+            autoRotate = false;
+            isGestureActive = true;
+        },
+        onDrag: delta => {
+            if (!expandedPhoto) rotateTree(delta);
+        },
+        onDragEnd: () => {
+            isGestureActive = false;
+            if (!expandedPhoto && !isHeartShape) {
+                autoRotate = true;
+            }
+        },
+        onZoom: amount => {
+            if (!expandedPhoto) zoomCamera(-amount * 0.5);
+        },
+        onTap: handlePhotoInteraction
+    });
     
-    // Initialize Three.js scene
-    initThreeScene();
+    unbindKeyboard = bindKeyboardShortcuts({
+        e: toggleExplode,
+        f: () => setSphereShape(!isFistShape),
+        h: toggleHeartShape,
+        r: resetView,
+        s: toggleSlideshow,
+        Escape: () => {
+            stopSlideshow();
+            if (expandedPhoto) closeExpandedPhoto();
+        },
+        // 幻灯片中切换上一张 / 下一张，否则旋转
+        ArrowLeft: () => slideshow ? stepSlideshow(-1) : rotateTree({ x: -0.02, y: 0 }),
+        ArrowRight: () => slideshow ? stepSlideshow(1) : rotateTree({ x: 0.02, y: 0 }),
+        ArrowUp: () => rotateTree({ x: 0, y: -0.02 }),
+        ArrowDown: () => rotateTree({ x: 0, y: 0.02 }),
+        '+': () => zoomCamera(-0.5),
+        '=': () => zoomCamera(-0.5),
+        '-': () => zoomCamera(0.5)
+    });
+}
+
+// ============================================
+// View State (URL hash, see url-state.js)
+// ============================================
+
+// 当前视角，main.js 定期写入地址栏（null 的字段不写）
+export function getViewState() {
+    let shape = null;
+    if (isHeartShape) {
+        shape = 'heart';
+    } else if (isFistShape) {
+        shape = 'sphere';
+    }
+    
+    return {
+        z: roundState(camera.position.z),
+        rx: roundState(treeGroup.rotation.x),
+        ry: roundState(THREE.MathUtils.euclideanModulo(treeGroup.rotation.y, Math.PI * 2)),
+        shape,
+        exploded: isExploded ? true : null,
+        spin: autoRotate ? null : 0  // 0 = 停止自动旋转（固定的构图）
+    };
+}
+
+// 恢复链接中的视角，缺少的字段按默认（圣诞树形状、自动旋转）
+export function applyViewState(view) {
+    if (resetAnimation) {
+        cancelAnimationFrame(resetAnimation);
+        resetAnimation = null;
+    }
+    gestureVelocity = { rotX: 0, rotY: 0, zoom: 0 };
+    
+    if (typeof view.z === 'number') {
+        camera.position.z = Math.max(CONFIG.camera.minZ, Math.min(CONFIG.camera.maxZ, view.z));
+    }
+    if (typeof view.rx === 'number') {
+        treeGroup.rotation.x = Math.max(-0.5, Math.min(0.5, view.rx));
+    }
+    if (typeof view.ry === 'number') {
+        treeGroup.rotation.y = view.ry;
+    }
+    
+    // 形状切换在爆炸状态下无效，先聚合再切换
+    if (!view.exploded && isExploded) {
+        gatherParticles();
+    }
+    setSphereShape(view.shape === 'sphere');
+    if ((view.shape === 'heart') !== isHeartShape) {
+        toggleHeartShape();
+    }
+    if (view.exploded && !isExploded) {
+        explodeParticles();
+    }
+    
+    autoRotate = view.spin !== 0 && !isFistShape && !isHeartShape && !isExploded;
+}
+
+// ============================================
+// Lifecycle (exported for main.js)
+// ============================================
+
+export function init(context) {
+    // Initialize Three.js scene on the shared renderer
+    effectContext = context;
+    initThreeScene(context);
+    setupGestureEngine();
+    setupSettingsPanel();
+    setupPhotoPanel();
+    setupSlideshowButton();
+    createPhotoCaption();
+    albumRequest = loadStartupAlbum();
+    loadPhotoWall();
     
     console.log('🎄 3D Christmas Tree initialized!');
     console.log('Gestures:');
@@ -1785,5 +2572,135 @@ export function init() {
     console.log('  🤏 Pinch - Zoom in/out (with inertia)');
     console.log('  ✊ Fist - Transform to sphere / Release to restore tree');
     console.log('  ✌️ V-Sign - Explode / Gather particles');
+    console.log('  🙌 Two hands - Spread/squeeze to zoom, twist to tilt the tree');
+    console.log('  👏 Clap (hold 1s) - Take a photo after a countdown');
+    console.log('  🫶 Heart (two hands) - Form a heart / Restore tree');
+    console.log('  👋 Swipe - Left / right: next / previous slideshow photo, up / down: switch effect');
     console.log('  🖱️ Click - Click on photo to expand');
+    console.log('  🖼️ Toolbar / drop images - Use your own photos on the tree');
+    console.log('  🎞️ S / toolbar - Slideshow (arrows - previous / next, open palm - pause)');
+    console.log('  🖱️ Drag - Rotate tree (with inertia), Wheel / two-finger pinch - Zoom');
+    console.log('  ⌨️ E - Explode / Gather, F - Sphere, H - Heart, R - Reset view, Arrows - Rotate, +/- - Zoom, Esc - Close photo, P - Photo, V - Video clip');
+}
+
+// 暂停更新（保留场景资源），main.js 不再合成该效果
+export function pause() {
+    if (!isRunning || isPaused) return;
+    
+    isPaused = true;
+    
+    cursor.classList.add('hidden');
+    isGestureActive = false;
+    // 标签页隐藏时只暂停幻灯片，恢复后继续
+    setSlideshowPaused(true);
+    
+    // 恢复后重新识别，避免沿用暂停前的手势
+    if (gestureEngine) {
+        gestureEngine.reset();
+    }
+}
+
+// 恢复更新
+export function resume() {
+    if (!isRunning || !isPaused) return;
+    
+    isPaused = false;
+    setSlideshowPaused(false);
+}
+
+// 释放场景创建的所有资源、监听器和动画
+export function dispose() {
+    if (!isRunning) return;
+    
+    pause();
+    stopSlideshow();
+    isRunning = false;
+    isPaused = false;
+    
+    if (photoExpandAnimation) {
+        cancelAnimationFrame(photoExpandAnimation);
+        photoExpandAnimation = null;
+    }
+    if (resetAnimation) {
+        cancelAnimationFrame(resetAnimation);
+        resetAnimation = null;
+    }
+    
+    pointerControls.dispose();
+    unbindKeyboard();
+    gestureBindings.dispose();
+    bindingsPanel.dispose();
+    settingsPanel.dispose();
+    
+    photoLoadToken++;
+    window.removeEventListener('dragover', onPhotoDragOver);
+    window.removeEventListener('drop', onPhotoDrop);
+    removeToolbarButton(photoButton);
+    removeToolbarButton(slideshowButton);
+    if (photoPanelElement) {
+        photoPanelElement.remove();
+    }
+    if (captionElement) {
+        captionElement.remove();
+    }
+    photoThumbUrls.forEach(url => URL.revokeObjectURL(url));
+    
+    if (gpuPhysics) {
+        gpuPhysics.dispose();
+    }
+    
+    // 放大中的照片位于 scene 下，一并释放
+    disposeObject3D(scene);
+    disposeComposer(composer);
+    
+    cursor.classList.remove('active');
+    resetState();
+    
+    console.log('🎄 Christmas Tree disposed');
+}
+
+// 重置模块状态，使下次 init() 从干净状态开始
+function resetState() {
+    scene = camera = renderer = composer = bloomPass = null;
+    treeGroup = treeParticles = starField = treeStar = null;
+    treeUniforms = starUniforms = null;
+    bgParticles = bgUniforms = null;
+    raycaster = mouse = null;
+    
+    photoFrames = [];
+    selectedPhoto = null;
+    expandedPhoto = null;
+    userPhotos = [];
+    photoThumbUrls = [];
+    photoButton = photoPanelElement = captionElement = null;
+    slideshow = slideshowButton = null;
+    albumRequest = null;
+    albumPhotos = [];
+    
+    particleVelocities = new Float32Array(0);
+    particleTargets = new Float32Array(0);
+    particlePhases = new Float32Array(0);
+    particleAmplitudes = new Float32Array(0);
+    gpuPhysics = null;
+    gpuPhysicsFailed = false;
+    pendingTreeQuality = false;
+    sphereTargets = new Float32Array(0);
+    heartTargets = new Float32Array(0);
+    giftBoxes = [];
+    giftTargets = [];
+    giftSphereTargets = [];
+    giftHeartTargets = [];
+    
+    isExploded = false;
+    isFistShape = false;
+    isHeartShape = false;
+    autoRotate = true;
+    effectContext = null;
+    isGestureActive = false;
+    gestureEngine = null;
+    gestureBindings = bindingsPanel = settingsPanel = null;
+    pointerControls = null;
+    unbindKeyboard = null;
+    gestureStartTime = 0;
+    gestureVelocity = { rotX: 0, rotY: 0, zoom: 0 };
 }
@@ -0,0 +1,315 @@
+// ============================================
+// Settings Panel
+// Live editor for an effect's CONFIG: sliders and color pickers
+// described by the effect's CONFIG_SCHEMA, plus named presets saved
+// in the browser and exported / imported as JSON files
+// ============================================
+
+import { addToolbarButton, addToolbarPanel, removeToolbarButton } from './toolbar.js';
+import { downloadBlob } from './download-utils.js';
+import {
+    getConfigValue,
+    setConfigValue,
+    serializeConfigValue,
+    schemaFields,
+    sanitizeConfigValues
+} from './config-utils.js';
+
+const STORAGE_PREFIX = 'christmas-magic:settings-presets:';
+const PRESET_VERSION = 1;
+
+// CONFIG_SCHEMA（各效果定义）：
+// [
+//     {
+//         title: 'Tree',
+//         rebuild: 'tree',  // 可选：该组修改后需要重建的部分，松开滑块时通知；省略则拖动时实时通知
+//         fields: [
+//             { path: 'tree.particleCount', label: 'Particles', min: 500, max: 8000, step: 100 },
+//             { path: 'tree.colors.0', label: 'Gold', type: 'color' }
+//         ]
+//     }
+// ]
+
+// 当前值 { path: value }（颜色为 '#rrggbb'）；效果在模块加载时调用一次作为默认值
+export function snapshotConfig(config, schema) {
+    const values = {};
+    schemaFields(schema).forEach(({ path }) => {
+        values[path] = serializeConfigValue(getConfigValue(config, path));
+    });
+    return values;
+}
+
+function loadPresets(storageKey) {
+    try {
+        const saved = localStorage.getItem(storageKey);
+        return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+        console.warn('⚠️ Saved settings presets ignored:', error.message);
+        return {};
+    }
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+// 按 step 的小数位显示数值
+function formatValue(value, step) {
+    const decimals = (String(step).split('.')[1] || '').length;
+    return Number(value).toFixed(decimals);
+}
+
+function injectStyles() {
+    if (document.getElementById('settings-panel-styles')) return;
+    
+    const style = document.createElement('style');
+    style.id = 'settings-panel-styles';
+    style.textContent = `
+        .settings-panel {
+            max-height: calc(100vh - 120px);
+            overflow-y: auto;
+        }
+        
+        .settings-panel .settings-title {
+            margin: 10px 0 4px;
+            color: rgba(135, 206, 235, 0.9);
+            font-weight: 600;
+        }
+        
+        .settings-panel .settings-title:first-child {
+            margin-top: 0;
+        }
+        
+        .settings-panel input[type="range"] {
+            width: 120px;
+        }
+        
+        .settings-panel .settings-value {
+            min-width: 52px;
+            text-align: right;
+            font-variant-numeric: tabular-nums;
+        }
+    `;
+    document.head.appendChild(style);
+}
+
+// 工具栏按钮 + 设置面板，返回 { refresh, dispose }
+// onChange(groups, overrides)：groups 为需要重建的分组（只有实时参数变化时为空数组），
+// overrides 为 { path: 与默认值不同的值，或 null（已恢复默认）}
+export function createSettingsPanel({ id, config, schema, defaults, onChange }) {
+    const storageKey = STORAGE_PREFIX + id;
+    const fields = schemaFields(schema);
+    const presets = loadPresets(storageKey);
+    
+    injectStyles();
+    
+    const sections = schema.map(section => `
+        <div class="settings-title">${section.title}</div>
+        ${section.fields.map(field => field.type === 'color' ? `
+            <div class="panel-row">
+                <span class="panel-label">${field.label}</span>
+                <input type="color" data-path="${field.path}">
+            </div>
+        ` : `
+            <div class="panel-row">
+                <span class="panel-label">${field.label}</span>
+                <input type="range" data-path="${field.path}" min="${field.min}" max="${field.max}" step="${field.step}">
+                <span class="settings-value" data-value="${field.path}"></span>
+            </div>
+        `).join('')}
+    `).join('');
+    
+    const panel = addToolbarPanel(`${id}-settings-panel`, `
+        ${sections}
+        <div class="settings-title">Presets</div>
+        <div class="panel-row">
+            <select data-field="preset"></select>
+            <button data-action="load">Load</button>
+            <button data-action="delete">Delete</button>
+        </div>
+        <div class="panel-row">
+            <input type="text" data-field="name" placeholder="Preset name" maxlength="30">
+            <button data-action="save">Save</button>
+        </div>
+        <div class="panel-row">
+            <button data-action="export">Export JSON</button>
+            <button data-action="import">Import JSON</button>
+            <button data-action="reset">Defaults</button>
+        </div>
+        <input type="file" data-field="file" accept=".json,application/json" hidden>
+        <div class="panel-note" data-field="note">Changes apply live; presets are saved in this browser</div>
+    `);
+    panel.classList.add('settings-panel');
+    
+    function setNote(text) {
+        panel.querySelector('[data-field="note"]').textContent = text;
+    }
+    
+    function currentValues() {
+        return snapshotConfig(config, schema);
+    }
+    
+    // 与默认值比较，供 main.js 写入地址栏
+    function getOverrides() {
+        const values = currentValues();
+        const overrides = {};
+        fields.forEach(({ path }) => {
+            overrides[path] = values[path] !== defaults[path] ? values[path] : null;
+        });
+        return overrides;
+    }
+    
+    function notify(changedFields) {
+        const groups = [];
+        changedFields.forEach(({ rebuild }) => {
+            if (rebuild && !groups.includes(rebuild)) groups.push(rebuild);
+        });
+        onChange(groups, getOverrides());
+    }
+    
+    function savePresets() {
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(presets));
+        } catch (error) {
+            console.warn('⚠️ Settings presets could not be saved:', error.message);
+        }
+    }
+    
+    function renderPresets(selected = '') {
+        const select = panel.querySelector('[data-field="preset"]');
+        select.innerHTML = `<option value="">— Presets —</option>` + Object.keys(presets)
+            .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+            .join('');
+        select.value = selected;
+    }
+    
+    // 控件显示 CONFIG 的当前值
+    function refresh() {
+        const values = currentValues();
+        panel.querySelectorAll('[data-path]').forEach(input => {
+            input.value = values[input.dataset.path];
+        });
+        fields.forEach(({ path, step }) => {
+            const label = panel.querySelector(`[data-value="${path}"]`);
+            if (label) label.textContent = formatValue(values[path], step);
+        });
+    }
+    
+    // 应用一组值（预设、导入的文件或默认值），未知路径跳过，数值限制在 schema 的范围内
+    function applyValues(presetValues) {
+        const values = sanitizeConfigValues(schema, presetValues);
+        const changed = fields.filter(({ path }) => {
+            if (!(path in values) || values[path] === serializeConfigValue(getConfigValue(config, path))) return false;
+            return setConfigValue(config, path, values[path]);
+        });
+        
+        refresh();
+        if (changed.length > 0) notify(changed);
+    }
+    
+    function onInput(event, commit) {
+        const path = event.target.dataset.path;
+        const field = fields.find(candidate => candidate.path === path);
+        if (!field) return;
+        
+        if (!commit) {
+            setConfigValue(config, path, event.target.value);
+            const label = panel.querySelector(`[data-value="${path}"]`);
+            if (label) label.textContent = formatValue(event.target.value, field.step);
+        }
+        
+        // 需要重建的分组只在松开滑块（change）时通知，实时参数拖动时就通知
+        if (Boolean(field.rebuild) === commit) {
+            notify([field]);
+        }
+    }
+    
+    function exportSettings() {
+        const name = panel.querySelector('[data-field="preset"]').value || 'settings';
+        const data = { version: PRESET_VERSION, effect: id, name, values: currentValues() };
+        downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `christmas-magic-${id}-${name}.json`);
+    }
+    
+    async function importSettings(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            if (!data || data.version !== PRESET_VERSION || !data.values || typeof data.values !== 'object') {
+                throw new Error(`not a settings preset (expected version ${PRESET_VERSION})`);
+            }
+            if (data.effect && data.effect !== id) {
+                throw new Error(`preset is for the "${data.effect}" effect`);
+            }
+            
+            const name = String(data.name || file.name.replace(/\.json$/i, '')).slice(0, 30);
+            presets[name] = sanitizeConfigValues(schema, data.values);
+            savePresets();
+            renderPresets(name);
+            applyValues(presets[name]);
+            setNote(`Imported "${name}"`);
+        } catch (error) {
+            console.warn('⚠️ Settings import failed:', error.message);
+            setNote(`Import failed: ${error.message}`);
+        }
+    }
+    
+    panel.addEventListener('input', event => onInput(event, false));
+    panel.addEventListener('change', event => {
+        if (event.target.dataset.path) {
+            onInput(event, true);
+        } else if (event.target.dataset.field === 'file' && event.target.files.length > 0) {
+            importSettings(event.target.files[0]);
+            event.target.value = '';
+        }
+    });
+    panel.addEventListener('click', event => {
+        const action = event.target.dataset.action;
+        const selected = panel.querySelector('[data-field="preset"]').value;
+        
+        if (action === 'load' && presets[selected]) {
+            applyValues(presets[selected]);
+            setNote(`Loaded "${selected}"`);
+        } else if (action === 'delete' && presets[selected]) {
+            delete presets[selected];
+            savePresets();
+            renderPresets();
+            setNote(`Deleted "${selected}"`);
+        } else if (action === 'save') {
+            const nameInput = panel.querySelector('[data-field="name"]');
+            const name = nameInput.value.trim();
+            if (!name) return;
+            
+            presets[name] = currentValues();
+            savePresets();
+            renderPresets(name);
+            nameInput.value = '';
+            setNote(`Saved "${name}"`);
+        } else if (action === 'export') {
+            exportSettings();
+        } else if (action === 'import') {
+            panel.querySelector('[data-field="file"]').click();
+        } else if (action === 'reset') {
+            applyValues(defaults);
+            setNote('Restored the default settings');
+        }
+    });
+    
+    renderPresets();
+    refresh();
+    
+    const button = addToolbarButton({
+        icon: '⚙️',
+        title: 'Settings',
+        onClick: () => {
+            const open = !panel.classList.contains('open');
+            panel.classList.toggle('open', open);
+            button.classList.toggle('active', open);
+        }
+    });
+    
+    function dispose() {
+        removeToolbarButton(button);
+        panel.remove();
+    }
+    
+    return { refresh, dispose };
+}
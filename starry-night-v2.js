@@ -0,0 +1,2123 @@
+
+// ============================================
+// Starry Night V2 - Constellation Figures
+// Three.js + MediaPipe Hands
+// 12 Zodiac + Famous Constellations, stick lines or animated figure art
+// ============================================
+
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import {
+    CONSTELLATIONS,
+    ZODIAC_CALENDAR_ORDER,
+    findZodiacByDate,
+    formatConstellationDates
+} from './constellations-v2.js';
+import { BRIGHT_STARS, findBrightStar } from './bright-stars.js';
+import { disposeObject3D, disposeComposer } from './scene-utils.js';
+import { addToolbarButton, addToolbarPanel, removeToolbarButton } from './toolbar.js';
+import { createGestureEngine, applyHandDistanceZoom } from './gesture-engine.js';
+import { createGestureBindings, createBindingsPanel } from './gesture-bindings.js';
+import { getActiveCalibration } from './hand-calibration.js';
+import { createCaptureActions } from './scene-capture.js';
+import { createPointerControls, bindKeyboardShortcuts } from './pointer-controls.js';
+import { roundState } from './url-state.js';
+import { createSettingsPanel, snapshotConfig } from './settings-panel.js';
+import { getQuality, scaleCount, applyComposerQuality } from './quality-manager.js';
+
+// === DOM Elements (lazy initialization) ===
+let canvas, cursor, videoElement, canvasElement, canvasCtx;
+
+function initDOMElements() {
+    canvas = document.getElementById('three-canvas');
+    cursor = document.getElementById('cursor');
+    videoElement = document.getElementById('input_video');
+    canvasElement = document.getElementById('output_canvas');
+    canvasCtx = canvasElement.getContext('2d');
+}
+
+// === Three.js Variables ===
+let scene, camera, renderer, composer;
+let bloomPass = null;  // 设置面板实时调整
+let starGroup;
+let celestialSphere;  // 天球：星座按赤经/赤纬投影到它上面
+let constellationGroups = {};  // key -> { center, stars, lines, figure }
+let constellationStars = [];
+let constellationLines = [];
+let bgParticles;
+let backgroundStars = null;  // 星表之外的暗弱背景星（设置面板可重建）
+let starUniforms, bgUniforms;
+let raycaster, mouse;
+
+// 状态
+let isScattered = false;
+let grabbedConstellation = null;
+let grabStartPos = new THREE.Vector3();
+
+// === Configuration ===
+export const CONFIG = {
+    physics: { damping: 0.96, returnForce: 0.01 },
+    starField: { count: 1200, radius: 100 },  // 星表之外的暗弱背景星
+    catalog: {
+        limitingMagnitude: 4.5,  // 只显示比该星等更亮的星表恒星
+        baseSize: 0.9,  // 极限星等恒星的点大小
+        sizeGrowth: 0.16  // 每亮 1 等的大小增长（对数）
+    },
+    sky: {
+        radius: 40,  // 星座所在天球半径（相机在球心附近）
+        centerRA: 5.6,  // 启动时正对的赤经（小时）：冬季星空，猎户座
+        starScale: 2.6  // 星点精灵放大倍数（天球比原网格布局远）
+    },
+    bloom: { strength: 2.5, radius: 0.6, threshold: 0.08 },
+    figure: {
+        sampleStep: 0.02,  // artLines 重采样间距（让笔画匀速生长）
+        drawSpeed: 1.5,  // 绘制速度（单位长度/秒）
+        maxDrawTime: 4,  // 单个图形最长绘制时间（秒），复杂图形自动加速
+        opacity: 0.85
+    },
+    observer: {
+        latitude: 39.9,  // 默认观测地（北京）
+        longitude: 116.4,  // 东经为正
+        speeds: [1, 60, 600, 3600],  // 播放倍速（1 小时/秒 = 3600）
+        viewTilt: -0.35  // 进入观测模式时抬头约 20°
+    },
+    camera: { fov: 60, near: 0.1, far: 1000, initialZ: 0, minZ: -20, maxZ: 15 },
+    gestures: { V_SIGN: { minHold: 200, minConfidence: 0.6 } },  // 覆盖 gesture-engine.js 的默认调参
+    // 默认的手势 -> 动作绑定（动作见 createGestureActions，可在 🎛️ 面板中修改并保存）
+    // 指向不需要绑定：任何手势下光标悬停都会高亮星座
+    gestureBindings: {
+        OPEN_PALM: 'rotate',
+        PINCH: 'zoom',
+        FIST: 'gather',
+        V_SIGN: 'scatter',
+        TWO_HANDS: 'twoHandZoom',
+        CLAP: 'screenshot',  // 双手合拢保持 1 秒 = 倒计时拍照
+        HEART: 'displayMode',
+        SWIPE_LEFT: 'nextConstellation',
+        SWIPE_RIGHT: 'previousConstellation',
+        SWIPE_UP: 'nextEffect',
+        SWIPE_DOWN: 'previousEffect'
+    },
+    handZoomSensitivity: 4.0
+};
+
+// ⚙️ 设置面板中可调的参数（settings-panel.js），rebuild 为修改后需要重建的部分（见 applySettings）
+// 也是 URL 中 config. 覆盖允许的路径和范围（main.js）
+export const CONFIG_SCHEMA = [
+    {
+        title: 'Background stars',
+        rebuild: 'starField',
+        fields: [
+            { path: 'starField.count', label: 'Stars', min: 0, max: 4000, step: 100 },
+            { path: 'starField.radius', label: 'Radius', min: 50, max: 200, step: 10 }
+        ]
+    },
+    {
+        title: 'Bloom',
+        fields: [
+            { path: 'bloom.strength', label: 'Strength', min: 0, max: 4, step: 0.1 },
+            { path: 'bloom.radius', label: 'Radius', min: 0, max: 1, step: 0.05 },
+            { path: 'bloom.threshold', label: 'Threshold', min: 0, max: 1, step: 0.01 }
+        ]
+    },
+    {
+        title: 'Figure art',
+        fields: [
+            { path: 'figure.drawSpeed', label: 'Draw speed', min: 0.5, max: 5, step: 0.1 },
+            { path: 'figure.opacity', label: 'Opacity', min: 0.1, max: 1, step: 0.05 }
+        ]
+    }
+];
+// 模块加载时的值（URL 覆盖之前），设置面板的 Defaults 恢复到这里
+const CONFIG_DEFAULTS = snapshotConfig(CONFIG, CONFIG_SCHEMA);
+
+// === Gesture State ===
+let gestureEngine = null;
+let gestureBindings = null;  // 手势 -> 动作（gesture-bindings.js）
+let bindingsPanel = null;
+let settingsPanel = null;  // ⚙️ CONFIG 设置面板
+let isGestureActive = false;
+let pointerControls = null;
+let unbindKeyboard = null;
+let autoRotate = true;
+let effectContext = null;  // main.js 传入的 init context（切换效果）
+let gestureVelocity = { rotX: 0, rotY: 0, zoom: 0 };
+let highlightedConstellation = null;
+let constellationInfoElement = null;
+let shootingStars = [];
+let shootingStarTimer = null;
+
+// 显示模式：'lines' 连线 | 'figure' 选中星座显示拟物图形
+let displayMode = 'lines';
+let figureDrawing = null;  // { key, startTime } 正在逐笔绘制的图形
+let displayModeButton = null;
+
+// 观测模式：按日期、时间和地点计算恒星时，地平线以下的天空被地面遮住
+let observerMode = false;
+let observer = { latitude: CONFIG.observer.latitude, longitude: CONFIG.observer.longitude };
+let skyTime = Date.now();  // 模拟时间（毫秒）
+let timeSpeed = 1;
+let timePlaying = true;
+let lastFrameTime = 0;
+let lastPanelRefresh = 0;
+let groundGroup = null;
+let skyPanelElement = null;
+let skyModeButton = null;
+
+// 生日星座：查找并转到对应的黄道星座，可按日历顺序切换
+let birthdaySign = null;
+let birthdayPanelElement = null;
+let birthdayButton = null;
+let frameAnimation = null;  // 转向星座的视角动画
+
+// 生命周期状态
+let isRunning = false;
+let isPaused = false;
+
+// ============================================
+// Three.js Scene Initialization
+// ============================================
+
+function initThreeScene(context) {
+    // Initialize DOM elements first
+    initDOMElements();
+    
+    // Scene
+    scene = new THREE.Scene();
+    scene.background = new THREE.Color(0x000511);
+    
+    // Camera
+    camera = new THREE.PerspectiveCamera(
+        CONFIG.camera.fov,
+        window.innerWidth / window.innerHeight,
+        CONFIG.camera.near,
+        CONFIG.camera.far
+    );
+    camera.position.z = CONFIG.camera.initialZ;
+    
+    // Renderer (owned by main.js, shared between effects)
+    renderer = context.renderer;
+    
+    // Star Group
+    starGroup = new THREE.Group();
+    scene.add(starGroup);
+    
+    // 手势旋转 starGroup，天球在其中按初始赤经转到正前方
+    celestialSphere = new THREE.Group();
+    celestialSphere.rotation.y = -CONFIG.sky.centerRA / 12 * Math.PI;
+    starGroup.add(celestialSphere);
+    
+    // Raycaster
+    raycaster = new THREE.Raycaster();
+    raycaster.params.Points.threshold = 0.3;
+    mouse = new THREE.Vector2();
+    
+    // Create scene elements
+    createConstellations();
+    createCatalogStars();
+    createBackgroundStars();
+    createNebulaParticles();
+    createShootingStars();
+    createGround();
+    
+    // Post-processing
+    setupPostProcessing();
+    
+    // Create constellation info display
+    createConstellationInfo();
+    
+    // Lines / figure toggle
+    displayModeButton = addToolbarButton({
+        icon: '🐏',
+        title: 'Show figure art',
+        onClick: toggleDisplayMode
+    });
+    
+    // Observer sky (date / time / location)
+    createSkyPanel();
+    skyModeButton = addToolbarButton({
+        icon: '🔭',
+        title: 'Sky for a date, time and place',
+        onClick: () => setObserverMode(!observerMode)
+    });
+    
+    // Birthday zodiac lookup
+    createBirthdayPanel();
+    birthdayButton = addToolbarButton({
+        icon: '🎂',
+        title: 'Find my zodiac sign',
+        onClick: toggleBirthdayPanel
+    });
+    
+    // Mouse / touch / wheel / keyboard (same actions as the gestures)
+    setupPointerControls();
+    
+    // main.js drives update() every frame
+    isRunning = true;
+    isPaused = false;
+}
+
+// ============================================
+// Constellation System
+// ============================================
+
+function createConstellations() {
+    Object.keys(CONSTELLATIONS).forEach(key => {
+        const constellation = CONSTELLATIONS[key];
+        const catalogStars = constellation.stars.map(starData => {
+            const star = findBrightStar(starData.id);
+            if (!star) {
+                throw new Error(`${constellation.name}: star "${starData.id}" is not in bright-stars.js`);
+            }
+            return star;
+        });
+        
+        const starMeshes = [];
+        catalogStars.forEach((star, starIndex) => {
+            const position = celestialDirection(star.ra, star.dec).multiplyScalar(CONFIG.sky.radius);
+            const size = THREE.MathUtils.clamp(1.8 - star.mag * 0.25, 0.7, 2.0);
+            
+            const starMesh = createStarSprite(size, constellation.color, star.name);
+            starMesh.position.copy(position);
+            starMesh.userData = {
+                constellation: key,
+                starIndex: starIndex,
+                originalPosition: position.clone(),
+                targetPosition: position.clone(),
+                velocity: new THREE.Vector3(0, 0, 0),
+                phase: {
+                    offset: Math.random() * Math.PI * 2,
+                    speed: 0.5 + Math.random() * 1.5,
+                    amplitude: (0.002 + Math.random() * 0.003) * CONFIG.sky.starScale
+                },
+                baseSize: size,
+                name: star.name || star.id
+            };
+            
+            celestialSphere.add(starMesh);
+            starMeshes.push(starMesh);
+            constellationStars.push(starMesh);
+        });
+        
+        const lineMeshes = [];
+        constellation.lines.forEach(([startIdx, endIdx]) => {
+            const line = createConstellationLine(
+                starMeshes[startIdx].position,
+                starMeshes[endIdx].position,
+                constellation.color
+            );
+            line.userData = {
+                constellation: key,
+                startStar: starMeshes[startIdx],
+                endStar: starMeshes[endIdx]
+            };
+            celestialSphere.add(line);
+            lineMeshes.push(line);
+            constellationLines.push(line);
+        });
+        
+        constellationGroups[key] = {
+            center: celestialDirection(constellation.ra, constellation.dec).multiplyScalar(CONFIG.sky.radius),
+            stars: starMeshes,
+            lines: lineMeshes,
+            figure: createConstellationFigure(constellation, fitChartToSky(constellation, catalogStars))
+        };
+    });
+}
+
+// 赤经（小时）/ 赤纬（度）-> 天球上的单位方向
+// 赤经 0h 在正前方 (-z)，赤经增加向东（画面左侧），北天极朝 +y
+function celestialDirection(raHours, decDegrees) {
+    const ra = raHours / 12 * Math.PI;
+    const dec = THREE.MathUtils.degToRad(decDegrees);
+    
+    return new THREE.Vector3(
+        -Math.cos(dec) * Math.sin(ra),
+        Math.sin(dec),
+        -Math.cos(dec) * Math.cos(ra)
+    );
+}
+
+// 星座中心的切平面基向量：west 指向画面右侧，north 指向北
+function tangentBasis(constellation) {
+    const ra = constellation.ra / 12 * Math.PI;
+    const dec = THREE.MathUtils.degToRad(constellation.dec);
+    
+    return {
+        center: celestialDirection(constellation.ra, constellation.dec),
+        west: new THREE.Vector3(Math.cos(ra), 0, -Math.sin(ra)),
+        north: new THREE.Vector3(
+            Math.sin(dec) * Math.sin(ra),
+            Math.cos(dec),
+            Math.sin(dec) * Math.cos(ra)
+        )
+    };
+}
+
+// 用星点的平面图坐标和真实位置拟合相似变换（平移 + 旋转 + 缩放，允许镜像），
+// 返回把平面图坐标（artLines）投影到天球的函数
+function fitChartToSky(constellation, catalogStars) {
+    const { center, west, north } = tangentBasis(constellation);
+    
+    // 真实星点在切平面上的坐标（心射投影）
+    const targets = catalogStars.map(star => {
+        const direction = celestialDirection(star.ra, star.dec);
+        const depth = direction.dot(center);
+        return { u: direction.dot(west) / depth, v: direction.dot(north) / depth };
+    });
+    const sources = constellation.stars.map(star => ({ x: star.x, y: star.y }));
+    
+    const count = sources.length;
+    const sourceMean = { x: 0, y: 0 };
+    const targetMean = { u: 0, v: 0 };
+    for (let i = 0; i < count; i++) {
+        sourceMean.x += sources[i].x / count;
+        sourceMean.y += sources[i].y / count;
+        targetMean.u += targets[i].u / count;
+        targetMean.v += targets[i].v / count;
+    }
+    
+    // 分别计算正向和镜像时的最佳旋转，取残差较小的一个
+    let dot = 0, cross = 0, mirroredDot = 0, mirroredCross = 0, sourceNorm = 0;
+    for (let i = 0; i < count; i++) {
+        const x = sources[i].x - sourceMean.x;
+        const y = sources[i].y - sourceMean.y;
+        const u = targets[i].u - targetMean.u;
+        const v = targets[i].v - targetMean.v;
+        
+        dot += x * u + y * v;
+        cross += x * v - y * u;
+        mirroredDot += -x * u + y * v;
+        mirroredCross += -x * v - y * u;
+        sourceNorm += x * x + y * y;
+    }
+    
+    const mirrored = Math.hypot(mirroredDot, mirroredCross) > Math.hypot(dot, cross);
+    const a = mirrored ? mirroredDot : dot;
+    const b = mirrored ? mirroredCross : cross;
+    const cos = a / sourceNorm;  // 已包含缩放
+    const sin = b / sourceNorm;
+    const flip = mirrored ? -1 : 1;
+    
+    return (x, y) => {
+        const sx = (x - sourceMean.x) * flip;
+        const sy = y - sourceMean.y;
+        const u = targetMean.u + cos * sx - sin * sy;
+        const v = targetMean.v + sin * sx + cos * sy;
+        
+        return center.clone()
+            .addScaledVector(west, u)
+            .addScaledVector(north, v)
+            .normalize()
+            .multiplyScalar(CONFIG.sky.radius);
+    };
+}
+
+function createStarSprite(size, color, name) {
+    const canvas2d = document.createElement('canvas');
+    canvas2d.width = 64;
+    canvas2d.height = 64;
+    const ctx = canvas2d.getContext('2d');
+    
+    const gradient = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
+    const colorObj = new THREE.Color(color);
+    
+    gradient.addColorStop(0, '#ffffff');
+    gradient.addColorStop(0.1, `rgb(${Math.floor(colorObj.r * 255)}, ${Math.floor(colorObj.g * 255)}, ${Math.floor(colorObj.b * 255)})`);
+    gradient.addColorStop(0.4, `rgba(${Math.floor(colorObj.r * 255)}, ${Math.floor(colorObj.g * 255)}, ${Math.floor(colorObj.b * 255)}, 0.5)`);
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 64, 64);
+    
+    if (size > 1.2) {
+        ctx.strokeStyle = `rgba(255, 255, 255, 0.3)`;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(32, 8);
+        ctx.lineTo(32, 56);
+        ctx.moveTo(8, 32);
+        ctx.lineTo(56, 32);
+        ctx.stroke();
+    }
+    
+    const texture = new THREE.CanvasTexture(canvas2d);
+    const material = new THREE.SpriteMaterial({
+        map: texture,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+    });
+    
+    const sprite = new THREE.Sprite(material);
+    const scale = size * 0.5 * CONFIG.sky.starScale;
+    sprite.scale.set(scale, scale, 1);
+    
+    return sprite;
+}
+
+function createConstellationLine(start, end, color) {
+    const points = [start.clone(), end.clone()];
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    
+    const material = new THREE.LineBasicMaterial({
+        color: color,
+        transparent: true,
+        opacity: 0.3,
+        blending: THREE.AdditiveBlending
+    });
+    
+    return new THREE.Line(geometry, material);
+}
+
+// ============================================
+// Constellation Figures (artLines)
+// ============================================
+
+// 每条 artLines 路径生成一条线，按累计长度依次绘制
+function createConstellationFigure(constellation, project) {
+    const figure = new THREE.Group();
+    figure.visible = false;
+    
+    let totalLength = 0;
+    constellation.artLines.forEach(path => {
+        // 在平面图上重采样（笔画速度按平面图长度计），再投影到天球
+        const points = resamplePath(
+            path.map(point => new THREE.Vector3(point.x, point.y, 0)),
+            CONFIG.figure.sampleStep
+        );
+        
+        const geometry = new THREE.BufferGeometry().setFromPoints(
+            points.map(point => project(point.x, point.y))
+        );
+        geometry.setDrawRange(0, 0);
+        
+        const material = new THREE.LineBasicMaterial({
+            color: constellation.color,
+            transparent: true,
+            opacity: CONFIG.figure.opacity,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+        
+        const length = (points.length - 1) * CONFIG.figure.sampleStep;
+        const stroke = new THREE.Line(geometry, material);
+        stroke.userData = { start: totalLength, length, pointCount: points.length };
+        totalLength += length;
+        
+        figure.add(stroke);
+    });
+    
+    figure.userData = { totalLength };
+    celestialSphere.add(figure);
+    return figure;
+}
+
+// 把折线重采样成近似等距的点，drawRange 增长时笔画速度均匀
+function resamplePath(points, step) {
+    const result = [points[0].clone()];
+    
+    for (let i = 1; i < points.length; i++) {
+        const start = points[i - 1];
+        const end = points[i];
+        const segments = Math.max(1, Math.round(start.distanceTo(end) / step));
+        
+        for (let s = 1; s <= segments; s++) {
+            result.push(start.clone().lerp(end, s / segments));
+        }
+    }
+    
+    return result;
+}
+
+function showFigure(key, time) {
+    const figure = constellationGroups[key].figure;
+    figure.children.forEach(stroke => stroke.geometry.setDrawRange(0, 0));
+    figure.visible = true;
+    figureDrawing = { key, startTime: time };
+}
+
+function hideFigures() {
+    Object.values(constellationGroups).forEach(group => {
+        group.figure.visible = false;
+    });
+    figureDrawing = null;
+}
+
+function updateFigureDrawing(time) {
+    if (!figureDrawing) return;
+    
+    const figure = constellationGroups[figureDrawing.key].figure;
+    const { totalLength } = figure.userData;
+    const speed = Math.max(CONFIG.figure.drawSpeed, totalLength / CONFIG.figure.maxDrawTime);
+    const drawn = (time - figureDrawing.startTime) * speed;
+    
+    figure.children.forEach(stroke => {
+        const { start, length, pointCount } = stroke.userData;
+        const progress = length > 0 ? THREE.MathUtils.clamp((drawn - start) / length, 0, 1) : (drawn >= start ? 1 : 0);
+        stroke.geometry.setDrawRange(0, Math.ceil(progress * pointCount));
+    });
+    
+    if (drawn >= totalLength) {
+        figureDrawing = null;
+    }
+}
+
+// 选中星座：更新信息面板，图形模式下重新绘制拟物图
+function selectConstellation(key) {
+    highlightedConstellation = key;
+    hideFigures();
+    
+    if (!key) {
+        hideConstellationInfo();
+        return;
+    }
+    
+    showConstellationInfo(key);
+    if (displayMode === 'figure') {
+        showFigure(key, performance.now() * 0.001);
+    }
+}
+
+function toggleDisplayMode() {
+    displayMode = displayMode === 'lines' ? 'figure' : 'lines';
+    
+    displayModeButton.classList.toggle('active', displayMode === 'figure');
+    displayModeButton.title = displayMode === 'figure' ? 'Show stick lines' : 'Show figure art';
+    
+    // 重新应用当前选中星座
+    selectConstellation(highlightedConstellation);
+    
+    console.log(displayMode === 'figure' ? '🎨 Figure art' : '✨ Stick lines');
+}
+
+function updateConstellationLines() {
+    constellationLines.forEach(line => {
+        const positions = line.geometry.attributes.position.array;
+        const startStar = line.userData.startStar;
+        const endStar = line.userData.endStar;
+        
+        positions[0] = startStar.position.x;
+        positions[1] = startStar.position.y;
+        positions[2] = startStar.position.z;
+        positions[3] = endStar.position.x;
+        positions[4] = endStar.position.y;
+        positions[5] = endStar.position.z;
+        
+        line.geometry.attributes.position.needsUpdate = true;
+    });
+}
+
+// ============================================
+// Catalog Stars (bright-stars.js)
+// ============================================
+
+// B-V 色指数 -> 恒星颜色（蓝白 → 白 → 黄 → 橙红）
+const BV_COLORS = [
+    { bv: -0.4, color: new THREE.Color(0.61, 0.70, 1.0) },
+    { bv: 0.0, color: new THREE.Color(0.80, 0.85, 1.0) },
+    { bv: 0.4, color: new THREE.Color(1.0, 0.98, 0.95) },
+    { bv: 0.8, color: new THREE.Color(1.0, 0.90, 0.72) },
+    { bv: 1.2, color: new THREE.Color(1.0, 0.80, 0.55) },
+    { bv: 1.6, color: new THREE.Color(1.0, 0.70, 0.42) },
+    { bv: 2.0, color: new THREE.Color(1.0, 0.60, 0.32) },
+];
+
+function colorFromBV(bv) {
+    if (bv <= BV_COLORS[0].bv) return BV_COLORS[0].color.clone();
+    
+    for (let i = 1; i < BV_COLORS.length; i++) {
+        const next = BV_COLORS[i];
+        if (bv <= next.bv) {
+            const previous = BV_COLORS[i - 1];
+            const t = (bv - previous.bv) / (next.bv - previous.bv);
+            return previous.color.clone().lerp(next.color, t);
+        }
+    }
+    
+    return BV_COLORS[BV_COLORS.length - 1].color.clone();
+}
+
+// 星表恒星（星座星点以精灵单独绘制，这里跳过）
+function createCatalogStars() {
+    const { limitingMagnitude, baseSize, sizeGrowth } = CONFIG.catalog;
+    
+    const constellationIds = new Set();
+    Object.values(CONSTELLATIONS).forEach(constellation => {
+        constellation.stars.forEach(star => constellationIds.add(star.id));
+    });
+    
+    const stars = BRIGHT_STARS.filter(star =>
+        star.mag <= limitingMagnitude && !constellationIds.has(star.id)
+    );
+    
+    const geometry = new THREE.BufferGeometry();
+    const positions = new Float32Array(stars.length * 3);
+    const colors = new Float32Array(stars.length * 3);
+    const sizes = new Float32Array(stars.length);
+    const randoms = new Float32Array(stars.length);
+    
+    stars.forEach((star, i) => {
+        const position = celestialDirection(star.ra, star.dec).multiplyScalar(CONFIG.sky.radius);
+        positions[i * 3] = position.x;
+        positions[i * 3 + 1] = position.y;
+        positions[i * 3 + 2] = position.z;
+        
+        const color = colorFromBV(star.bv);
+        colors[i * 3] = color.r;
+        colors[i * 3 + 1] = color.g;
+        colors[i * 3 + 2] = color.b;
+        
+        // 亮度每差 1 等，大小按对数比例变化
+        sizes[i] = baseSize * Math.pow(10, sizeGrowth * (limitingMagnitude - star.mag));
+        randoms[i] = 0.7 + Math.random() * 0.3;  // 星表恒星保持较高亮度
+    });
+    
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('aColor', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('aSize', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('aRandom', new THREE.BufferAttribute(randoms, 1));
+    
+    celestialSphere.add(new THREE.Points(geometry, createStarMaterial()));
+}
+
+// ============================================
+// Background Stars
+// ============================================
+
+function createBackgroundStars() {
+    const { radius } = CONFIG.starField;
+    const count = scaleCount(CONFIG.starField.count);  // 按画质档位缩放（quality-manager.js）
+    
+    const geometry = new THREE.BufferGeometry();
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const sizes = new Float32Array(count);
+    const randoms = new Float32Array(count);
+    
+    for (let i = 0; i < count; i++) {
+        const theta = Math.random() * Math.PI * 2;
+        const phi = Math.acos(2 * Math.random() - 1);
+        const r = radius * (0.5 + Math.random() * 0.5);
+        
+        positions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
+        positions[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
+        positions[i * 3 + 2] = r * Math.cos(phi);
+        
+        const colorChoice = Math.random();
+        if (colorChoice < 0.6) {
+            colors[i * 3] = 1.0;
+            colors[i * 3 + 1] = 1.0;
+            colors[i * 3 + 2] = 1.0;
+        } else if (colorChoice < 0.8) {
+            colors[i * 3] = 0.7 + Math.random() * 0.3;
+            colors[i * 3 + 1] = 0.8 + Math.random() * 0.2;
+            colors[i * 3 + 2] = 1.0;
+        } else {
+            colors[i * 3] = 1.0;
+            colors[i * 3 + 1] = 0.8 + Math.random() * 0.2;
+            colors[i * 3 + 2] = 0.5 + Math.random() * 0.3;
+        }
+        
+        sizes[i] = 0.3 + Math.random() * 0.9;
+        randoms[i] = Math.random();
+    }
+    
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('aColor', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('aSize', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('aRandom', new THREE.BufferAttribute(randoms, 1));
+    
+    backgroundStars = new THREE.Points(geometry, createStarMaterial());
+    celestialSphere.add(backgroundStars);
+}
+
+// 星表恒星和背景星共用的闪烁星点材质（共享 starUniforms）
+function createStarMaterial() {
+    if (!starUniforms) {
+        starUniforms = {
+            uTime: { value: 0 },
+            uPixelRatio: { value: renderer.getPixelRatio() }
+        };
+    }
+    
+    return new THREE.ShaderMaterial({
+        vertexShader: `
+            uniform float uTime;
+            uniform float uPixelRatio;
+            attribute vec3 aColor;
+            attribute float aSize;
+            attribute float aRandom;
+            varying vec3 vColor;
+            varying float vAlpha;
+            
+            void main() {
+                vColor = aColor;
+                
+                vec4 modelPosition = modelMatrix * vec4(position, 1.0);
+                vec4 viewPosition = viewMatrix * modelPosition;
+                vec4 projectedPosition = projectionMatrix * viewPosition;
+                gl_Position = projectedPosition;
+                
+                float twinkle = sin(uTime * (1.0 + aRandom * 2.0) + aRandom * 6.28) * 0.4 + 0.6;
+                vAlpha = twinkle * (0.4 + aRandom * 0.6);
+                
+                gl_PointSize = aSize * uPixelRatio * twinkle * (100.0 / -viewPosition.z);
+            }
+        `,
+        fragmentShader: `
+            varying vec3 vColor;
+            varying float vAlpha;
+            
+            void main() {
+                vec2 center = gl_PointCoord - vec2(0.5);
+                float dist = length(center);
+                if (dist > 0.5) discard;
+                
+                float alpha = 1.0 - smoothstep(0.0, 0.5, dist);
+                alpha = pow(alpha, 1.5);
+                
+                gl_FragColor = vec4(vColor, alpha * vAlpha);
+            }
+        `,
+        uniforms: starUniforms,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+    });
+}
+
+// ============================================
+// Nebula Particles
+// ============================================
+
+function createNebulaParticles() {
+    const count = 150;
+    
+    const geometry = new THREE.BufferGeometry();
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const sizes = new Float32Array(count);
+    const randoms = new Float32Array(count);
+    
+    const nebulaColors = [
+        new THREE.Color(0x4B0082),
+        new THREE.Color(0x8A2BE2),
+        new THREE.Color(0x9370DB),
+        new THREE.Color(0x1E90FF),
+        new THREE.Color(0xFF69B4),
+        new THREE.Color(0x00CED1),
+    ];
+    
+    for (let i = 0; i < count; i++) {
+        // 分布在天球之外的球壳上
+        const theta = Math.random() * Math.PI * 2;
+        const phi = Math.acos(2 * Math.random() - 1);
+        const r = CONFIG.sky.radius * (1.5 + Math.random() * 0.75);
+        
+        positions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
+        positions[i * 3 + 1] = r * Math.cos(phi);
+        positions[i * 3 + 2] = r * Math.sin(phi) * Math.sin(theta);
+        
+        const color = nebulaColors[Math.floor(Math.random() * nebulaColors.length)];
+        colors[i * 3] = color.r;
+        colors[i * 3 + 1] = color.g;
+        colors[i * 3 + 2] = color.b;
+        
+        sizes[i] = 6 + Math.random() * 15;
+        randoms[i] = Math.random();
+    }
+    
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('aColor', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('aSize', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('aRandom', new THREE.BufferAttribute(randoms, 1));
+    
+    bgUniforms = {
+        uTime: { value: 0 },
+        uPixelRatio: { value: renderer.getPixelRatio() }
+    };
+    
+    const material = new THREE.ShaderMaterial({
+        vertexShader: `
+            uniform float uTime;
+            uniform float uPixelRatio;
+            attribute vec3 aColor;
+            attribute float aSize;
+            attribute float aRandom;
+            varying vec3 vColor;
+            varying float vAlpha;
+            
+            void main() {
+                vColor = aColor;
+                
+                vec4 modelPosition = modelMatrix * vec4(position, 1.0);
+                vec4 viewPosition = viewMatrix * modelPosition;
+                vec4 projectedPosition = projectionMatrix * viewPosition;
+                gl_Position = projectedPosition;
+                
+                float pulse = sin(uTime * 0.3 + aRandom * 6.28) * 0.3 + 0.7;
+                vAlpha = pulse * 0.15;
+                
+                gl_PointSize = aSize * uPixelRatio * pulse * (150.0 / -viewPosition.z);
+            }
+        `,
+        fragmentShader: `
+            varying vec3 vColor;
+            varying float vAlpha;
+            
+            void main() {
+                vec2 center = gl_PointCoord - vec2(0.5);
+                float dist = length(center);
+                if (dist > 0.5) discard;
+                
+                float alpha = 1.0 - smoothstep(0.0, 0.5, dist);
+                alpha = pow(alpha, 2.0);
+                
+                gl_FragColor = vec4(vColor, alpha * vAlpha);
+            }
+        `,
+        uniforms: bgUniforms,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+    });
+    
+    bgParticles = new THREE.Points(geometry, material);
+    scene.add(bgParticles);
+}
+
+// ============================================
+// Shooting Stars
+// ============================================
+
+function createShootingStars() {
+    shootingStarTimer = setInterval(() => {
+        // 每 2 秒 30% 的概率（按画质档位增减）
+        if (Math.random() < 0.3 * getQuality().shootingStars) {
+            createShootingStar();
+        }
+    }, 2000);
+}
+
+function createShootingStar() {
+    const geometry = new THREE.BufferGeometry();
+    const positions = new Float32Array(30 * 3);
+    
+    // 从前方天球上方划过（天球内侧，离相机约 25-35）
+    const startX = (Math.random() - 0.5) * 50;
+    const startY = 12 + Math.random() * 8;
+    const startZ = -25 - Math.random() * 10;
+    
+    const direction = new THREE.Vector3(
+        (Math.random() - 0.5) * 2,
+        -1,
+        (Math.random() - 0.5)
+    ).normalize();
+    
+    for (let i = 0; i < 30; i++) {
+        positions[i * 3] = startX;
+        positions[i * 3 + 1] = startY;
+        positions[i * 3 + 2] = startZ;
+    }
+    
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    
+    const material = new THREE.LineBasicMaterial({
+        color: 0xFFFFFF,
+        transparent: true,
+        opacity: 0.8,
+        blending: THREE.AdditiveBlending
+    });
+    
+    const line = new THREE.Line(geometry, material);
+    line.userData = {
+        startPos: new THREE.Vector3(startX, startY, startZ),
+        direction: direction,
+        speed: 0.5 + Math.random() * 0.3,
+        progress: 0,
+        life: 1.0
+    };
+    
+    scene.add(line);
+    shootingStars.push(line);
+}
+
+function updateShootingStars() {
+    for (let i = shootingStars.length - 1; i >= 0; i--) {
+        const star = shootingStars[i];
+        const data = star.userData;
+        data.progress += data.speed * 0.05;
+        data.life -= 0.02;
+        
+        if (data.life <= 0) {
+            scene.remove(star);
+            star.geometry.dispose();
+            star.material.dispose();
+            shootingStars.splice(i, 1);
+            continue;
+        }
+        
+        const positions = star.geometry.attributes.position.array;
+        for (let j = 29; j > 0; j--) {
+            positions[j * 3] = positions[(j - 1) * 3];
+            positions[j * 3 + 1] = positions[(j - 1) * 3 + 1];
+            positions[j * 3 + 2] = positions[(j - 1) * 3 + 2];
+        }
+        
+        positions[0] = data.startPos.x + data.direction.x * data.progress * 40;
+        positions[1] = data.startPos.y + data.direction.y * data.progress * 40;
+        positions[2] = data.startPos.z + data.direction.z * data.progress * 40;
+        
+        star.geometry.attributes.position.needsUpdate = true;
+        star.material.opacity = data.life * 0.8;
+    }
+}
+
+// ============================================
+// Constellation Info Display
+// ============================================
+
+function createConstellationInfo() {
+    constellationInfoElement = document.createElement('div');
+    constellationInfoElement.id = 'constellation-info';
+    constellationInfoElement.style.cssText = `
+        position: fixed;
+        bottom: 100px;
+        left: 50%;
+        transform: translateX(-50%);
+        background: rgba(0, 0, 20, 0.8);
+        border: 1px solid rgba(135, 206, 235, 0.5);
+        border-radius: 10px;
+        padding: 15px 25px;
+        color: white;
+        font-family: 'Segoe UI', Arial, sans-serif;
+        text-align: center;
+        opacity: 0;
+        transition: opacity 0.3s ease;
+        pointer-events: none;
+        z-index: 100;
+    `;
+    document.body.appendChild(constellationInfoElement);
+}
+
+function showConstellationInfo(constellation) {
+    if (!constellationInfoElement) return;
+    
+    const data = CONSTELLATIONS[constellation];
+    const brightest = data.stars
+        .map(star => findBrightStar(star.id))
+        .reduce((best, star) => (star.mag < best.mag ? star : best));
+    constellationInfoElement.innerHTML = `
+        <div style="font-size: 24px; margin-bottom: 5px;">${data.symbol} ${data.nameCN}</div>
+        <div style="font-size: 14px; color: rgba(255,255,255,0.7);">${data.name}</div>
+        <div style="font-size: 12px; color: rgba(135,206,235,0.8); margin-top: 8px;">
+            ⭐ ${data.stars.length} stars · ${formatConstellationDates(data)}
+        </div>
+        <div style="font-size: 12px; color: rgba(255,255,255,0.6); margin-top: 4px;">
+            ✨ ${brightest.name || brightest.id} (${brightest.mag.toFixed(2)} mag)
+        </div>
+    `;
+    constellationInfoElement.appendChild(drawFigurePreview(data));
+    constellationInfoElement.style.opacity = '1';
+}
+
+// 信息面板中的拟物图缩略图
+function drawFigurePreview(data) {
+    const width = 160;
+    const height = 100;
+    const padding = 8;
+    
+    const canvas2d = document.createElement('canvas');
+    canvas2d.width = width;
+    canvas2d.height = height;
+    canvas2d.style.cssText = 'display: block; margin: 8px auto 0;';
+    const ctx = canvas2d.getContext('2d');
+    
+    const points = data.artLines.flat().concat(data.stars);
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const minX = Math.min(...xs), maxX = Math.max(...xs);
+    const minY = Math.min(...ys), maxY = Math.max(...ys);
+    const scale = Math.min(
+        (width - padding * 2) / Math.max(maxX - minX, 0.01),
+        (height - padding * 2) / Math.max(maxY - minY, 0.01)
+    );
+    const toCanvas = point => [
+        width / 2 + (point.x - (minX + maxX) / 2) * scale,
+        height / 2 - (point.y - (minY + maxY) / 2) * scale
+    ];
+    
+    ctx.strokeStyle = `#${new THREE.Color(data.color).getHexString()}`;
+    ctx.lineWidth = 1.2;
+    data.artLines.forEach(path => {
+        ctx.beginPath();
+        path.forEach((point, i) => {
+            const [x, y] = toCanvas(point);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    });
+    
+    ctx.fillStyle = '#ffffff';
+    data.stars.forEach(star => {
+        const [x, y] = toCanvas(star);
+        ctx.beginPath();
+        ctx.arc(x, y, 2, 0, Math.PI * 2);
+        ctx.fill();
+    });
+    
+    return canvas2d;
+}
+
+function hideConstellationInfo() {
+    if (constellationInfoElement) {
+        constellationInfoElement.style.opacity = '0';
+    }
+}
+
+// ============================================
+// Observer Sky (date / time / location)
+// ============================================
+
+// 格林尼治平恒星时 -> 本地恒星时（小时）
+function localSiderealTime(timeMs, longitude) {
+    const julianDate = timeMs / 86400000 + 2440587.5;
+    const gmst = 280.46061837 + 360.98564736629 * (julianDate - 2451545.0);
+    const lst = ((gmst + longitude) % 360 + 360) % 360;
+    return lst / 15;
+}
+
+// 地面半球 + 地平线 + 方位标记（南 = -z，东 = -x，天顶 = +y）
+function createGround() {
+    const radius = CONFIG.sky.radius * 0.95;
+    
+    groundGroup = new THREE.Group();
+    groundGroup.visible = false;
+    
+    // 下半球：遮住地平线以下的星星（先于透明星点渲染并写入深度）
+    const ground = new THREE.Mesh(
+        new THREE.SphereGeometry(radius, 48, 16, 0, Math.PI * 2, Math.PI / 2, Math.PI / 2),
+        new THREE.MeshBasicMaterial({ color: 0x03060d, side: THREE.BackSide })
+    );
+    groundGroup.add(ground);
+    
+    const horizonPoints = [];
+    for (let i = 0; i <= 128; i++) {
+        const angle = (i / 128) * Math.PI * 2;
+        horizonPoints.push(new THREE.Vector3(Math.cos(angle) * radius, 0.05, Math.sin(angle) * radius));
+    }
+    const horizon = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(horizonPoints),
+        new THREE.LineBasicMaterial({ color: 0x87ceeb, transparent: true, opacity: 0.35 })
+    );
+    groundGroup.add(horizon);
+    
+    const cardinals = [
+        { label: 'N', position: new THREE.Vector3(0, 1, radius * 0.9) },
+        { label: 'E', position: new THREE.Vector3(-radius * 0.9, 1, 0) },
+        { label: 'S', position: new THREE.Vector3(0, 1, -radius * 0.9) },
+        { label: 'W', position: new THREE.Vector3(radius * 0.9, 1, 0) },
+    ];
+    cardinals.forEach(({ label, position }) => {
+        const sprite = createLabelSprite(label);
+        sprite.position.copy(position);
+        groundGroup.add(sprite);
+    });
+    
+    starGroup.add(groundGroup);
+}
+
+function createLabelSprite(text) {
+    const canvas2d = document.createElement('canvas');
+    canvas2d.width = 64;
+    canvas2d.height = 64;
+    const ctx = canvas2d.getContext('2d');
+    
+    ctx.fillStyle = 'rgba(135, 206, 235, 0.9)';
+    ctx.font = 'bold 40px Segoe UI, Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, 32, 32);
+    
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas2d),
+        transparent: true,
+        depthWrite: false
+    }));
+    sprite.scale.set(2.5, 2.5, 1);
+    
+    return sprite;
+}
+
+// 观测模式：天球 = R_x(90° - 纬度) · R_y(-恒星时)，让天极指向北方地平线上方纬度处
+function applySkyOrientation() {
+    if (observerMode) {
+        const lst = localSiderealTime(skyTime, observer.longitude);
+        const colatitude = Math.PI / 2 - THREE.MathUtils.degToRad(observer.latitude);
+        celestialSphere.rotation.set(colatitude, -lst / 12 * Math.PI, 0);
+    } else {
+        celestialSphere.rotation.set(0, -CONFIG.sky.centerRA / 12 * Math.PI, 0);
+    }
+}
+
+function setObserverMode(enabled) {
+    observerMode = enabled;
+    
+    groundGroup.visible = enabled;
+    skyPanelElement.classList.toggle('open', enabled);
+    skyModeButton.classList.toggle('active', enabled);
+    
+    // 面朝正南、略微抬头；关闭后恢复自由旋转的星空
+    starGroup.rotation.set(enabled ? CONFIG.observer.viewTilt : 0, 0, 0);
+    gestureVelocity = { rotX: 0, rotY: 0, zoom: 0 };
+    autoRotate = !enabled;
+    
+    applySkyOrientation();
+    refreshSkyPanel();
+    
+    console.log(enabled ? '🔭 Observer sky' : '🌌 Free sky');
+}
+
+// 星点在地平线以上（观测模式之外总是可见）
+function isAboveHorizon(object) {
+    if (!observerMode) return true;
+    
+    const position = object.getWorldPosition(new THREE.Vector3());
+    return starGroup.worldToLocal(position).y > 0;
+}
+
+function advanceSkyTime(deltaSeconds) {
+    if (!observerMode || !timePlaying) return;
+    
+    skyTime += deltaSeconds * 1000 * timeSpeed;
+    applySkyOrientation();
+    
+    // 面板读数不必每帧刷新
+    if (performance.now() - lastPanelRefresh > 250) {
+        refreshSkyPanel();
+    }
+}
+
+function createSkyPanel() {
+    skyPanelElement = addToolbarPanel('sky-panel', `
+        <div class="panel-row">
+            <input type="date" data-field="date">
+            <input type="time" data-field="time" step="60">
+        </div>
+        <div class="panel-row">
+            <label>Lat <input type="number" data-field="latitude" min="-90" max="90" step="0.1"></label>
+            <label>Lon <input type="number" data-field="longitude" min="-180" max="180" step="0.1"></label>
+        </div>
+        <div class="panel-row">
+            <button data-action="now">Now</button>
+            <button data-action="play"></button>
+            <select data-field="speed">
+                ${CONFIG.observer.speeds.map(speed => `<option value="${speed}">${speed}×</option>`).join('')}
+            </select>
+        </div>
+        <div class="panel-note" data-field="readout"></div>
+        <style>
+            #sky-panel input[type="number"] {
+                width: 70px;
+            }
+        </style>
+    `);
+    
+    const field = name => skyPanelElement.querySelector(`[data-field="${name}"]`);
+    
+    // 日期、时间按浏览器本地时区解释
+    const onTimeInput = () => {
+        const time = new Date(`${field('date').value}T${field('time').value || '00:00'}`).getTime();
+        if (!Number.isNaN(time)) {
+            skyTime = time;
+            applySkyOrientation();
+            refreshSkyPanel();
+        }
+    };
+    field('date').addEventListener('change', onTimeInput);
+    field('time').addEventListener('change', onTimeInput);
+    
+    const onLocationInput = () => {
+        const latitude = parseFloat(field('latitude').value);
+        const longitude = parseFloat(field('longitude').value);
+        if (Number.isFinite(latitude)) observer.latitude = THREE.MathUtils.clamp(latitude, -90, 90);
+        if (Number.isFinite(longitude)) observer.longitude = THREE.MathUtils.clamp(longitude, -180, 180);
+        applySkyOrientation();
+        refreshSkyPanel();
+    };
+    field('latitude').addEventListener('change', onLocationInput);
+    field('longitude').addEventListener('change', onLocationInput);
+    
+    field('speed').addEventListener('change', () => {
+        timeSpeed = Number(field('speed').value);
+    });
+    
+    skyPanelElement.querySelector('[data-action="now"]').addEventListener('click', () => {
+        skyTime = Date.now();
+        timeSpeed = 1;
+        timePlaying = true;
+        applySkyOrientation();
+        refreshSkyPanel();
+    });
+    
+    skyPanelElement.querySelector('[data-action="play"]').addEventListener('click', () => {
+        timePlaying = !timePlaying;
+        refreshSkyPanel();
+    });
+}
+
+// 把当前状态写回面板（正在编辑的输入框除外）
+function refreshSkyPanel() {
+    if (!skyPanelElement) return;
+    lastPanelRefresh = performance.now();
+    
+    const field = name => skyPanelElement.querySelector(`[data-field="${name}"]`);
+    const setValue = (name, value) => {
+        const element = field(name);
+        if (document.activeElement !== element) {
+            element.value = value;
+        }
+    };
+    
+    const date = new Date(skyTime);
+    const pad = value => String(value).padStart(2, '0');
+    setValue('date', `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`);
+    setValue('time', `${pad(date.getHours())}:${pad(date.getMinutes())}`);
+    setValue('latitude', observer.latitude);
+    setValue('longitude', observer.longitude);
+    setValue('speed', timeSpeed);
+    
+    skyPanelElement.querySelector('[data-action="play"]').textContent = timePlaying ? '⏸' : '▶';
+    
+    const lst = localSiderealTime(skyTime, observer.longitude);
+    const lstHours = Math.floor(lst);
+    const lstMinutes = Math.floor((lst - lstHours) * 60);
+    field('readout').textContent = `Local sidereal time ${pad(lstHours)}:${pad(lstMinutes)}`;
+}
+
+// ============================================
+// Birthday Zodiac
+// ============================================
+
+function createBirthdayPanel() {
+    birthdayPanelElement = addToolbarPanel('birthday-panel', `
+        <div class="panel-row">
+            <input type="date" data-field="birthday">
+            <button data-action="find">Find my sign</button>
+        </div>
+        <div class="panel-row">
+            <button data-action="prev">◀</button>
+            <span data-field="sign" style="flex: 1; text-align: center;"></span>
+            <button data-action="next">▶</button>
+        </div>
+        <div class="panel-note" data-field="note">Enter a birthday, or browse the twelve signs</div>
+    `);
+    
+    const field = name => birthdayPanelElement.querySelector(`[data-field="${name}"]`);
+    
+    birthdayPanelElement.querySelector('[data-action="find"]').addEventListener('click', () => {
+        // 只用月、日（年份任意）
+        const [, month, day] = field('birthday').value.split('-').map(Number);
+        const key = month && day ? findZodiacByDate(month, day) : null;
+        
+        if (key) {
+            showBirthdaySign(key);
+        } else {
+            field('note').textContent = 'Please pick a valid date';
+        }
+    });
+    
+    birthdayPanelElement.querySelector('[data-action="prev"]').addEventListener('click', () => cycleBirthdaySign(-1));
+    birthdayPanelElement.querySelector('[data-action="next"]').addEventListener('click', () => cycleBirthdaySign(1));
+}
+
+function toggleBirthdayPanel() {
+    const open = !birthdayPanelElement.classList.contains('open');
+    birthdayPanelElement.classList.toggle('open', open);
+    birthdayButton.classList.toggle('active', open);
+    
+    // 关闭面板后恢复自动旋转
+    if (!open) {
+        birthdaySign = null;
+        frameAnimation = null;
+    }
+}
+
+function showBirthdaySign(key) {
+    const data = CONSTELLATIONS[key];
+    birthdaySign = key;
+    
+    selectConstellation(key);
+    frameConstellation(key);
+    
+    birthdayPanelElement.querySelector('[data-field="sign"]').textContent = `${data.symbol} ${data.nameCN} ${data.name}`;
+    birthdayPanelElement.querySelector('[data-field="note"]').textContent = formatConstellationDates(data);
+    
+    console.log(`🎂 ${data.symbol} ${data.name}`);
+}
+
+// 按日历顺序切换到上一个 / 下一个黄道星座
+function cycleBirthdaySign(step) {
+    const count = ZODIAC_CALENDAR_ORDER.length;
+    const index = ZODIAC_CALENDAR_ORDER.indexOf(birthdaySign);
+    const next = index === -1
+        ? (step > 0 ? 0 : count - 1)
+        : (index + step + count) % count;
+    
+    showBirthdaySign(ZODIAC_CALENDAR_ORDER[next]);
+}
+
+// 转动 starGroup，让星座中心位于画面正中
+function frameConstellation(key) {
+    const direction = constellationGroups[key].center.clone()
+        .applyQuaternion(celestialSphere.quaternion)
+        .normalize();
+    
+    // starGroup 先绕 y 轴（偏航）再绕 x 轴（俯仰）把 direction 转到 -z
+    const yaw = -Math.atan2(-direction.x, -direction.z);
+    const pitch = -Math.atan2(direction.y, Math.hypot(direction.x, direction.z));
+    
+    // 偏航走最短路径
+    let deltaYaw = (yaw - starGroup.rotation.y) % (Math.PI * 2);
+    if (deltaYaw > Math.PI) deltaYaw -= Math.PI * 2;
+    if (deltaYaw < -Math.PI) deltaYaw += Math.PI * 2;
+    
+    frameAnimation = {
+        from: { x: starGroup.rotation.x, y: starGroup.rotation.y, z: starGroup.rotation.z },
+        to: { x: THREE.MathUtils.clamp(pitch, -0.8, 0.8), y: starGroup.rotation.y + deltaYaw, z: 0 },  // 同时消除双手侧倾
+        startTime: performance.now() * 0.001,
+        duration: 1.2
+    };
+    gestureVelocity = { rotX: 0, rotY: 0, zoom: 0 };
+}
+
+function updateFrameAnimation(time) {
+    if (!frameAnimation) return;
+    
+    // 手势接管视角时放弃动画
+    if (isGestureActive) {
+        frameAnimation = null;
+        return;
+    }
+    
+    const { from, to, startTime, duration } = frameAnimation;
+    const progress = Math.min((time - startTime) / duration, 1);
+    const eased = 1 - Math.pow(1 - progress, 3);
+    
+    starGroup.rotation.x = from.x + (to.x - from.x) * eased;
+    starGroup.rotation.y = from.y + (to.y - from.y) * eased;
+    starGroup.rotation.z = from.z + (to.z - from.z) * eased;
+    if (to.zoom !== undefined) {
+        camera.position.z = from.zoom + (to.zoom - from.zoom) * eased;
+    }
+    
+    if (progress >= 1) {
+        frameAnimation = null;
+    }
+}
+
+// ============================================
+// Post-Processing
+// ============================================
+
+function setupPostProcessing() {
+    // 渲染到效果自己的渲染目标，由 main.js 合成到屏幕（支持切换过渡）
+    composer = new EffectComposer(renderer);
+    composer.renderToScreen = false;
+    
+    const renderPass = new RenderPass(scene, camera);
+    composer.addPass(renderPass);
+    
+    bloomPass = new UnrealBloomPass(
+        new THREE.Vector2(window.innerWidth, window.innerHeight),
+        CONFIG.bloom.strength,
+        CONFIG.bloom.radius,
+        CONFIG.bloom.threshold
+    );
+    composer.addPass(bloomPass);
+    applyComposerQuality(composer, bloomPass);
+}
+
+// ============================================
+// Animation Loop
+// ============================================
+
+// 每帧由 main.js 调用：更新动画并渲染到 composer 的渲染目标
+export function update() {
+    if (!isRunning || isPaused) return;
+    
+    const time = performance.now() * 0.001;
+    // 限制帧间隔，页面恢复后模拟时间不会跳跃
+    const deltaSeconds = lastFrameTime ? Math.min(time - lastFrameTime, 0.1) : 0;
+    lastFrameTime = time;
+    
+    if (starUniforms) starUniforms.uTime.value = time;
+    if (bgUniforms) bgUniforms.uTime.value = time;
+    
+    advanceSkyTime(deltaSeconds);
+    applyGestureInertia();
+    updateFrameAnimation(time);
+    updateConstellationStars(time);
+    updateConstellationLines();
+    updateFigureDrawing(time);
+    updateShootingStars();
+    
+    if (autoRotate && starGroup && !observerMode && !birthdaySign) {
+        starGroup.rotation.y += 0.0005;
+    }
+    
+    if (composer) {
+        composer.render();
+    }
+}
+
+function updateConstellationStars(time) {
+    constellationStars.forEach(star => {
+        const data = star.userData;
+        
+        const twinkle = Math.sin(time * data.phase.speed + data.phase.offset) * 0.3 + 0.7;
+        const scale = data.baseSize * 0.5 * CONFIG.sky.starScale * twinkle;
+        star.scale.set(scale, scale, 1);
+        
+        if (!isScattered) {
+            const offset = Math.sin(time * data.phase.speed * 0.5 + data.phase.offset) * data.phase.amplitude;
+            star.position.x = data.targetPosition.x + offset;
+            star.position.y = data.targetPosition.y + Math.cos(time * data.phase.speed * 0.3 + data.phase.offset) * data.phase.amplitude;
+        }
+        
+        if (highlightedConstellation && data.constellation === highlightedConstellation) {
+            star.scale.multiplyScalar(1.3);
+            star.material.opacity = 1.0;
+        }
+    });
+    
+    constellationLines.forEach(line => {
+        if (highlightedConstellation && line.userData.constellation === highlightedConstellation) {
+            // 图形模式下由拟物图取代连线
+            line.material.opacity = displayMode === 'figure' ? 0.1 : 0.8;
+        } else {
+            line.material.opacity = 0.3;
+        }
+    });
+}
+
+function applyGestureInertia() {
+    if (!isGestureActive) {
+        if (Math.abs(gestureVelocity.rotX) > 0.0001 || Math.abs(gestureVelocity.rotY) > 0.0001) {
+            starGroup.rotation.x += gestureVelocity.rotX;
+            starGroup.rotation.y += gestureVelocity.rotY;
+            
+            gestureVelocity.rotX *= 0.95;
+            gestureVelocity.rotY *= 0.95;
+            
+            starGroup.rotation.x = Math.max(-0.8, Math.min(0.8, starGroup.rotation.x));
+        }
+        
+        if (Math.abs(gestureVelocity.zoom) > 0.001) {
+            camera.position.z += gestureVelocity.zoom;
+            camera.position.z = Math.max(CONFIG.camera.minZ, Math.min(CONFIG.camera.maxZ, camera.position.z));
+            gestureVelocity.zoom *= 0.92;
+        }
+    }
+}
+
+// ============================================
+// Interaction
+// ============================================
+
+// 点击 / 轻触选择星座
+function selectAtPoint(clientX, clientY) {
+    mouse.x = (clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(clientY / window.innerHeight) * 2 + 1;
+    
+    raycaster.setFromCamera(mouse, camera);
+    const intersects = raycaster.intersectObjects(constellationStars)
+        .filter(hit => isAboveHorizon(hit.object));
+    
+    if (intersects.length > 0) {
+        const clickedStar = intersects[0].object;
+        const constellation = clickedStar.userData.constellation;
+        
+        selectConstellation(highlightedConstellation === constellation ? null : constellation);
+    } else {
+        selectConstellation(null);
+    }
+}
+
+function scatterStars() {
+    isScattered = true;
+    autoRotate = false;
+    
+    constellationStars.forEach(star => {
+        const data = star.userData;
+        data.velocity = new THREE.Vector3(
+            (Math.random() - 0.5) * 0.1,
+            (Math.random() - 0.5) * 0.1,
+            (Math.random() - 0.5) * 0.1
+        );
+    });
+}
+
+function gatherStars() {
+    isScattered = false;
+    
+    constellationStars.forEach(star => {
+        const data = star.userData;
+        data.velocity = new THREE.Vector3(0, 0, 0);
+    });
+}
+
+function toggleScatter() {
+    if (isScattered) {
+        gatherStars();
+        console.log('⭐ Gathering stars...');
+    } else {
+        scatterStars();
+        console.log('💫 Scattering stars!');
+    }
+}
+
+// 沿 z 轴移动相机（负数拉近），限制在 CONFIG.camera 范围内
+function zoomCamera(deltaZ) {
+    camera.position.z += deltaZ;
+    camera.position.z = Math.max(CONFIG.camera.minZ, Math.min(CONFIG.camera.maxZ, camera.position.z));
+}
+
+// 平滑回到初始视角（观测模式下回到面朝正南）
+function resetView() {
+    frameAnimation = {
+        from: { x: starGroup.rotation.x, y: starGroup.rotation.y, z: starGroup.rotation.z, zoom: camera.position.z },
+        to: {
+            x: observerMode ? CONFIG.observer.viewTilt : 0,
+            y: Math.round(starGroup.rotation.y / (Math.PI * 2)) * Math.PI * 2,
+            z: 0,
+            zoom: CONFIG.camera.initialZ
+        },
+        startTime: performance.now() * 0.001,
+        duration: 0.8
+    };
+    gestureVelocity = { rotX: 0, rotY: 0, zoom: 0 };
+}
+
+// 最近一帧的渲染结果（供 main.js 合成和过渡混合）
+export function getOutputTexture() {
+    return composer ? composer.readBuffer.texture : null;
+}
+
+// ============================================
+// Window Resize Handler
+// ============================================
+
+// 由 main.js 在共享渲染器尺寸变化后调用
+export function resize(width, height) {
+    if (!isRunning) return;
+    
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    
+    composer.setSize(width, height);
+    applyComposerQuality(composer, bloomPass);
+    
+    updatePixelRatio();
+}
+
+// 点的大小跟随共享渲染器的像素比
+function updatePixelRatio() {
+    if (starUniforms) starUniforms.uPixelRatio.value = renderer.getPixelRatio();
+    if (bgUniforms) bgUniforms.uPixelRatio.value = renderer.getPixelRatio();
+}
+
+// ⚡ 画质档位改变后由 main.js 调用：bloom 分辨率立即生效，背景星数量变化时重建
+// （流星的概率在每次生成时读取）
+export function applyQuality() {
+    if (!isRunning) return;
+    
+    updatePixelRatio();
+    applyComposerQuality(composer, bloomPass);
+    
+    if (backgroundStars.geometry.attributes.position.count !== scaleCount(CONFIG.starField.count)) {
+        disposeObject3D(backgroundStars);
+        createBackgroundStars();
+    }
+}
+
+// ============================================
+// MediaPipe Hands Integration
+// ============================================
+
+export function onResults(results) {
+    if (!isRunning || isPaused) return;
+    
+    canvasCtx.save();
+    canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
+    // 回放录制数据时没有摄像头画面
+    if (results.image) {
+        canvasCtx.drawImage(results.image, 0, 0, canvasElement.width, canvasElement.height);
+    }
+    
+    if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
+        // MediaPipe 没有加载时回放录制数据，drawing_utils 不存在
+        if (typeof drawConnectors === 'function') {
+            for (const landmarks of results.multiHandLandmarks) {
+                drawConnectors(canvasCtx, landmarks, HAND_CONNECTIONS, { color: '#00FF00', lineWidth: 2 });
+                drawLandmarks(canvasCtx, landmarks, { color: '#FF0000', lineWidth: 1 });
+            }
+        }
+        
+        handleGestures(results.multiHandLandmarks);
+    } else {
+        gestureEngine.update(null);
+        cursor.classList.add('hidden');
+    }
+    
+    canvasCtx.restore();
+}
+
+// ============================================
+// Gesture Recognition & Control
+// ============================================
+
+function setupGestureEngine() {
+    gestureEngine = createGestureEngine({ gestures: CONFIG.gestures });
+    gestureBindings = createGestureBindings({
+        id: 'starry',
+        engine: gestureEngine,
+        actions: createGestureActions(),
+        defaults: CONFIG.gestureBindings
+    });
+    bindingsPanel = createBindingsPanel(gestureBindings, 'starry');
+    
+    gestureEngine.on('start', onGestureStart);
+    gestureEngine.on('end', onGestureEnd);
+}
+
+// ============================================
+// Settings Panel (live CONFIG changes)
+// ============================================
+
+function setupSettingsPanel() {
+    settingsPanel = createSettingsPanel({
+        id: 'starry',
+        config: CONFIG,
+        schema: CONFIG_SCHEMA,
+        defaults: CONFIG_DEFAULTS,
+        onChange: (groups, overrides) => {
+            applySettings(groups);
+            effectContext.updateConfigOverrides(overrides);
+        }
+    });
+}
+
+// 设置面板修改后调用：bloom 直接更新，图形参数在下次绘制时生效，背景星按需重建
+function applySettings(groups) {
+    bloomPass.strength = CONFIG.bloom.strength;
+    bloomPass.radius = CONFIG.bloom.radius;
+    bloomPass.threshold = CONFIG.bloom.threshold;
+    
+    if (groups.includes('starField')) {
+        disposeObject3D(backgroundStars);
+        createBackgroundStars();
+    }
+}
+
+function handleGestures(hands) {
+    const hand = gestureEngine.update(hands);
+    
+    const screenX = hand.position.x * window.innerWidth;
+    const screenY = hand.position.y * window.innerHeight;
+    cursor.style.left = `${screenX}px`;
+    cursor.style.top = `${screenY}px`;
+    cursor.classList.remove('hidden');
+    
+    checkConstellationHover(screenX, screenY);
+}
+
+// 可绑定到手势的动作（gesture-bindings.js）：start 触发一次，hold 每帧，end 松开时
+function createGestureActions() {
+    return {
+        rotate: {
+            label: 'Rotate sky + distance zoom',
+            hold: hand => {
+                const { delta, swiping } = hand;
+                applyHandDistanceZoom(camera, CONFIG.camera, hand, CONFIG.handZoomSensitivity, getActiveCalibration());
+                if (swiping) return;  // 快速挥手是 swipe，不转动星空
+                
+                autoRotate = false;
+                isGestureActive = true;
+                rotateSky(delta);
+            }
+        },
+        zoom: {
+            label: 'Zoom (move up / down)',
+            hold: ({ delta }) => {
+                autoRotate = false;
+                isGestureActive = true;
+                
+                const zoomDelta = -delta.y * 10;
+                zoomCamera(zoomDelta);
+                gestureVelocity.zoom = zoomDelta;
+            }
+        },
+        // 聚合散开的星星，保持期间可以旋转
+        gather: {
+            label: 'Gather stars + rotate',
+            start: () => {
+                if (isScattered) {
+                    gatherStars();
+                }
+            },
+            hold: ({ delta }) => rotateSky(delta)
+        },
+        scatter: {
+            label: 'Scatter / gather stars',
+            start: toggleScatter
+        },
+        displayMode: {
+            label: 'Stick lines / figure art',
+            start: toggleDisplayMode
+        },
+        // 双手张开/合拢缩放，转动双手让星空侧倾（只对双手手势有效）
+        twoHandZoom: {
+            label: 'Zoom + roll (two hands)',
+            hold: ({ twoHands }) => {
+                if (!twoHands) return;
+                
+                autoRotate = false;
+                isGestureActive = true;
+                
+                const zoomDelta = -twoHands.spreadDelta * 30;
+                zoomCamera(zoomDelta);
+                gestureVelocity.zoom = zoomDelta;
+                
+                starGroup.rotation.z -= twoHands.twistDelta;
+            }
+        },
+        nextConstellation: {
+            label: 'Next constellation',
+            start: () => cycleConstellation(1)
+        },
+        previousConstellation: {
+            label: 'Previous constellation',
+            start: () => cycleConstellation(-1)
+        },
+        observerMode: {
+            label: 'Observer sky on / off',
+            start: () => setObserverMode(!observerMode)
+        },
+        resetView: {
+            label: 'Reset view',
+            start: resetView
+        },
+        calibrate: {
+            label: 'Recalibrate hand distance',
+            start: () => effectContext.startCalibration()
+        },
+        ...createCaptureActions(),
+        nextEffect: {
+            label: 'Next effect',
+            start: () => effectContext.cycleEffect(1)
+        },
+        previousEffect: {
+            label: 'Previous effect',
+            start: () => effectContext.cycleEffect(-1)
+        }
+    };
+}
+
+// 持续控制的手势显示按下的光标
+function onGestureStart({ gesture }) {
+    const action = gestureBindings.getAction(gesture);
+    if (action && action.hold) {
+        cursor.classList.add('active');
+    }
+}
+
+function onGestureEnd() {
+    cursor.classList.remove('active');
+    isGestureActive = false;
+    autoRotate = true;
+}
+
+// 按星座列表顺序选中上一个 / 下一个星座，并转到画面中央
+function cycleConstellation(step) {
+    const keys = Object.keys(CONSTELLATIONS);
+    const index = keys.indexOf(highlightedConstellation);
+    const next = index === -1
+        ? (step > 0 ? 0 : keys.length - 1)
+        : (index + step + keys.length) % keys.length;
+    
+    selectConstellation(keys[next]);
+    frameConstellation(keys[next]);
+}
+
+function rotateSky(delta) {
+    const rotDeltaY = delta.x * 5;
+    const rotDeltaX = delta.y * 3;
+    
+    starGroup.rotation.y += rotDeltaY;
+    starGroup.rotation.x += rotDeltaX;
+    
+    gestureVelocity.rotX = rotDeltaX;
+    gestureVelocity.rotY = rotDeltaY;
+    
+    starGroup.rotation.x = Math.max(-0.8, Math.min(0.8, starGroup.rotation.x));
+}
+
+// ============================================
+// Pointer & Keyboard Controls
+// ============================================
+
+function setupPointerControls() {
+    pointerControls = createPointerControls(canvas, {
+        // 拖动旋转星空，松开后与手势相同的惯性
+        onDragStart: () => {
+            autoRotate = false;
+            isGestureActive = true;
+        },
+        onDrag: rotateSky,
+        onDragEnd: () => {
+            isGestureActive = false;
+            autoRotate = true;
+        },
+        onZoom: amount => zoomCamera(-amount * 1.5),
+        onTap: selectAtPoint
+    });
+    
+    unbindKeyboard = bindKeyboardShortcuts({
+        s: toggleScatter,
+        l: toggleDisplayMode,
+        o: () => setObserverMode(!observerMode),
+        r: resetView,
+        ArrowLeft: () => rotateSky({ x: -0.02, y: 0 }),
+        ArrowRight: () => rotateSky({ x: 0.02, y: 0 }),
+        ArrowUp: () => rotateSky({ x: 0, y: -0.02 }),
+        ArrowDown: () => rotateSky({ x: 0, y: 0.02 }),
+        '+': () => zoomCamera(-1.5),
+        '=': () => zoomCamera(-1.5),
+        '-': () => zoomCamera(1.5)
+    });
+}
+
+function checkConstellationHover(screenX, screenY) {
+    mouse.x = (screenX / window.innerWidth) * 2 - 1;
+    mouse.y = -(screenY / window.innerHeight) * 2 + 1;
+    
+    raycaster.setFromCamera(mouse, camera);
+    const intersects = raycaster.intersectObjects(constellationStars)
+        .filter(hit => isAboveHorizon(hit.object));
+    
+    if (intersects.length > 0) {
+        const hoveredStar = intersects[0].object;
+        const constellation = hoveredStar.userData.constellation;
+        
+        if (highlightedConstellation !== constellation) {
+            selectConstellation(constellation);
+        }
+    }
+}
+
+// ============================================
+// View State (URL hash, see url-state.js)
+// ============================================
+
+// 当前视角，main.js 定期写入地址栏（null 的字段不写）
+export function getViewState() {
+    return {
+        z: roundState(camera.position.z),
+        rx: roundState(starGroup.rotation.x),
+        ry: roundState(THREE.MathUtils.euclideanModulo(starGroup.rotation.y, Math.PI * 2)),
+        constellation: highlightedConstellation,
+        mode: displayMode === 'figure' ? 'figure' : null,
+        scattered: isScattered ? true : null,
+        observer: observerMode ? true : null,
+        spin: autoRotate ? null : 0  // 0 = 停止自动旋转（固定的构图）
+    };
+}
+
+// 星座 key 或英文名（不区分大小写）-> key，例如 'Orion' -> 'orion'
+function findConstellationKey(name) {
+    if (typeof name !== 'string') return null;
+    
+    const search = name.toLowerCase();
+    const key = Object.keys(CONSTELLATIONS).find(candidate => {
+        return candidate.toLowerCase() === search || CONSTELLATIONS[candidate].name.toLowerCase() === search;
+    });
+    return key || null;
+}
+
+// 恢复链接中的视角，缺少的字段按默认（连线模式、自由星空、自动旋转）
+export function applyViewState(view) {
+    frameAnimation = null;
+    gestureVelocity = { rotX: 0, rotY: 0, zoom: 0 };
+    
+    // 观测模式会重设 starGroup 的旋转，先切换
+    if (Boolean(view.observer) !== observerMode) {
+        setObserverMode(Boolean(view.observer));
+    }
+    
+    if (typeof view.z === 'number') {
+        camera.position.z = Math.max(CONFIG.camera.minZ, Math.min(CONFIG.camera.maxZ, view.z));
+    }
+    if (typeof view.rx === 'number') {
+        starGroup.rotation.x = Math.max(-0.8, Math.min(0.8, view.rx));
+    }
+    if (typeof view.ry === 'number') {
+        starGroup.rotation.y = view.ry;
+    }
+    
+    if ((view.mode === 'figure') !== (displayMode === 'figure')) {
+        toggleDisplayMode();
+    }
+    selectConstellation(findConstellationKey(view.constellation));
+    if (Boolean(view.scattered) !== isScattered) {
+        toggleScatter();
+    }
+    
+    autoRotate = view.spin !== 0 && !observerMode;
+}
+
+// ============================================
+// Lifecycle (exported for main.js)
+// ============================================
+
+export function init(context) {
+    effectContext = context;
+    initThreeScene(context);
+    setupGestureEngine();
+    setupSettingsPanel();
+    
+    console.log('🌟 Starry Night V2 initialized!');
+    console.log('Constellations:');
+    Object.keys(CONSTELLATIONS).forEach(key => {
+        console.log(`  ⭐ ${CONSTELLATIONS[key].nameCN} (${CONSTELLATIONS[key].name})`);
+    });
+    console.log('Gestures:');
+    console.log('  ✋ Open Palm - Rotate view + Distance zoom');
+    console.log('  ☝️ Point - Highlight constellation');
+    console.log('  🤏 Pinch - Zoom in/out');
+    console.log('  ✊ Fist - Gather scattered stars');
+    console.log('  ✌️ V-Sign - Scatter / Gather stars');
+    console.log('  🙌 Two hands - Spread/squeeze to zoom, twist to roll the sky');
+    console.log('  👏 Clap (hold 1s) - Take a photo after a countdown');
+    console.log('  🫶 Heart (two hands) - Toggle stick lines / figure art');
+    console.log('  👋 Swipe - Left / right: next / previous constellation, up / down: switch effect');
+    console.log('  🖱️ Click - Select constellation');
+    console.log('  🖱️ Drag - Rotate view (with inertia), Wheel / two-finger pinch - Zoom');
+    console.log('  ⌨️ S - Scatter / Gather, L - Lines / figure, O - Observer sky, R - Reset view, Arrows - Rotate, +/- - Zoom, P - Photo, V - Video clip');
+    console.log('  🐏 Toolbar - Toggle stick lines / figure art');
+    console.log('  🔭 Toolbar - Sky for a date, time and location');
+    console.log('  🎂 Toolbar - Find your zodiac sign by birthday');
+}
+
+// 暂停更新和流星定时器
+export function pause() {
+    if (!isRunning || isPaused) return;
+    
+    isPaused = true;
+    if (shootingStarTimer !== null) {
+        clearInterval(shootingStarTimer);
+        shootingStarTimer = null;
+    }
+    
+    cursor.classList.add('hidden');
+    isGestureActive = false;
+    
+    if (gestureEngine) {
+        gestureEngine.reset();
+    }
+}
+
+export function resume() {
+    if (!isRunning || !isPaused) return;
+    
+    isPaused = false;
+    createShootingStars();
+}
+
+// 释放场景资源、监听器、定时器和信息面板
+export function dispose() {
+    if (!isRunning) return;
+    
+    pause();
+    isRunning = false;
+    isPaused = false;
+    
+    pointerControls.dispose();
+    unbindKeyboard();
+    gestureBindings.dispose();
+    bindingsPanel.dispose();
+    settingsPanel.dispose();
+    
+    disposeObject3D(scene);
+    disposeComposer(composer);
+    
+    if (constellationInfoElement) {
+        constellationInfoElement.remove();
+        constellationInfoElement = null;
+    }
+    removeToolbarButton(displayModeButton);
+    removeToolbarButton(skyModeButton);
+    removeToolbarButton(birthdayButton);
+    if (birthdayPanelElement) {
+        birthdayPanelElement.remove();
+        birthdayPanelElement = null;
+    }
+    if (skyPanelElement) {
+        skyPanelElement.remove();
+        skyPanelElement = null;
+    }
+    
+    cursor.classList.remove('active');
+    resetState();
+    
+    console.log('🌟 Starry Night disposed');
+}
+
+function resetState() {
+    scene = camera = renderer = composer = bloomPass = null;
+    backgroundStars = null;
+    starGroup = null;
+    celestialSphere = null;
+    bgParticles = null;
+    starUniforms = bgUniforms = null;
+    raycaster = mouse = null;
+    
+    constellationGroups = {};
+    constellationStars = [];
+    constellationLines = [];
+    shootingStars = [];
+    
+    isScattered = false;
+    grabbedConstellation = null;
+    highlightedConstellation = null;
+    displayMode = 'lines';
+    figureDrawing = null;
+    displayModeButton = null;
+    
+    observerMode = false;
+    observer = { latitude: CONFIG.observer.latitude, longitude: CONFIG.observer.longitude };
+    skyTime = Date.now();
+    timeSpeed = 1;
+    timePlaying = true;
+    lastFrameTime = 0;
+    lastPanelRefresh = 0;
+    groundGroup = null;
+    skyModeButton = null;
+    
+    birthdaySign = null;
+    birthdayButton = null;
+    frameAnimation = null;
+    
+    autoRotate = true;
+    effectContext = null;
+    isGestureActive = false;
+    gestureEngine = null;
+    gestureBindings = bindingsPanel = settingsPanel = null;
+    pointerControls = null;
+    unbindKeyboard = null;
+    gestureVelocity = { rotX: 0, rotY: 0, zoom: 0 };
+}
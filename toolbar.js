@@ -0,0 +1,148 @@
+// ============================================
+// Effect Toolbar
+// Small round buttons in the top-left corner, with panels
+// stacked below them; effects add both on init() and remove them on dispose()
+// ============================================
+
+let toolbar = null;
+let panelContainer = null;
+
+function ensureToolbar() {
+    if (toolbar) return toolbar;
+    
+    toolbar = document.createElement('div');
+    toolbar.id = 'effect-toolbar';
+    document.body.appendChild(toolbar);
+    
+    panelContainer = document.createElement('div');
+    panelContainer.id = 'effect-toolbar-panels';
+    document.body.appendChild(panelContainer);
+    
+    const style = document.createElement('style');
+    style.textContent = `
+        #effect-toolbar {
+            position: fixed;
+            top: 20px;
+            left: 20px;
+            display: flex;
+            gap: 10px;
+            z-index: 1000;
+        }
+        
+        .toolbar-btn {
+            width: 44px;
+            height: 44px;
+            border-radius: 50%;
+            border: 2px solid rgba(255, 255, 255, 0.3);
+            background: rgba(0, 0, 0, 0.5);
+            color: white;
+            font-size: 20px;
+            cursor: pointer;
+            transition: all 0.3s ease;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+        }
+        
+        .toolbar-btn:hover {
+            border-color: rgba(255, 255, 255, 0.8);
+            transform: scale(1.1);
+            background: rgba(0, 0, 0, 0.7);
+        }
+        
+        .toolbar-btn.active {
+            border-color: rgba(135, 206, 235, 0.9);
+            box-shadow: 0 0 12px rgba(135, 206, 235, 0.5);
+            background: rgba(135, 206, 235, 0.2);
+        }
+        
+        #effect-toolbar-panels {
+            position: fixed;
+            top: 80px;
+            left: 20px;
+            display: flex;
+            flex-direction: column;
+            gap: 10px;
+            z-index: 1000;
+        }
+        
+        .toolbar-panel {
+            display: none;
+            background: rgba(0, 0, 20, 0.8);
+            border: 1px solid rgba(135, 206, 235, 0.5);
+            border-radius: 10px;
+            padding: 12px 14px;
+            color: white;
+            font-family: 'Segoe UI', Arial, sans-serif;
+            font-size: 13px;
+        }
+        
+        .toolbar-panel.open {
+            display: block;
+        }
+        
+        .toolbar-panel .panel-row {
+            display: flex;
+            gap: 8px;
+            align-items: center;
+            margin-bottom: 8px;
+        }
+        
+        .toolbar-panel input,
+        .toolbar-panel select,
+        .toolbar-panel button {
+            background: rgba(255, 255, 255, 0.1);
+            border: 1px solid rgba(135, 206, 235, 0.4);
+            border-radius: 6px;
+            color: white;
+            padding: 4px 6px;
+            font-size: 13px;
+        }
+        
+        .toolbar-panel button {
+            cursor: pointer;
+        }
+        
+        .toolbar-panel .panel-label {
+            min-width: 110px;
+        }
+        
+        .toolbar-panel .panel-note {
+            color: rgba(135, 206, 235, 0.8);
+            font-size: 12px;
+        }
+    `;
+    document.head.appendChild(style);
+    
+    return toolbar;
+}
+
+// 添加一个按钮，返回按钮元素（效果 dispose 时调用 removeToolbarButton）
+export function addToolbarButton({ icon, title, onClick }) {
+    const button = document.createElement('button');
+    button.className = 'toolbar-btn';
+    button.title = title;
+    button.textContent = icon;
+    button.addEventListener('click', onClick);
+    
+    ensureToolbar().appendChild(button);
+    return button;
+}
+
+// 在工具栏下方添加一个面板（默认隐藏，toggle class 'open' 显示）
+export function addToolbarPanel(id, html) {
+    const panel = document.createElement('div');
+    panel.id = id;
+    panel.className = 'toolbar-panel';
+    panel.innerHTML = html;
+    
+    ensureToolbar();
+    panelContainer.appendChild(panel);
+    return panel;
+}
+
+export function removeToolbarButton(button) {
+    if (button) {
+        button.remove();
+    }
+}
@@ -0,0 +1,114 @@
+// ============================================
+// Fetch Offline Assets
+// Downloads three.js (+ the addons the effects use), MediaPipe Hands
+// (scripts, wasm and model files) and the default photos into the
+// project, so venue machines can run the app without internet.
+//
+// Usage (Node 18+, run once on a machine that is online):
+//   node tools/fetch-offline-assets.mjs
+// ============================================
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const JSDELIVR_API = 'https://data.jsdelivr.com/v1/packages/npm/';
+const JSDELIVR_CDN = 'https://cdn.jsdelivr.net/npm/';
+
+// target 与 boot.js（THREE_SOURCES）和 main.js（MEDIAPIPE_LOCAL）中的本地路径一致
+// include: 只下载以这些路径开头的文件
+const PACKAGES = [
+    {
+        name: 'three',
+        version: '0.160.0',  // 与 boot.js 中的 CDN 版本一致
+        target: 'vendor/three',
+        include: [
+            '/build/three.module.js',
+            '/examples/jsm/postprocessing/',
+            '/examples/jsm/shaders/',
+            '/examples/jsm/misc/'
+        ]
+    },
+    // main.js 使用未指定版本的 MediaPipe（即 latest）
+    { name: '@mediapipe/hands', version: 'latest', target: 'vendor/mediapipe/hands', include: ['/'] },
+    { name: '@mediapipe/camera_utils', version: 'latest', target: 'vendor/mediapipe/camera_utils', include: ['/'] },
+    { name: '@mediapipe/drawing_utils', version: 'latest', target: 'vendor/mediapipe/drawing_utils', include: ['/'] }
+];
+
+// 与 script.js getPhotoEntries 的 seed 一致（从 100 开始）；数量取设置面板中
+// photos.defaultCount 的最大值，调大默认照片数量时离线也有图片
+const PHOTOS = {
+    firstSeed: 100,
+    count: 40,
+    target: 'assets/photos'
+};
+
+async function fetchOk(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText} - ${url}`);
+    }
+    return response;
+}
+
+async function download(url, file) {
+    const response = await fetchOk(url);
+    const path = join(ROOT, file);
+    
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, Buffer.from(await response.arrayBuffer()));
+}
+
+// 'latest' 等标签 -> 具体版本号（同一个包的文件必须来自同一版本）
+async function resolveVersion(name, specifier) {
+    const response = await fetchOk(`${JSDELIVR_API}${name}/resolved?specifier=${specifier}`);
+    const { version } = await response.json();
+    
+    if (!version) {
+        throw new Error(`Unknown version ${name}@${specifier}`);
+    }
+    return version;
+}
+
+async function listFiles(name, version) {
+    const response = await fetchOk(`${JSDELIVR_API}${name}@${version}?structure=flat`);
+    const { files } = await response.json();
+    return files.map(file => file.name);
+}
+
+async function fetchPackage({ name, version, target, include }) {
+    const resolved = await resolveVersion(name, version);
+    const files = (await listFiles(name, resolved)).filter(file => {
+        return include.some(prefix => file.startsWith(prefix));
+    });
+    
+    console.log(`📦 ${name}@${resolved} (${files.length} files) -> ${target}/`);
+    
+    for (const file of files) {
+        await download(`${JSDELIVR_CDN}${name}@${resolved}${file}`, `${target}${file}`);
+    }
+}
+
+async function fetchPhotos({ firstSeed, count, target }) {
+    console.log(`🖼️ ${count} default photos -> ${target}/`);
+    
+    for (let seed = firstSeed; seed < firstSeed + count; seed++) {
+        await download(`https://picsum.photos/seed/${seed}/200/200`, `${target}/${seed}.jpg`);
+    }
+}
+
+async function main() {
+    for (const pkg of PACKAGES) {
+        await fetchPackage(pkg);
+    }
+    await fetchPhotos(PHOTOS);
+    
+    console.log('✅ Offline assets ready - the app now runs without internet');
+}
+
+main().catch(error => {
+    console.error('❌ Failed to fetch offline assets:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,101 @@
+// ============================================
+// Transition Compositor
+// Draws the active effect's render target to the screen and
+// blends two effects together while switching
+// ============================================
+
+import * as THREE from 'three';
+
+// 过渡样式（与着色器中的 uStyle 对应）
+export const TRANSITION_STYLES = {
+    crossfade: 0,  // 交叉淡化
+    wipe: 1,  // 左→右擦除
+    radial: 2,  // 中心向外的径向溶解
+};
+
+const vertexShader = `
+    varying vec2 vUv;
+    
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+const fragmentShader = `
+    uniform sampler2D tFrom;
+    uniform sampler2D tTo;
+    uniform float uProgress;
+    uniform int uStyle;
+    uniform float uAspect;
+    varying vec2 vUv;
+    
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+    
+    void main() {
+        vec4 fromColor = texture2D(tFrom, vUv);
+        vec4 toColor = texture2D(tTo, vUv);
+        float mask = uProgress;
+        
+        if (uStyle == 1) {
+            // 擦除：带柔和边缘的竖直分界线
+            float edge = 0.15;
+            float position = uProgress * (1.0 + edge) - edge;
+            mask = 1.0 - smoothstep(position, position + edge, vUv.x);
+        } else if (uStyle == 2) {
+            // 径向溶解：从中心扩散，边缘带噪点颗粒
+            vec2 centered = (vUv - 0.5) * vec2(uAspect, 1.0);
+            float dist = length(centered) / length(vec2(uAspect, 1.0) * 0.5);
+            float noise = hash(floor(vUv * 180.0)) * 0.25;
+            float radius = uProgress * 1.35;
+            mask = 1.0 - smoothstep(radius - 0.25, radius, dist + noise);
+        }
+        
+        gl_FragColor = mix(fromColor, toColor, mask);
+    }
+`;
+
+let renderer, scene, camera, quad, uniforms;
+
+export function initCompositor(sharedRenderer) {
+    renderer = sharedRenderer;
+    scene = new THREE.Scene();
+    camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    
+    uniforms = {
+        tFrom: { value: null },
+        tTo: { value: null },
+        uProgress: { value: 1 },
+        uStyle: { value: TRANSITION_STYLES.crossfade },
+        uAspect: { value: window.innerWidth / window.innerHeight }
+    };
+    
+    const material = new THREE.ShaderMaterial({
+        vertexShader,
+        fragmentShader,
+        uniforms,
+        depthTest: false,
+        depthWrite: false
+    });
+    
+    quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+    quad.frustumCulled = false;
+    scene.add(quad);
+}
+
+// 把 toTexture（或 fromTexture → toTexture 的过渡混合）绘制到屏幕
+export function renderComposite(fromTexture, toTexture, progress = 1, style = 'crossfade') {
+    uniforms.tFrom.value = fromTexture || toTexture;
+    uniforms.tTo.value = toTexture;
+    uniforms.uProgress.value = fromTexture ? progress : 1;
+    uniforms.uStyle.value = TRANSITION_STYLES[style] ?? TRANSITION_STYLES.crossfade;
+    
+    renderer.setRenderTarget(null);
+    renderer.render(scene, camera);
+}
+
+export function setCompositorSize(width, height) {
+    uniforms.uAspect.value = width / height;
+}
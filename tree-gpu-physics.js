@@ -0,0 +1,196 @@
+// ============================================
+// Tree GPU Physics
+// The tree particle simulation (return force towards the tree /
+// sphere / heart targets, turbulence phases, damping, max speed and
+// the explosion) on the GPU with position / velocity textures, so
+// the tree can run 100k+ particles. Same rules as the CPU version in
+// script.js (updateParticlePhysics)
+// ============================================
+
+import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+
+const SHAPES = { tree: 0, sphere: 1, heart: 2 };
+
+const velocityShader = `
+    uniform float uTime;
+    uniform float uShape;
+    uniform float uExploded;
+    uniform float uExplode;
+    uniform float uSeed;
+    uniform float uForce;
+    uniform float uTurbulence;
+    uniform float uGravity;
+    uniform float uDamping;
+    uniform float uMaxSpeed;
+    uniform sampler2D tTree;
+    uniform sampler2D tSphere;
+    uniform sampler2D tHeart;
+    uniform sampler2D tPhase;
+    uniform sampler2D tAmplitude;
+    
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+    
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec3 position = texture2D(texturePosition, uv).xyz;
+        vec3 velocity = texture2D(textureVelocity, uv).xyz;
+        
+        // 爆炸的那一帧：随机方向，向上为主
+        if (uExplode > 0.5) {
+            velocity = vec3(
+                (hash(uv + uSeed) - 0.5) * 0.15,
+                hash(uv + uSeed + 1.7) * 0.1 + 0.05,
+                (hash(uv + uSeed + 3.1) - 0.5) * 0.15
+            );
+        }
+        
+        if (uExploded < 0.5) {
+            vec3 target = uShape < 0.5 ? texture2D(tTree, uv).xyz
+                : uShape < 1.5 ? texture2D(tSphere, uv).xyz
+                : texture2D(tHeart, uv).xyz;
+            velocity += (target - position) * uForce;
+            
+            // phase: offset, speedX, speedY, speedZ；amplitude: x, y, z
+            vec4 phase = texture2D(tPhase, uv);
+            vec3 amplitude = texture2D(tAmplitude, uv).xyz;
+            velocity.x += sin(uTime * phase.y + phase.x) * amplitude.x * uTurbulence;
+            velocity.y += cos(uTime * phase.z + phase.x * 1.3) * amplitude.y * uTurbulence;
+            velocity.z += sin(uTime * phase.w + phase.x * 0.7) * amplitude.z * uTurbulence;
+        } else {
+            velocity.y += uGravity;
+        }
+        
+        velocity *= uDamping;
+        
+        float speed = length(velocity);
+        if (speed > uMaxSpeed) {
+            velocity *= uMaxSpeed / speed;
+        }
+        
+        gl_FragColor = vec4(velocity, 1.0);
+    }
+`;
+
+const positionShader = `
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec3 position = texture2D(texturePosition, uv).xyz;
+        vec3 velocity = texture2D(textureVelocity, uv).xyz;
+        
+        gl_FragColor = vec4(position + velocity, 1.0);
+    }
+`;
+
+// 与 GPUComputationRenderer.init() 相同的检查：浮点纹理和顶点着色器纹理
+// （script.js 在创建粒子前据此决定粒子数量上限）
+export function isGpuPhysicsSupported(renderer) {
+    if (!renderer.capabilities.isWebGL2 && !renderer.extensions.has('OES_texture_float')) return false;
+    return renderer.capabilities.maxVertexTextures > 0;
+}
+
+// 每个粒子 itemSize 个分量的数组写入 RGBA 浮点纹理（纹理比粒子数多出的像素保持 0）
+function arrayTexture(gpu, array, itemSize) {
+    const texture = gpu.createTexture();
+    const data = texture.image.data;
+    const count = array.length / itemSize;
+    
+    for (let i = 0; i < count; i++) {
+        for (let j = 0; j < itemSize; j++) {
+            data[i * 4 + j] = array[i * itemSize + j];
+        }
+    }
+    return texture;
+}
+
+// 与 CPU 物理相同的 Float32Array（每个粒子 xyz，phases 为 offset / speedX / speedY / speedZ）：
+// positions 初始位置，velocities 初始速度，amplitudes 湍流幅度，targets 三种形状的目标位置
+// 返回 { references, update(params), explode(), dispose }，不支持 GPU 模拟时返回 null
+export function createGpuParticlePhysics(renderer, { positions, velocities, phases, amplitudes, targets }) {
+    const count = positions.length / 3;
+    const size = Math.ceil(Math.sqrt(count));
+    const gpu = new GPUComputationRenderer(size, size, renderer);
+    
+    const positionTexture = arrayTexture(gpu, positions, 3);
+    const velocityTexture = arrayTexture(gpu, velocities, 3);
+    
+    const positionVariable = gpu.addVariable('texturePosition', positionShader, positionTexture);
+    const velocityVariable = gpu.addVariable('textureVelocity', velocityShader, velocityTexture);
+    gpu.setVariableDependencies(positionVariable, [positionVariable, velocityVariable]);
+    gpu.setVariableDependencies(velocityVariable, [positionVariable, velocityVariable]);
+    
+    const dataTextures = [
+        arrayTexture(gpu, targets.tree, 3),
+        arrayTexture(gpu, targets.sphere, 3),
+        arrayTexture(gpu, targets.heart, 3),
+        arrayTexture(gpu, phases, 4),
+        arrayTexture(gpu, amplitudes, 3)
+    ];
+    
+    const uniforms = velocityVariable.material.uniforms;
+    Object.assign(uniforms, {
+        uTime: { value: 0 },
+        uShape: { value: SHAPES.tree },
+        uExploded: { value: 0 },
+        uExplode: { value: 0 },
+        uSeed: { value: 0 },
+        uForce: { value: 0 },
+        uTurbulence: { value: 0 },
+        uGravity: { value: 0 },
+        uDamping: { value: 1 },
+        uMaxSpeed: { value: 1 },
+        tTree: { value: dataTextures[0] },
+        tSphere: { value: dataTextures[1] },
+        tHeart: { value: dataTextures[2] },
+        tPhase: { value: dataTextures[3] },
+        tAmplitude: { value: dataTextures[4] }
+    });
+    
+    const error = gpu.init();
+    if (error !== null) {
+        console.warn('⚠️ GPU particle physics unavailable, using the CPU:', error);
+        dataTextures.forEach(texture => texture.dispose());
+        gpu.dispose();
+        return null;
+    }
+    
+    // 每个粒子在纹理中的 uv（粒子着色器按它读取位置）
+    const references = new Float32Array(count * 2);
+    for (let i = 0; i < count; i++) {
+        references[i * 2] = (i % size + 0.5) / size;
+        references[i * 2 + 1] = (Math.floor(i / size) + 0.5) / size;
+    }
+    
+    // 下一次 update 时设置爆炸速度
+    function explode() {
+        uniforms.uExplode.value = 1;
+        uniforms.uSeed.value = Math.random() * 100;
+    }
+    
+    // 模拟一帧，返回新的位置纹理
+    // params: { time, shape: 'tree' | 'sphere' | 'heart', exploded, force, turbulence, gravity, damping, maxSpeed }
+    function update({ time, shape, exploded, force, turbulence, gravity, damping, maxSpeed }) {
+        uniforms.uTime.value = time;
+        uniforms.uShape.value = SHAPES[shape];
+        uniforms.uExploded.value = exploded ? 1 : 0;
+        uniforms.uForce.value = force;
+        uniforms.uTurbulence.value = turbulence;
+        uniforms.uGravity.value = gravity;
+        uniforms.uDamping.value = damping;
+        uniforms.uMaxSpeed.value = maxSpeed;
+        
+        gpu.compute();
+        uniforms.uExplode.value = 0;
+        
+        return gpu.getCurrentRenderTarget(positionVariable).texture;
+    }
+    
+    function dispose() {
+        dataTextures.forEach(texture => texture.dispose());
+        gpu.dispose();
+    }
+    
+    console.log(`🚀 GPU particle physics: ${count} particles (${size}x${size} textures)`);
+    return { references, update, explode, dispose };
+}
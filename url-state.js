@@ -0,0 +1,68 @@
+// ============================================
+// URL State
+// Keeps the active effect, its view (camera, rotation, selection...)
+// and CONFIG overrides in the URL hash, so a framing can be
+// bookmarked or shared:
+//   #effect=starry&z=4.2&rx=0.1&ry=1.31&constellation=orion&config.bloom.strength=2
+// ============================================
+
+const CONFIG_PREFIX = 'config.';
+
+// 'true' / 'false' -> 布尔，数字文字 -> 数字，其它保持字符串
+function parseValue(text) {
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    
+    const number = Number(text);
+    return text.trim() !== '' && Number.isFinite(number) ? number : text;
+}
+
+// 读取 hash：{ effect, view: { key: value }, config: { path: text } }
+export function readUrlState(hash = window.location.hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = { effect: null, view: {}, config: {} };
+    
+    params.forEach((value, key) => {
+        if (key === 'effect') {
+            state.effect = value;
+        } else if (key.startsWith(CONFIG_PREFIX)) {
+            state.config[key.slice(CONFIG_PREFIX.length)] = value;  // 按 CONFIG 中的类型解析（config-utils.js）
+        } else {
+            state.view[key] = parseValue(value);
+        }
+    });
+    
+    return state;
+}
+
+export function formatUrlState({ effect, view = {}, config = {} }) {
+    const params = new URLSearchParams();
+    
+    if (effect) params.set('effect', effect);
+    Object.keys(view).forEach(key => {
+        const value = view[key];
+        if (value !== null && value !== undefined) {
+            params.set(key, String(value));
+        }
+    });
+    Object.keys(config).forEach(path => {
+        params.set(CONFIG_PREFIX + path, String(config[path]));
+    });
+    
+    return `#${params.toString()}`;
+}
+
+// 替换当前地址的 hash（不产生历史记录，也不触发 hashchange），有变化时返回 true
+export function writeUrlState(state) {
+    const hash = formatUrlState(state);
+    if (hash === window.location.hash) return false;
+    
+    history.replaceState(history.state, '', hash);
+    return true;
+}
+
+// 保留 n 位小数，链接短一些
+export function roundState(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}